@@ -10,6 +10,7 @@
  * Features:
  * - Interactive readline-based CLI with colored output
  * - Automatic conversation history management and saving
+ * - Crash-safe session journal, recovered on the next start
  * - Graceful shutdown with resource cleanup
  * - Comprehensive error handling and user guidance
  * - Built-in commands for help, stats, and configuration
@@ -21,7 +22,11 @@
  * @requires ./src/openai-client
  * @requires ./src/function-registry
  * @requires ./src/chat-manager
+ * @requires ./src/conversation-store
+ * @requires ./src/session-journal
+ * @requires ./src/conversation-exporter
  * @requires ./src/built-in-functions
+ * @requires ./src/errors
  * 
  * @example
  * // Run the application
@@ -29,15 +34,33 @@
  * 
  * // Or with npm
  * npm start
+ * 
+ * // Continue the most recent saved conversation
+ * node index.js --resume last
  */
 
+import fs from 'fs';
+import path from 'path';
 import readline from 'readline';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
 import OpenAIClient from './src/openai-client.js';
 import FunctionRegistry from './src/function-registry.js';
-import ChatManager from './src/chat-manager.js';
-import { functionSchemas, availableFunctions } from './src/built-in-functions.js';
+import SessionManager from './src/session-manager.js';
+import ConversationStore from './src/conversation-store.js';
+import SessionJournal from './src/session-journal.js';
+import ConsoleReporter from './src/console-reporter.js';
+import { EXPORT_FORMATS } from './src/conversation-exporter.js';
+import { functionSchemas, availableFunctions, setFetchImplementation } from './src/built-in-functions.js';
+import {
+    AuthenticationError,
+    CancelledError,
+    InitializationError,
+    NetworkError,
+    RateLimitError,
+    ToolError,
+    ValidationError
+} from './src/errors.js';
 
 // Load environment variables
 dotenv.config();
@@ -64,16 +87,29 @@ class AgentCLI {
      * Call initialize() to set up the agent.
      * 
      * @constructor
+     * @param {Object} [options={}] - CLI options
+     * @param {string} [options.resume] - Saved conversation to continue on start
+     *   ('last', a number from the session list, or a file)
      */
-    constructor() {
+    constructor(options = {}) {
         this.rl = null;
         this.openaiClient = null;
         this.functionRegistry = null;
-        this.chatManager = null;
+        this.sessions = null; // Every open conversation
+        this.chatManager = null; // Chat manager of the active session
+        this.reporter = new ConsoleReporter(); // Prints the active session's events
+        this.detachReporter = null;
+        this.sessionState = new Map(); // File and journal of each inactive session, by session ID
         this.isRunning = false;
         this.loadingInterval = null;
         this.loadingFrames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
         this.loadingIndex = 0;
+        this.activeTurns = new Set(); // AbortControllers of the running and queued turns
+        this.exitRequested = false; // Set by Ctrl+C at an idle prompt
+        this.resume = options.resume || null;
+        this.conversationStore = new ConversationStore();
+        this.sessionFile = null; // File the current conversation is saved to
+        this.journal = null; // Crash-safe record of the current conversation
     }
 
     /**
@@ -121,12 +157,12 @@ class AgentCLI {
             console.error(chalk.red('❌ Failed to initialize agent:'), error.message);
             
             // Provide specific guidance based on error type
-            if (error.message.includes('API key')) {
+            if (error instanceof AuthenticationError) {
                 console.error(chalk.yellow('💡 Make sure to set your OPENAI_API_KEY environment variable'));
                 console.error(chalk.cyan('   Example: export OPENAI_API_KEY="sk-your-key-here"'));
-            } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+            } else if (error instanceof NetworkError) {
                 console.error(chalk.yellow('💡 Check your internet connection and try again'));
-            } else if (error.message.includes('function')) {
+            } else if (error instanceof InitializationError && error.component === 'functionRegistry') {
                 console.error(chalk.yellow('💡 There was an issue with function registration'));
             }
             
@@ -184,34 +220,179 @@ class AgentCLI {
             console.log(chalk.green('✅ Component integration validated'));
             
         } catch (error) {
-            throw new Error(`Component integration validation failed: ${error.message}`);
+            throw new InitializationError(`Component integration validation failed: ${error.message}`, { cause: error });
         }
     }
 
     /**
-     * Initialize OpenAI client with API key validation
+     * Initialize OpenAI client with API key validation.
+     * The provider is chosen with LLM_PROVIDER ('openai' or 'mock'); the
+     * openai provider can target any OpenAI-compatible server via OPENAI_BASE_URL.
      */
     async initializeOpenAI() {
         const apiKey = process.env.OPENAI_API_KEY;
-
-        if (!apiKey) {
-            throw new Error(
+        const provider = process.env.LLM_PROVIDER || 'openai';
+        const baseURL = process.env.OPENAI_BASE_URL || undefined;
+        const cassette = process.env.OPENAI_CASSETTE
+            ? { path: process.env.OPENAI_CASSETTE, mode: process.env.OPENAI_CASSETTE_MODE || 'replay' }
+            : undefined;
+        const replaying = cassette?.mode === 'replay';
+
+        // Only the official OpenAI API strictly needs a key, and not when replaying
+        if (!apiKey && provider === 'openai' && !baseURL && !replaying) {
+            throw new AuthenticationError(
                 chalk.red('OpenAI API key not found.') + ' Please set OPENAI_API_KEY environment variable.\n' +
                 chalk.cyan('You can find your API key at: https://platform.openai.com/api-keys') + '\n' +
                 chalk.yellow('Example: export OPENAI_API_KEY="sk-your-key-here"')
             );
         }
 
+        let defaultHeaders;
+        if (process.env.OPENAI_DEFAULT_HEADERS) {
+            try {
+                defaultHeaders = JSON.parse(process.env.OPENAI_DEFAULT_HEADERS);
+            } catch (error) {
+                throw new ValidationError(`OPENAI_DEFAULT_HEADERS must be a JSON object: ${error.message}`, { cause: error });
+            }
+        }
+
         this.openaiClient = new OpenAIClient();
+
+        // Report rate limit and retry waits instead of going quiet
+        this.openaiClient.on('wait', ({ reason, delayMs, attempt, maxRetries, error }) => {
+            const seconds = (delayMs / 1000).toFixed(1);
+            if (reason === 'retry') {
+                console.warn(chalk.yellow(`⏳ ${error.message} Retrying in ${seconds}s (attempt ${attempt}/${maxRetries + 1})...`));
+            } else {
+                console.warn(chalk.yellow(`⏳ Rate limit reached, waiting ${seconds}s...`));
+            }
+        });
+
+        this.openaiClient.on('fallback', ({ from, to, error, skipped }) => {
+            console.warn(chalk.yellow(`↪️ ${from} failed (${error.type}), falling back to ${to}...`));
+            for (const { reason } of skipped) {
+                console.warn(chalk.gray(`   Skipped: ${reason}`));
+            }
+        });
         
-        console.log(chalk.blue('🔑 Validating OpenAI API key...'));
+        if (replaying) {
+            console.log(chalk.blue(`📼 Replaying cassette ${cassette.path}...`));
+        } else {
+            console.log(chalk.blue(provider === 'mock' ? '🧪 Using the offline mock provider...' : '🔑 Validating OpenAI API key...'));
+        }
         await this.openaiClient.initialize(apiKey, {
             model: process.env.OPENAI_MODEL || 'gpt-4',
             temperature: parseFloat(process.env.OPENAI_TEMPERATURE || '0.7'),
-            maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || '1000')
+            maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || '1000'),
+            fallbackModels: (process.env.OPENAI_FALLBACK_MODELS || '').split(',').map(name => name.trim()).filter(Boolean),
+            provider,
+            baseURL,
+            defaultHeaders,
+            apiKeyFormat: process.env.OPENAI_API_KEY_FORMAT || undefined,
+            validateConnection: process.env.OPENAI_VALIDATE_CONNECTION !== 'false',
+            cassette,
+            rateLimits: this.readRateLimits(),
+            models: this.readModels()
         });
+
+        // Built-in functions record/replay their HTTP calls on the same cassette
+        const activeCassette = this.openaiClient.getCassette();
+        if (activeCassette) {
+            setFetchImplementation(activeCassette.wrapFetch(globalThis.fetch));
+        }
         
-        console.log(chalk.green('✅ OpenAI client initialized'));
+        const providerInfo = this.openaiClient.getProvider().describe();
+        const cassetteInfo = providerInfo.cassette ? `, cassette ${providerInfo.cassette}` : '';
+        console.log(chalk.green(`✅ OpenAI client initialized (${providerInfo.name}${providerInfo.baseURL ? ` @ ${providerInfo.baseURL}` : ''}${cassetteInfo})`));
+    }
+
+    /**
+     * Read client-side rate limits from the environment.
+     * OPENAI_RPM_LIMIT and OPENAI_TPM_LIMIT set the default limits;
+     * OPENAI_RATE_LIMITS (JSON keyed by model) adds per-model limits.
+     * @returns {Object|undefined} Rate limits for OpenAIClient, or undefined if none are set
+     */
+    readRateLimits() {
+        const limits = {};
+
+        if (process.env.OPENAI_RATE_LIMITS) {
+            try {
+                Object.assign(limits, JSON.parse(process.env.OPENAI_RATE_LIMITS));
+            } catch (error) {
+                throw new ValidationError(`OPENAI_RATE_LIMITS must be a JSON object: ${error.message}`, { cause: error });
+            }
+        }
+
+        if (process.env.OPENAI_RPM_LIMIT || process.env.OPENAI_TPM_LIMIT) {
+            limits.default = {
+                ...limits.default,
+                ...(process.env.OPENAI_RPM_LIMIT && { requestsPerMinute: parseInt(process.env.OPENAI_RPM_LIMIT) }),
+                ...(process.env.OPENAI_TPM_LIMIT && { tokensPerMinute: parseInt(process.env.OPENAI_TPM_LIMIT) })
+            };
+        }
+
+        return Object.keys(limits).length > 0 ? limits : undefined;
+    }
+
+    /**
+     * Read token and spend budgets from the environment
+     * (AGENT_MAX_TURN_TOKENS, AGENT_MAX_TURN_COST, AGENT_MAX_SESSION_TOKENS,
+     * AGENT_MAX_SESSION_COST and AGENT_BUDGET_WARN_AT).
+     * @returns {Object} Budget for ChatManager (only the limits that are set)
+     */
+    readBudget() {
+        const variables = {
+            turnTokens: 'AGENT_MAX_TURN_TOKENS',
+            turnCost: 'AGENT_MAX_TURN_COST',
+            sessionTokens: 'AGENT_MAX_SESSION_TOKENS',
+            sessionCost: 'AGENT_MAX_SESSION_COST',
+            warnAt: 'AGENT_BUDGET_WARN_AT'
+        };
+        const budget = {};
+
+        for (const [key, variable] of Object.entries(variables)) {
+            if (process.env[variable]) {
+                budget[key] = parseFloat(process.env[variable]);
+            }
+        }
+
+        return budget;
+    }
+
+    /**
+     * Read capabilities of custom or local models from the environment.
+     * OPENAI_MODELS is JSON keyed by model name:
+     * {"llama3": {"contextWindow": 8192, "maxOutputTokens": 2048, "tools": false}}
+     * @returns {Object|undefined} Models for OpenAIClient, or undefined if not set
+     */
+    readModels() {
+        if (!process.env.OPENAI_MODELS) {
+            return undefined;
+        }
+
+        try {
+            return JSON.parse(process.env.OPENAI_MODELS);
+        } catch (error) {
+            throw new ValidationError(`OPENAI_MODELS must be a JSON object: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Read per-model prices from the environment.
+     * OPENAI_PRICES is JSON keyed by model, in USD per 1M tokens:
+     * {"my-model": {"prompt": 1.0, "completion": 2.0}}
+     * @returns {Object|undefined} Prices for ChatManager, or undefined if not set
+     */
+    readPrices() {
+        if (!process.env.OPENAI_PRICES) {
+            return undefined;
+        }
+
+        try {
+            return JSON.parse(process.env.OPENAI_PRICES);
+        } catch (error) {
+            throw new ValidationError(`OPENAI_PRICES must be a JSON object: ${error.message}`, { cause: error });
+        }
     }
 
     /**
@@ -225,11 +406,11 @@ class AgentCLI {
             
             // Validate function schemas and handlers before registration
             if (!functionSchemas || !Array.isArray(functionSchemas)) {
-                throw new Error('Function schemas must be a valid array');
+                throw new ValidationError('Function schemas must be a valid array');
             }
             
             if (!availableFunctions || typeof availableFunctions !== 'object') {
-                throw new Error('Available functions must be a valid object');
+                throw new ValidationError('Available functions must be a valid object');
             }
             
             this.functionRegistry.registerBuiltInFunctions(functionSchemas, availableFunctions);
@@ -243,7 +424,10 @@ class AgentCLI {
             }
             
         } catch (error) {
-            throw new Error(`Failed to initialize function registry: ${error.message}`);
+            throw new InitializationError(`Failed to initialize function registry: ${error.message}`, {
+                component: 'functionRegistry',
+                cause: error
+            });
         }
     }
 
@@ -253,17 +437,35 @@ class AgentCLI {
     initializeChatManager() {
         try {
             if (!this.openaiClient) {
-                throw new Error('OpenAI client must be initialized before chat manager');
+                throw new InitializationError('OpenAI client must be initialized before chat manager', { component: 'openaiClient' });
             }
             
             if (!this.functionRegistry) {
-                throw new Error('Function registry must be initialized before chat manager');
+                throw new InitializationError('Function registry must be initialized before chat manager', {
+                    component: 'functionRegistry'
+                });
             }
 
-            this.chatManager = new ChatManager(this.openaiClient, this.functionRegistry);
+            this.sessions = new SessionManager(this.openaiClient, this.functionRegistry, {
+                chatOptions: {
+                    maxSteps: parseInt(process.env.AGENT_MAX_STEPS || '10'),
+                    turnTimeoutMs: parseInt(process.env.AGENT_TURN_TIMEOUT_MS || '120000'),
+                    toolConcurrency: parseInt(process.env.AGENT_TOOL_CONCURRENCY || '4'),
+                    historyStrategy: process.env.AGENT_HISTORY_STRATEGY || 'trim',
+                    compactThreshold: parseFloat(process.env.AGENT_COMPACT_THRESHOLD || '0.8'),
+                    compactKeepRecent: parseInt(process.env.AGENT_COMPACT_KEEP_RECENT || '6'),
+                    maxQueuedTurns: parseInt(process.env.AGENT_MAX_QUEUED_TURNS || '10'),
+                    prices: this.readPrices(),
+                    budget: this.readBudget()
+                }
+            });
+            this.activateSession(this.sessions.createSession());
             console.log(chalk.green('💬 Chat manager initialized'));
         } catch (error) {
-            throw new Error(`Failed to initialize chat manager: ${error.message}`);
+            throw new InitializationError(`Failed to initialize chat manager: ${error.message}`, {
+                component: 'chatManager',
+                cause: error
+            });
         }
     }
 
@@ -280,24 +482,60 @@ class AgentCLI {
 
         // Handle user input
         this.rl.on('line', (input) => {
+            this.exitRequested = false;
             this.handleUserInput(input.trim());
         });
 
-        // Handle Ctrl+C gracefully
+        // Ctrl+C cancels the current turn; twice at an idle prompt exits
         this.rl.on('SIGINT', () => {
+            this.handleInterrupt();
+        });
+
+        // Handle readline close
+        this.rl.on('close', () => {
             this.handleExit().catch(error => {
                 console.error('Error during exit:', error.message);
                 process.exit(1);
             });
         });
+    }
 
-        // Handle readline close
-        this.rl.on('close', () => {
+    /**
+     * Handle Ctrl+C.
+     * While a turn is running, cancels it (the request and any running tools
+     * are aborted and the partial exchange is dropped from history), along
+     * with any messages waiting behind it. At an idle prompt, the first
+     * Ctrl+C asks for confirmation and a second one exits. Before the CLI
+     * has started (e.g. while initialize() waits for a slow provider) or
+     * once it is shutting down, Ctrl+C exits right away.
+     */
+    handleInterrupt() {
+        if (!this.isRunning) {
+            process.exit(130);
+        }
+
+        if (this.activeTurns.size > 0) {
+            const queued = this.activeTurns.size - 1;
+            console.log(chalk.yellow('\n🛑 Cancelling...') +
+                (queued > 0 ? chalk.gray(` (and ${queued} queued ${queued === 1 ? 'message' : 'messages'})`) : ''));
+            for (const controller of this.activeTurns) {
+                controller.abort();
+            }
+            this.exitRequested = false;
+            return;
+        }
+
+        if (this.exitRequested) {
             this.handleExit().catch(error => {
                 console.error('Error during exit:', error.message);
                 process.exit(1);
             });
-        });
+            return;
+        }
+
+        this.exitRequested = true;
+        console.log(chalk.gray('\n(Press Ctrl+C again to exit, or type "exit")'));
+        this.rl?.prompt();
     }
 
     /**
@@ -309,12 +547,101 @@ class AgentCLI {
      * await cli.initialize();
      * cli.start(); // Now accepting user input
      */
-    start() {
+    async start() {
         this.isRunning = true;
         this.chatManager.startConversation();
+
+        // Sessions that ended without a clean exit are saved and the latest is continued
+        await this.recoverJournals();
+
+        if (this.resume) {
+            await this.loadConversation(this.resume);
+        }
+
+        // A loaded conversation already has its journal
+        if (!this.journal) {
+            this.sessionFile ??= this.conversationStore.createFilename();
+            this.openJournal();
+        }
+
         this.rl.prompt();
     }
 
+    /**
+     * Start journaling the current conversation, so it survives a crash
+     * or a killed process. If the journal cannot be written, the agent
+     * still runs and the conversation is saved on exit as usual.
+     */
+    openJournal() {
+        try {
+            this.journal = new SessionJournal(SessionJournal.pathFor(this.conversationStore.directory, this.sessionFile));
+            this.journal.open();
+            this.chatManager.setJournal(this.journal);
+        } catch (error) {
+            this.journal = null;
+            console.warn(chalk.yellow('⚠️ Crash recovery is off, the session journal could not be created:'), error.message);
+        }
+    }
+
+    /**
+     * Stop journaling and delete the journal, once the conversation has
+     * been saved
+     */
+    closeJournal() {
+        if (!this.journal) {
+            return;
+        }
+
+        this.chatManager.setJournal(null);
+        this.journal.remove();
+        this.journal = null;
+    }
+
+    /**
+     * Recover conversations from journals left by runs that did not exit
+     * cleanly (killed, out of memory, crashed). Each is saved as a normal
+     * conversation file and its journal deleted; the most recent one
+     * becomes the current conversation.
+     * @returns {Promise<boolean>} True if a conversation was recovered
+     */
+    async recoverJournals() {
+        let orphans;
+        try {
+            orphans = await SessionJournal.findOrphans(this.conversationStore.directory);
+        } catch (error) {
+            console.warn(chalk.yellow('⚠️ Could not check for interrupted sessions:'), error.message);
+            return false;
+        }
+
+        let recovered = false;
+
+        for (const filepath of orphans) {
+            try {
+                const state = SessionJournal.replay(filepath);
+
+                if (state.messages.length > 0 || state.summarizedMessages.length > 0) {
+                    this.chatManager.restoreConversation(state);
+                    this.sessionFile = SessionJournal.conversationFilename(filepath);
+
+                    console.log(chalk.yellow(`♻️ Recovered ${state.messages.length} messages from an interrupted session`) +
+                        chalk.gray(state.updatedAt ? ` (last change ${new Date(state.updatedAt).toLocaleString()})` : ''));
+
+                    // Keep the journal if the conversation could not be saved
+                    if (!await this.saveConversationState()) {
+                        continue;
+                    }
+                    recovered = true;
+                }
+
+                new SessionJournal(filepath).remove();
+            } catch (error) {
+                console.warn(chalk.yellow(`⚠️ Could not recover ${filepath}:`), error.message);
+            }
+        }
+
+        return recovered;
+    }
+
     /**
      * Handle user input and special commands
      * @param {string} input - User input string
@@ -363,6 +690,79 @@ class AgentCLI {
             return;
         }
 
+        if (command === 'sessions') {
+            await this.showSessions();
+            this.rl.prompt();
+            return;
+        }
+
+        if (command === 'session' || command.startsWith('session ')) {
+            await this.handleSessionCommand(input.split(/\s+/).slice(1));
+            this.rl.prompt();
+            return;
+        }
+
+        if (command === 'load' || command.startsWith('load ')) {
+            // File names are case-sensitive, so take the argument from the raw input
+            await this.loadConversation(input.slice(4).trim());
+            this.rl.prompt();
+            return;
+        }
+
+        if (command === 'import' || command.startsWith('import ')) {
+            await this.importConversation(input.slice(6).trim());
+            this.rl.prompt();
+            return;
+        }
+
+        if (command === 'compact') {
+            await this.handleCompactCommand();
+            this.rl.prompt();
+            return;
+        }
+
+        if (command === 'undo') {
+            this.handleUndoCommand();
+            this.rl.prompt();
+            return;
+        }
+
+        if (command === 'retry' || command.startsWith('retry ') || command === 'regenerate' || command.startsWith('regenerate ')) {
+            await this.handleRetryCommand(command.split(/\s+/).slice(1));
+            return;
+        }
+
+        if (command === 'edit' || command.startsWith('edit ')) {
+            // Keep the new message as typed
+            await this.handleEditCommand(input.slice(4).trim());
+            return;
+        }
+
+        if (command === 'branch' || command.startsWith('branch ')) {
+            this.handleBranchCommand(input.split(/\s+/).slice(1));
+            this.rl.prompt();
+            return;
+        }
+
+        if (command === 'switch' || command.startsWith('switch ')) {
+            this.handleSwitchCommand(input.slice(7).trim());
+            this.rl.prompt();
+            return;
+        }
+
+        if (command === 'export' || command.startsWith('export ')) {
+            // Paths are case-sensitive, so take the arguments from the raw input
+            await this.handleExportCommand(input.slice(6).trim());
+            this.rl.prompt();
+            return;
+        }
+
+        if (command === 'budget' || command.startsWith('budget ')) {
+            this.handleBudgetCommand(command.split(/\s+/).slice(1));
+            this.rl.prompt();
+            return;
+        }
+
         if (command === 'test' && process.env.NODE_ENV === 'development') {
             await this.testIntegration();
             this.rl.prompt();
@@ -374,40 +774,117 @@ class AgentCLI {
     }
 
     /**
-     * Process chat message through the chat manager with comprehensive error handling
-     * @param {string} message - User message
+     * Process chat message through the chat manager with comprehensive error handling.
+     * The response is streamed, so tokens are printed as they arrive.
+     * The turn can be cancelled with Ctrl+C (see handleInterrupt).
+     * A message sent while another is being answered waits its turn; the
+     * prompt stays available meanwhile. Only the session on screen prints
+     * the answer: a turn whose session is switched away from finishes
+     * silently and leaves a one-line note.
+     * @param {string|Function} message - User message, or a function `(onChunk, options)` that
+     *   runs the turn and resolves to its response (used by retry and edit)
      */
     async processChatMessage(message) {
+        const controller = new AbortController();
+        this.activeTurns.add(controller);
+
+        // The turn belongs to the session on screen now, even if another is shown later
+        const session = this.sessions?.getActiveSession();
+        const isShown = () => this.sessions?.getActiveSession()?.id === session?.id;
+        let backgrounded = false; // Set once output was held back while another session was shown
+
         try {
             // Validate components are ready
             if (!this.chatManager) {
-                throw new Error('Chat manager is not initialized');
+                throw new InitializationError('Chat manager is not initialized', { component: 'chatManager' });
             }
             
             if (!this.openaiClient || !this.openaiClient.isReady()) {
-                throw new Error('OpenAI client is not ready');
+                throw new InitializationError('OpenAI client is not ready', { component: 'openaiClient' });
             }
 
-            // Start enhanced loading indicator
-            this.startLoadingIndicator('Thinking');
+            // Print tokens as they arrive
+            let streamedText = false;
+            let lineOpen = false;
 
-            const response = await this.chatManager.processMessage(message);
+            const onChunk = (chunk) => {
+                if (backgrounded || !isShown()) {
+                    backgrounded = true;
+                    lineOpen = false;
+                    return;
+                }
 
-            // Stop loading indicator
-            this.stopLoadingIndicator();
+                if (chunk.type === 'tool_call') {
+                    // End any partial line before tool execution output
+                    if (lineOpen) {
+                        process.stdout.write('\n');
+                        lineOpen = false;
+                    }
+                    return;
+                }
+
+                if (!lineOpen) {
+                    process.stdout.write(chalk.cyan('🤖') + ' ');
+                    lineOpen = true;
+                }
 
-            if (response.success) {
-                console.log(chalk.cyan('🤖') + ' ' + response.message);
+                streamedText = true;
+                process.stdout.write(chunk.content);
+            };
+
+            const onQueued = (position) => {
+                if (!isShown()) {
+                    return;
+                }
+                console.log(chalk.gray(`⏳ Queued (${position === 1 ? 'next' : `position ${position}`}); it will be answered when the current turn ends`));
+                this.rl.prompt();
+            };
+            const options = { signal: controller.signal, onQueued };
+
+            const response = typeof message === 'function'
+                ? await message(onChunk, options)
+                : await this.chatManager.processMessageStream(message, onChunk, options);
+
+            if (!isShown()) {
+                this.printBackgroundResult(session, response);
+                return;
+            }
+
+            if (lineOpen) {
+                process.stdout.write('\n');
+            }
+
+            // Part of a reply streamed while another session was shown, so print it whole
+            if (backgrounded) {
+                streamedText = false;
+            }
+
+            if (response.cancelled) {
+                console.log(chalk.yellow('🛑 Cancelled.') + chalk.gray(response.restored
+                    ? ' The conversation was not changed.'
+                    : ' The message was not added to the conversation.'));
+            } else if (response.success) {
+                // Nothing was streamed (e.g. an empty reply), print the final message
+                if (!streamedText) {
+                    console.log(chalk.cyan('🤖') + ' ' + response.message);
+                }
                 
                 // Show additional info if available
                 if (response.usage) {
                     const tokens = response.usage.total_tokens;
-                    console.log(chalk.gray(`   (${tokens} tokens used)`));
+                    const cost = response.cost !== null ? `, ${this.formatCost(response.cost)}` : '';
+                    console.log(chalk.gray(`   (${tokens} tokens used${cost})`));
+                }
+                
+                // Show which model answered if the configured one failed
+                if (response.fallbacks && response.fallbacks.length > 0) {
+                    console.log(chalk.gray(`   Answered by fallback model ${response.model}`));
                 }
                 
-                // Show function call info if available
-                if (response.functionCall) {
-                    console.log(chalk.gray(`   Function called: ${response.functionCall.name}`));
+                // Show tool call info if available
+                if (response.steps && response.steps.length > 0) {
+                    const calls = response.steps.map(step => `${step.name} (${step.latencyMs}ms)`);
+                    console.log(chalk.gray(`   Functions called: ${calls.join(', ')}`));
                 }
             } else {
                 console.log(chalk.red('❌') + ' ' + response.message);
@@ -420,40 +897,46 @@ class AgentCLI {
                         console.log(chalk.yellow('   💡 Check your OpenAI API key configuration'));
                     } else if (response.error.type === 'RATE_LIMIT_ERROR') {
                         console.log(chalk.yellow('   💡 Please wait a moment before sending another message'));
-                    } else if (response.error.type === 'FUNCTION_EXECUTION_ERROR') {
+                    } else if (['FUNCTION_NOT_FOUND', 'EXECUTION_ERROR', 'TOOL_TIMEOUT'].includes(response.error.type)) {
                         console.log(chalk.yellow('   💡 There was an issue executing a function'));
+                    } else if (response.error.type === 'BUDGET_EXCEEDED') {
+                        console.log(chalk.yellow('   💡 Use "budget" to see or raise the limits'));
+                    } else if (response.error.type === 'CONTEXT_LENGTH_ERROR') {
+                        console.log(chalk.yellow('   💡 Use "clear" to start a new conversation'));
                     } else if (response.error.type === 'NETWORK_ERROR') {
                         console.log(chalk.yellow('   💡 Check your internet connection'));
+                    } else if (['MAX_STEPS_EXCEEDED', 'TOOL_LOOP_DETECTED', 'TURN_TIMEOUT'].includes(response.error.type)) {
+                        console.log(chalk.yellow(`   💡 The agent made ${response.steps.length} tool calls before stopping; try rephrasing your request`));
                     }
                 }
+
+                if (response.restored) {
+                    console.log(chalk.gray('   The conversation was not changed.'));
+                }
             }
 
         } catch (error) {
-            // Stop loading indicator
-            this.stopLoadingIndicator();
-            
             // Categorize and handle different types of errors
             let errorMessage = error.message;
-            let errorType = 'UNEXPECTED_ERROR';
+            const errorType = error.type || 'UNEXPECTED_ERROR';
             
-            if (error.message.includes('API key')) {
-                errorType = 'AUTHENTICATION_ERROR';
+            if (error instanceof AuthenticationError) {
                 errorMessage = 'Authentication failed. Please check your OpenAI API key.';
-            } else if (error.message.includes('rate limit') || error.message.includes('429')) {
-                errorType = 'RATE_LIMIT_ERROR';
+            } else if (error instanceof RateLimitError) {
                 errorMessage = 'Rate limit exceeded. Please wait before sending another message.';
-            } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
-                errorType = 'NETWORK_ERROR';
+            } else if (error instanceof NetworkError) {
                 errorMessage = 'Network error. Please check your internet connection.';
-            } else if (error.message.includes('not initialized') || error.message.includes('not ready')) {
-                errorType = 'INITIALIZATION_ERROR';
+            } else if (error instanceof InitializationError) {
                 errorMessage = 'System not properly initialized. Please restart the application.';
-            } else if (error.message.includes('function') || error.message.includes('Function')) {
-                errorType = 'FUNCTION_INTEGRATION_ERROR';
+            } else if (error instanceof ToolError) {
                 errorMessage = 'Function integration error. Please check function configuration.';
-            } else if (error.message.includes('role and content')) {
-                errorType = 'MESSAGE_FORMAT_ERROR';
-                errorMessage = 'Message formatting error. Please try again.';
+            } else if (error instanceof ValidationError) {
+                errorMessage = `Message formatting error: ${error.message}`;
+            }
+
+            if (!isShown()) {
+                this.printBackgroundResult(session, { success: false, message: errorMessage });
+                return;
             }
             
             console.error(chalk.red('❌ Error:'), errorMessage);
@@ -463,12 +946,32 @@ class AgentCLI {
             if (process.env.NODE_ENV === 'development') {
                 console.error(chalk.gray('   Debug:'), error.stack);
             }
+        } finally {
+            this.activeTurns.delete(controller);
         }
 
         console.log('');
         this.rl.prompt();
     }
 
+    /**
+     * Note in one line how a turn of a session that is not on screen ended
+     * @param {Object} session - Session the turn belongs to
+     * @param {Object} response - Response of the turn
+     */
+    printBackgroundResult(session, response) {
+        const hint = chalk.gray(` (use "session switch ${session.name}" to see it)`);
+
+        if (response.cancelled) {
+            console.log(chalk.yellow(`🛑 Turn in session ${session.name} cancelled`));
+        } else if (response.success) {
+            console.log(chalk.cyan(`📨 Session ${session.name} finished its answer`) + hint);
+        } else {
+            console.log(chalk.red(`❌ Turn in session ${session.name} failed: ${response.message}`) + hint);
+        }
+        this.rl.prompt();
+    }
+
     /**
      * Display enhanced startup banner
      */
@@ -550,6 +1053,24 @@ class AgentCLI {
         console.log(chalk.cyan('  stats         ') + chalk.gray('- Show conversation statistics'));
         console.log(chalk.cyan('  functions     ') + chalk.gray('- List available functions'));
         console.log(chalk.cyan('  config        ') + chalk.gray('- Show current configuration'));
+        console.log(chalk.cyan('  compact       ') + chalk.gray('- Summarize older messages to free up context'));
+        console.log(chalk.cyan('  undo          ') + chalk.gray('- Remove the last question and answer'));
+        console.log(chalk.cyan('  retry, regenerate [temperature] ') + chalk.gray('- Answer the last question again'));
+        console.log(chalk.cyan('  edit [<n> <message>] ') + chalk.gray('- List your messages, or rewrite message n and continue from there'));
+        console.log(chalk.cyan('  branch [<name>] ') + chalk.gray('- List branches, or fork the conversation into a new branch; ') +
+            chalk.white('branch delete <name>'));
+        console.log(chalk.cyan('  switch <name> ') + chalk.gray('- Switch to another branch'));
+        console.log(chalk.cyan('  sessions      ') + chalk.gray('- List saved conversations'));
+        console.log(chalk.cyan('  load <n|last|file> ') + chalk.gray('- Continue a saved conversation'));
+        console.log(chalk.cyan('  import <file> [n] ') + chalk.gray('- Continue a chat completions transcript (JSON or JSONL; n picks the example)'));
+        console.log(chalk.cyan('  export <format> [path] ') + chalk.gray('- Save a transcript: ') +
+            chalk.white('markdown') + chalk.gray(', ') + chalk.white('html') + chalk.gray(', ') + chalk.white('text') + chalk.gray(', ') +
+            chalk.white('json') + chalk.gray(' or ') + chalk.white('jsonl') + chalk.gray(' (fine-tuning data)'));
+        console.log(chalk.cyan('  session [list] ') + chalk.gray('- List open sessions; ') +
+            chalk.white('session new [name]') + chalk.gray(', ') + chalk.white('session switch|delete <name>') + chalk.gray(', ') +
+            chalk.white('session rename [<name>] <new name>'));
+        console.log(chalk.cyan('  budget        ') + chalk.gray('- Show token/spend budgets; ') +
+            chalk.white('budget <turn|session> <tokens|cost> <value|off>') + chalk.gray(', ') + chalk.white('budget warn <0-1>'));
         if (process.env.NODE_ENV === 'development') {
             console.log(chalk.cyan('  test          ') + chalk.gray('- Test component integration (dev only)'));
         }
@@ -558,7 +1079,7 @@ class AgentCLI {
         console.log(chalk.yellow.bold('💡 Tips:'));
         console.log(chalk.gray('  • Ask me anything! I can help with various tasks'));
         console.log(chalk.gray('  • I can call functions like getting weather, time, or doing math'));
-        console.log(chalk.gray('  • Use ') + chalk.white('Ctrl+C') + chalk.gray(' to exit at any time'));
+        console.log(chalk.gray('  • Press ') + chalk.white('Ctrl+C') + chalk.gray(' to cancel a response; press it twice at the prompt to exit'));
         console.log(chalk.gray('  • Type your message and press ') + chalk.white('Enter') + chalk.gray(' to chat'));
     }
 
@@ -566,6 +1087,11 @@ class AgentCLI {
      * Clear conversation history
      */
     handleClear() {
+        if (this.chatManager.getQueueStatus().busy) {
+            console.log(chalk.yellow('Wait for the current answer to finish (or press Ctrl+C) before clearing the conversation'));
+            return;
+        }
+
         this.chatManager.clearHistory();
         console.clear();
         console.log(chalk.cyan.bold('🤖 OpenAI Node.js Agent'));
@@ -587,16 +1113,585 @@ class AgentCLI {
         console.log(chalk.cyan('  User messages: ') + chalk.white(stats.userMessages));
         console.log(chalk.cyan('  Assistant messages: ') + chalk.white(stats.assistantMessages));
         console.log(chalk.cyan('  Function calls: ') + chalk.white(stats.functionMessages));
-        console.log(chalk.cyan('  Estimated tokens: ') + chalk.white(stats.estimatedTokens));
+        console.log(chalk.cyan('  Estimated tokens: ') + chalk.white(`${stats.estimatedTokens} of ${stats.contextBudget} available for history`));
+        if (stats.summarizedMessages > 0) {
+            console.log(chalk.cyan('  Summarized messages: ') + chalk.white(stats.summarizedMessages));
+        }
         
         if (stats.conversationStarted) {
             const startTime = new Date(stats.conversationStarted);
             console.log(chalk.cyan('  Started: ') + chalk.white(startTime.toLocaleString()));
         }
+
+        const { usage, turns } = stats;
+        console.log('');
+        console.log(chalk.blue.bold('💰 Usage (reported by the API):'));
+        console.log(chalk.cyan('  Requests: ') + chalk.white(usage.requests));
+        console.log(chalk.cyan('  Tokens: ') + chalk.white(`${usage.totalTokens} (${usage.promptTokens} prompt, ${usage.completionTokens} completion)`));
+        console.log(chalk.cyan('  Session cost: ') + chalk.white(this.formatCost(usage.cost)) +
+            (usage.unpricedRequests > 0 ? chalk.yellow(` (+ ${usage.unpricedRequests} requests with no price)`) : ''));
+
+        // Older turns are summarized in the session totals above
+        const recentTurns = turns.slice(-10);
+        if (recentTurns.length > 0) {
+            console.log(chalk.cyan('  Per turn:'));
+            if (turns.length > recentTurns.length) {
+                console.log(chalk.gray(`    ... ${turns.length - recentTurns.length} earlier turns`));
+            }
+            recentTurns.forEach(turn => {
+                const cost = turn.unpricedRequests > 0 ? 'no price' : this.formatCost(turn.cost);
+                console.log(chalk.gray(`    #${turn.turn}: ${turn.totalTokens} tokens, ${turn.requests} ${turn.requests === 1 ? 'request' : 'requests'}, ${cost}`));
+            });
+        }
         
         console.log('');
     }
 
+    /**
+     * List saved conversations, newest first, numbered for the load command
+     */
+    async showSessions() {
+        try {
+            const sessions = await this.conversationStore.list();
+
+            if (sessions.length === 0) {
+                console.log(chalk.yellow('No saved conversations yet. Conversations are saved when you exit.'));
+                return;
+            }
+
+            console.log(chalk.blue.bold('🗂️ Saved Conversations:'));
+            sessions.forEach((session, index) => {
+                const date = session.savedAt ? new Date(session.savedAt).toLocaleString() : 'unknown date';
+                const preview = this.formatPreview(session.firstUserMessage || '(no user message)', 50);
+                const cost = session.cost !== null ? this.formatCost(session.cost) : 'unknown cost';
+
+                console.log(chalk.cyan(`  ${String(index + 1).padStart(2)}. `) + chalk.white(preview));
+                console.log(chalk.gray(`      ${date} · ${session.messageCount} messages · ${cost} · ${session.filename}`));
+            });
+            console.log(chalk.gray('  Use "load <number>" to continue one'));
+        } catch (error) {
+            console.error(chalk.red('❌ Could not list conversations:'), error.message);
+        }
+    }
+
+    /**
+     * Replace the current conversation with a saved one, restoring its
+     * history, system prompt and model configuration. The current
+     * conversation is saved first (nothing is loaded if that fails), and
+     * the loaded file is saved over on exit.
+     * @param {string} reference - 'last', a number from the session list, or a file
+     * @returns {Promise<boolean>} True if the conversation was loaded
+     */
+    async loadConversation(reference) {
+        if (this.chatManager.getQueueStatus().busy) {
+            console.log(chalk.yellow('Wait for the current answer to finish (or press Ctrl+C) before loading a conversation'));
+            return false;
+        }
+
+        try {
+            const { filename, data } = await this.conversationStore.load(reference || 'last');
+
+            // Keep what was said so far before replacing it
+            if (!await this.saveConversationState()) {
+                console.error(chalk.red('❌ Not loading: the current conversation could not be saved'));
+                return false;
+            }
+            this.closeJournal();
+
+            const count = this.chatManager.restoreConversation({ ...data, turns: data.stats?.turns });
+            this.sessionFile = filename;
+            this.openJournal();
+
+            console.log(chalk.green(`📂 Loaded ${filename}`) + chalk.gray(` (${count} messages)`));
+
+            if (data.config) {
+                this.restoreModelConfig(data.config);
+            }
+
+            // Show where the conversation left off
+            const lastMessage = this.chatManager.getHistory(false)
+                .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && msg.content)
+                .pop();
+            if (lastMessage) {
+                console.log(chalk.gray(`   Last ${lastMessage.role} message: ${this.formatPreview(lastMessage.content, 200)}`));
+            }
+            return true;
+        } catch (error) {
+            console.error(chalk.red('❌ Could not load conversation:'), error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Replace the conversation with an imported transcript: a chat
+     * completions message array or JSONL (e.g. a fine-tuning dataset).
+     * The current conversation is saved first, and the imported one gets
+     * a new file.
+     * @param {string} args - Command arguments as typed: a path and an optional example number
+     * @returns {Promise<boolean>} True if the transcript was imported
+     */
+    async importConversation(args) {
+        const match = args.match(/^(.+?)(?:\s+(\d+))?$/);
+        if (!match) {
+            console.log(chalk.yellow('Usage: import <file> [example number]'));
+            return false;
+        }
+        if (this.chatManager.getQueueStatus().busy) {
+            console.log(chalk.yellow('Wait for the current answer to finish (or press Ctrl+C) before importing a conversation'));
+            return false;
+        }
+
+        try {
+            const [, filepath, example = '1'] = match;
+            const transcript = await fs.promises.readFile(filepath, 'utf8');
+
+            // Keep what was said so far before replacing it
+            if (!await this.saveConversationState()) {
+                console.error(chalk.red('❌ Not importing: the current conversation could not be saved'));
+                return false;
+            }
+            this.closeJournal();
+
+            let result;
+            try {
+                result = this.chatManager.importConversation(transcript, { example: parseInt(example, 10) });
+                this.sessionFile = this.conversationStore.createFilename();
+            } finally {
+                // Journal whichever conversation is current now
+                this.openJournal();
+            }
+
+            const source = result.exampleCount > 1 ? ` (example ${result.example} of ${result.exampleCount})` : '';
+            console.log(chalk.green(`📥 Imported ${filepath}${source}`) + chalk.gray(` (${result.messageCount} messages)`));
+
+            const lastMessage = this.chatManager.getHistory(false)
+                .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && msg.content)
+                .pop();
+            if (lastMessage) {
+                console.log(chalk.gray(`   Last ${lastMessage.role} message: ${this.formatPreview(lastMessage.content, 200)}`));
+            }
+            return true;
+        } catch (error) {
+            console.error(chalk.red('❌ Could not import conversation:'), error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Apply the model configuration of a saved conversation to the active session.
+     * Invalid settings are skipped.
+     * @param {Object} savedConfig - Saved configuration ({ model, temperature, maxTokens })
+     */
+    restoreModelConfig(savedConfig) {
+        const current = this.chatManager.getModelConfig();
+        const { model = current.model, temperature = current.temperature, maxTokens = current.maxTokens } = savedConfig;
+
+        if (model === current.model && temperature === current.temperature && maxTokens === current.maxTokens) {
+            return;
+        }
+
+        try {
+            this.chatManager.setModelConfig({ model, temperature, maxTokens });
+            console.log(chalk.gray(`   Model: ${model}, temperature ${temperature}, max tokens ${maxTokens}`));
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️ Kept the current model configuration: ${error.message}`));
+        }
+    }
+
+    /**
+     * Manage the open sessions: independent conversations, each with its
+     * own history, settings and save file
+     * @param {Array<string>} args - Command arguments (see help)
+     */
+    async handleSessionCommand(args) {
+        const [action = 'list', ...rest] = args;
+
+        try {
+            switch (action.toLowerCase()) {
+                case 'list':
+                    this.showSessionList();
+                    return;
+                case 'new': {
+                    if (rest.length > 1) {
+                        break;
+                    }
+                    const session = this.sessions.createSession({ name: rest[0] });
+                    this.activateSession(session);
+                    this.sessionFile = this.conversationStore.createFilename();
+                    this.openJournal();
+                    console.log(chalk.green(`🆕 Started session ${session.name}`) + chalk.gray(' (switch back with "session switch <name>")'));
+                    return;
+                }
+                case 'switch': {
+                    if (rest.length !== 1) {
+                        break;
+                    }
+                    const session = this.sessions.getSession(rest[0]);
+                    this.activateSession(session);
+                    console.log(chalk.green(`🔀 Switched to session ${session.name}`) +
+                        chalk.gray(` (${session.chatManager.getConversationStats().totalMessages} messages)`));
+                    return;
+                }
+                case 'rename': {
+                    if (rest.length < 1 || rest.length > 2) {
+                        break;
+                    }
+                    const [reference, name] = rest.length === 2 ? rest : [this.sessions.getActiveSession().id, rest[0]];
+                    const oldName = this.sessions.getSession(reference).name;
+                    this.sessions.renameSession(reference, name);
+                    this.updatePrompt();
+                    console.log(chalk.green(`✏️ Renamed session ${oldName} to ${name}`));
+                    return;
+                }
+                case 'delete':
+                    if (rest.length !== 1) {
+                        break;
+                    }
+                    await this.deleteSession(rest[0]);
+                    return;
+            }
+        } catch (error) {
+            console.log(chalk.red('❌ ') + error.message);
+            return;
+        }
+
+        console.log(chalk.yellow('Usage: session [list], session new [name], session switch <name>, session rename [<name>] <new name>, session delete <name>'));
+    }
+
+    /**
+     * List the open sessions
+     */
+    showSessionList() {
+        console.log(chalk.blue.bold('🧵 Open Sessions:'));
+        for (const session of this.sessions.listSessions()) {
+            const marker = session.active ? chalk.green('* ') : '  ';
+            console.log(`  ${marker}` + chalk.cyan(session.name) +
+                chalk.gray(` (${session.messageCount} messages, ${session.model}, ${this.formatCost(session.cost)})`));
+        }
+        console.log(chalk.gray('  Use "session new [name]" to start another and "session switch <name>" to change sessions'));
+    }
+
+    /**
+     * Close a session: its conversation is saved, like on exit, and it is
+     * removed from the open sessions. A session that is answering is kept.
+     * @param {string} reference - Session ID or name
+     */
+    async deleteSession(reference) {
+        const session = this.sessions.getSession(reference);
+        const active = this.sessions.getActiveSession();
+
+        if (this.sessions.sessions.size === 1) {
+            console.log(chalk.yellow('Cannot delete the only session; use "clear" to start over'));
+            return;
+        }
+
+        if (session.chatManager.getQueueStatus().busy) {
+            console.log(chalk.yellow(`Wait for ${session.name} to finish its answer (or press Ctrl+C) before deleting it`));
+            return;
+        }
+
+        // Save it with its own file and journal
+        this.activateSession(session);
+        if (!await this.saveConversationState()) {
+            this.activateSession(active);
+            console.error(chalk.red(`❌ Not deleting ${session.name}: its conversation could not be saved`));
+            return;
+        }
+        this.closeJournal();
+
+        this.sessions.deleteSession(session.id);
+        this.sessionState.delete(session.id);
+        this.activateSession(session.id === active.id ? this.sessions.getActiveSession() : active);
+
+        console.log(chalk.green(`🗑️ Closed session ${session.name}`) + chalk.gray(` (now in ${this.sessions.getActiveSession().name})`));
+    }
+
+    /**
+     * Make a session the one the prompt talks to, keeping the file and
+     * journal of the previous one. Its events are printed from now on; the
+     * previous session keeps running silently.
+     * @param {Object} session - Session from the session manager
+     */
+    activateSession(session) {
+        const current = this.sessions.getActiveSession();
+        if (current && current.chatManager === this.chatManager) {
+            this.sessionState.set(current.id, { sessionFile: this.sessionFile, journal: this.journal });
+        }
+
+        this.sessions.switchSession(session.id);
+        if (this.chatManager !== session.chatManager) {
+            // Only the session on screen prints what it is doing
+            this.detachReporter?.();
+            this.detachReporter = this.reporter.attach(session.chatManager);
+        }
+        this.chatManager = session.chatManager;
+
+        const { sessionFile = null, journal = null } = this.sessionState.get(session.id) || {};
+        this.sessionFile = sessionFile;
+        this.journal = journal;
+        this.sessionState.delete(session.id);
+
+        this.updatePrompt();
+    }
+
+    /**
+     * Show the active session's name in the prompt when more than one session is open
+     */
+    updatePrompt() {
+        const session = this.sessions.getActiveSession();
+        const label = this.sessions.sessions.size > 1 ? ` [${session.name}]` : '';
+        this.rl?.setPrompt(chalk.green(`💬 You${label}: `));
+    }
+
+    /**
+     * Summarize older messages into the pinned conversation summary.
+     * Can be cancelled with Ctrl+C like a chat turn.
+     */
+    async handleCompactCommand() {
+        const controller = new AbortController();
+        this.activeTurns.add(controller);
+
+        try {
+            const result = await this.chatManager.compactHistory({ signal: controller.signal });
+
+            // The chat manager reports what it summarized
+            if (!result) {
+                console.log(chalk.yellow('Nothing to compact yet: the conversation is shorter than the messages kept verbatim.'));
+            }
+        } catch (error) {
+            if (error instanceof CancelledError) {
+                console.log(chalk.yellow('🛑 Cancelled.') + chalk.gray(' The conversation was not changed.'));
+            } else {
+                console.error(chalk.red('❌ Could not compact the conversation:'), error.message);
+            }
+        } finally {
+            this.activeTurns.delete(controller);
+        }
+    }
+
+    /**
+     * Remove the last question and answer (including any function calls)
+     */
+    handleUndoCommand() {
+        let undone;
+        try {
+            undone = this.chatManager.undoTurn();
+        } catch (error) {
+            console.log(chalk.red('❌ ') + error.message);
+            return;
+        }
+
+        if (!undone) {
+            console.log(chalk.yellow('Nothing to undo.'));
+            return;
+        }
+
+        console.log(chalk.green('↩️ Removed the last turn: ') + chalk.gray(this.formatPreview(undone.userMessage, 60)));
+    }
+
+    /**
+     * Answer the last question again, optionally at another temperature
+     * @param {Array<string>} args - Command arguments ([temperature])
+     */
+    async handleRetryCommand(args) {
+        const temperature = args.length > 0 ? Number(args[0]) : null;
+
+        if (args.length > 1 || (temperature !== null && !(temperature >= 0 && temperature <= 2))) {
+            console.log(chalk.yellow('Usage: retry [temperature], with a temperature between 0 and 2'));
+            this.rl.prompt();
+            return;
+        }
+
+        const lastMessage = this.chatManager.getUserMessages().pop();
+        if (!lastMessage) {
+            console.log(chalk.yellow('Nothing to retry yet.'));
+            this.rl.prompt();
+            return;
+        }
+
+        console.log(chalk.gray(`🔁 Retrying: ${this.formatPreview(lastMessage.content, 60)}`));
+        await this.processChatMessage((onChunk, options) => this.chatManager.retryTurn({
+            ...options,
+            onChunk,
+            ...(temperature !== null ? { temperature } : {})
+        }));
+    }
+
+    /**
+     * List the user messages, or rewrite one and continue the conversation from there
+     * @param {string} argument - '<n> <message>', or empty to list the messages
+     */
+    async handleEditCommand(argument) {
+        const match = argument.match(/^(\d+)\s+([\s\S]+)$/);
+
+        if (!match) {
+            const userMessages = this.chatManager.getUserMessages();
+
+            if (userMessages.length === 0) {
+                console.log(chalk.yellow('No messages to edit yet.'));
+            } else {
+                console.log(chalk.blue.bold('✏️ Your Messages:'));
+                for (const message of userMessages) {
+                    console.log(chalk.cyan(`  ${String(message.number).padStart(2)}. `) + chalk.white(this.formatPreview(message.content, 70)));
+                }
+            }
+            console.log(chalk.gray('  Use "edit <n> <new message>" to rewrite one; later messages are replaced'));
+            this.rl.prompt();
+            return;
+        }
+
+        const index = parseInt(match[1], 10);
+        const count = this.chatManager.getUserMessages().length;
+        if (index < 1 || index > count) {
+            console.log(chalk.yellow(count === 0 ? 'No messages to edit yet.' : `Message number must be between 1 and ${count}`));
+            this.rl.prompt();
+            return;
+        }
+
+        await this.processChatMessage((onChunk, options) =>
+            this.chatManager.editMessage(index, match[2], { ...options, onChunk }));
+    }
+
+    /**
+     * List branches, fork a new one, or delete one
+     * @param {Array<string>} args - Command arguments ([], [name] or ['delete', name])
+     */
+    handleBranchCommand(args) {
+        try {
+            if (args.length === 1) {
+                const branch = this.chatManager.createBranch(args[0]);
+                console.log(chalk.green(`🌿 Created branch ${branch.name}`) +
+                    chalk.gray(` from ${branch.parent} (${branch.messageCount} messages); use "switch ${branch.parent}" to go back`));
+                return;
+            }
+
+            if (args.length === 2 && args[0].toLowerCase() === 'delete') {
+                this.chatManager.deleteBranch(args[1]);
+                console.log(chalk.green(`🗑️ Deleted branch ${args[1]}`));
+                return;
+            }
+
+            if (args.length > 0) {
+                console.log(chalk.yellow('Usage: branch, branch <name>, or branch delete <name>'));
+                return;
+            }
+        } catch (error) {
+            console.log(chalk.red('❌ ') + error.message);
+            return;
+        }
+
+        console.log(chalk.blue.bold('🌿 Branches:'));
+        for (const branch of this.chatManager.listBranches()) {
+            const marker = branch.current ? chalk.green('* ') : '  ';
+            const parent = branch.parent ? `, from ${branch.parent}` : '';
+            console.log(`  ${marker}` + chalk.cyan(branch.name) + chalk.gray(` (${branch.messageCount} messages${parent})`));
+        }
+        console.log(chalk.gray('  Use "branch <name>" to fork and "switch <name>" to change branches'));
+    }
+
+    /**
+     * Switch to another branch
+     * @param {string} name - Branch name
+     */
+    handleSwitchCommand(name) {
+        if (!name) {
+            console.log(chalk.yellow('Usage: switch <name> (see "branch" for the list)'));
+            return;
+        }
+
+        try {
+            const branch = this.chatManager.switchBranch(name);
+            console.log(chalk.green(`🌿 Switched to branch ${branch.name}`) + chalk.gray(` (${branch.messageCount} messages)`));
+        } catch (error) {
+            console.log(chalk.red('❌ ') + error.message);
+        }
+    }
+
+    /**
+     * Export the conversation to a file
+     * @param {string} args - Command arguments as typed: a format and an optional path
+     *   (defaults to exports/<conversation file name>.<extension>)
+     */
+    async handleExportCommand(args) {
+        const [format, ...rest] = args.split(/\s+/).filter(Boolean);
+        if (!format) {
+            console.log(chalk.yellow(`Usage: export <format> [path]; formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`));
+            return;
+        }
+
+        try {
+            const content = this.chatManager.exportConversation(format);
+            const extension = EXPORT_FORMATS[this.chatManager.exporter.resolveFormat(format)];
+            const basename = path.basename(this.sessionFile || this.conversationStore.createFilename(), '.json');
+            const filepath = rest.length > 0
+                ? rest.join(' ')
+                : path.join(process.cwd(), 'exports', `${basename}.${extension}`);
+
+            await fs.promises.mkdir(path.dirname(path.resolve(filepath)), { recursive: true });
+            await fs.promises.writeFile(filepath, content, 'utf8');
+
+            const stats = this.chatManager.getConversationStats();
+            console.log(chalk.green(`📤 Exported ${stats.totalMessages + stats.summarizedMessages} messages to ${filepath}`));
+        } catch (error) {
+            console.log(chalk.red('❌ Could not export the conversation: ') + error.message);
+        }
+    }
+
+    /**
+     * Shorten text to one line for listings
+     * @param {string} text - Text to shorten
+     * @param {number} maxLength - Maximum length, including the ellipsis
+     * @returns {string} Shortened text
+     */
+    formatPreview(text, maxLength) {
+        const line = String(text ?? '').replace(/\s+/g, ' ').trim();
+        return line.length > maxLength ? `${line.slice(0, maxLength - 3)}...` : line;
+    }
+
+    /**
+     * Show or change budgets.
+     * With no arguments, shows each limit and how much of it is used.
+     * @param {Array<string>} args - Command arguments, e.g. ['session', 'cost', '2.50'],
+     *   ['turn', 'tokens', 'off'] or ['warn', '0.9']
+     */
+    handleBudgetCommand(args) {
+        try {
+            if (args[0] === 'warn' && args.length === 2) {
+                this.chatManager.setBudget({ warnAt: parseFloat(args[1]) });
+            } else if (args.length === 3 && ['turn', 'session'].includes(args[0]) && ['tokens', 'cost'].includes(args[1])) {
+                const key = `${args[0]}${args[1] === 'tokens' ? 'Tokens' : 'Cost'}`;
+                this.chatManager.setBudget({ [key]: args[2] === 'off' ? null : parseFloat(args[2].replace(/^\$/, '')) });
+            } else if (args.length > 0) {
+                console.log(chalk.yellow('Usage: budget <turn|session> <tokens|cost> <value|off>, or budget warn <0-1>'));
+                return;
+            }
+        } catch (error) {
+            console.log(chalk.red('❌ ') + error.message);
+            return;
+        }
+
+        const budget = this.chatManager.getBudget();
+        const session = this.chatManager.getConversationStats().usage;
+        const format = (metric, value) => value === null ? chalk.gray('no limit')
+            : chalk.white(metric === 'cost' ? this.formatCost(value) : `${value} tokens`);
+
+        console.log(chalk.blue.bold('💰 Budgets:'));
+        console.log(chalk.cyan('  Per turn: ') + format('tokens', budget.turnTokens) + chalk.gray(', ') + format('cost', budget.turnCost));
+        console.log(chalk.cyan('  Session: ') + format('tokens', budget.sessionTokens) + chalk.gray(', ') + format('cost', budget.sessionCost));
+        console.log(chalk.cyan('  Session used: ') + chalk.white(`${session.totalTokens} tokens, ${this.formatCost(session.cost)}`));
+        console.log(chalk.cyan('  Warn at: ') + chalk.white(`${Math.round(budget.warnAt * 100)}%`));
+        console.log('');
+    }
+
+    /**
+     * Format a cost in USD for display
+     * @param {number} cost - Cost in USD
+     * @returns {string} Formatted cost (e.g. '$0.0042')
+     */
+    formatCost(cost) {
+        return `$${cost.toFixed(cost > 0 && cost < 0.0001 ? 6 : 4)}`;
+    }
+
     /**
      * Show available functions
      */
@@ -625,12 +1720,40 @@ class AgentCLI {
      * Show current configuration and integration status
      */
     showConfig() {
-        const config = this.openaiClient.getConfig();
+        const config = { ...this.openaiClient.getConfig(), ...this.chatManager.getModelConfig() };
+        const providerInfo = this.openaiClient.getProvider().describe();
         
         console.log(chalk.blue.bold('⚙️ Current Configuration:'));
+        console.log(chalk.cyan('  Provider: ') + chalk.white(providerInfo.name));
+        if (providerInfo.baseURL) {
+            console.log(chalk.cyan('  Base URL: ') + chalk.white(providerInfo.baseURL));
+        }
+        if (providerInfo.cassette) {
+            console.log(chalk.cyan('  Cassette: ') + chalk.white(providerInfo.cassette));
+        }
         console.log(chalk.cyan('  Model: ') + chalk.white(config.model));
+        if (config.fallbackModels.length > 0) {
+            console.log(chalk.cyan('  Fallback chain: ') + chalk.white(this.openaiClient.getModelChain(config.model).join(' → ')));
+        }
+        const capabilities = this.openaiClient.getModelCapabilities(config.model);
+        const features = ['tools', 'vision', 'jsonMode', 'jsonSchema'].filter(feature => capabilities[feature]);
+        console.log(chalk.cyan('  Context window: ') + chalk.white(`${capabilities.contextWindow} tokens (max output ${capabilities.maxOutputTokens})`) +
+            (capabilities.known ? '' : chalk.yellow(' - unknown model, using defaults; set OPENAI_MODELS')));
+        console.log(chalk.cyan('  Capabilities: ') + chalk.white(features.join(', ') || 'none'));
         console.log(chalk.cyan('  Temperature: ') + chalk.white(config.temperature));
         console.log(chalk.cyan('  Max tokens: ') + chalk.white(config.maxTokens));
+        if (this.chatManager) {
+            const history = this.chatManager.historyStrategy === 'summarize'
+                ? `summarize at ${Math.round(this.chatManager.compactThreshold * 100)}% of the context, keep ${this.chatManager.compactKeepRecent} recent messages`
+                : 'trim oldest messages';
+            console.log(chalk.cyan('  History: ') + chalk.white(history));
+            console.log(chalk.cyan('  Session: ') + chalk.white(this.sessions.getActiveSession().name) +
+                chalk.gray(` (${this.sessions.sessions.size} open)`));
+        }
+        if (this.openaiClient.rateLimiter) {
+            const { requestsPerMinute, tokensPerMinute } = this.openaiClient.rateLimiter.getLimits(config.model);
+            console.log(chalk.cyan('  Rate limits: ') + chalk.white(`${requestsPerMinute || '∞'} requests/min, ${tokensPerMinute || '∞'} tokens/min`));
+        }
         console.log(chalk.cyan('  API key: ') + (process.env.OPENAI_API_KEY ? chalk.green('Set (hidden)') : chalk.red('Not set')));
         
         console.log('');
@@ -718,13 +1841,16 @@ class AgentCLI {
                     throw new Error('Message flow integration failed');
                 }
                 
-                // Test function message formatting
-                this.chatManager.addToHistory('function', 'test result', { name: 'testFunction' });
+                // Test tool message formatting
+                this.chatManager.addToHistory('assistant', null, {
+                    tool_calls: [{ id: 'call_test', type: 'function', function: { name: 'testFunction', arguments: '{}' } }]
+                });
+                this.chatManager.addToHistory('tool', 'test result', { tool_call_id: 'call_test', name: 'testFunction' });
                 const formattedWithFunction = this.chatManager.getFormattedHistory();
                 
-                const functionMessage = formattedWithFunction.find(msg => msg.role === 'function');
-                if (!functionMessage || !functionMessage.name || !functionMessage.content) {
-                    throw new Error('Function message formatting failed');
+                const functionMessage = formattedWithFunction.find(msg => msg.role === 'tool');
+                if (!functionMessage || functionMessage.tool_call_id !== 'call_test' || !functionMessage.content) {
+                    throw new Error('Tool message formatting failed');
                 }
                 
                 // Restore original history
@@ -791,8 +1917,17 @@ class AgentCLI {
         console.log(chalk.yellow('🔄 Shutting down gracefully...'));
         
         try {
-            // Save conversation state if there's meaningful conversation history
-            await this.saveConversationState();
+            // Nothing may change a conversation while it is being saved
+            await this.cancelActiveTurns();
+
+            // Save each session's conversation if there's meaningful conversation history;
+            // a journal is only deleted once it is safely saved
+            for (const { id } of this.sessions?.listSessions() ?? []) {
+                this.activateSession(this.sessions.getSession(id));
+                if (await this.saveConversationState()) {
+                    this.closeJournal();
+                }
+            }
             
             // Clean up resources
             await this.cleanupResources();
@@ -812,12 +1947,30 @@ class AgentCLI {
         }, 100);
     }
 
+    /**
+     * Cancel every running and queued turn and wait until they have
+     * finished, so their conversations are back to a consistent state
+     * @param {number} [timeoutMs=5000] - Longest time to wait
+     * @returns {Promise<void>}
+     */
+    async cancelActiveTurns(timeoutMs = 5000) {
+        for (const controller of this.activeTurns) {
+            controller.abort();
+        }
+
+        const deadline = Date.now() + timeoutMs;
+        while (this.activeTurns.size > 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    }
+
     /**
      * Save conversation state to file if there's meaningful content
+     * @returns {Promise<boolean>} False if the conversation could not be saved
      */
     async saveConversationState() {
         if (!this.chatManager) {
-            return;
+            return true;
         }
 
         try {
@@ -825,46 +1978,32 @@ class AgentCLI {
             
             // Only save if there's meaningful conversation (more than just system message)
             if (stats.totalMessages > 0 && (stats.userMessages > 0 || stats.assistantMessages > 0)) {
-                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-                const filename = `conversation-${timestamp}.json`;
-                
-                // Create conversations directory if it doesn't exist
-                const fs = await import('fs');
-                const path = await import('path');
-                
-                const conversationsDir = path.join(process.cwd(), 'conversations');
-                
-                try {
-                    await fs.promises.access(conversationsDir);
-                } catch {
-                    await fs.promises.mkdir(conversationsDir, { recursive: true });
-                }
-                
                 // Export conversation data
                 const conversationData = {
                     timestamp: new Date().toISOString(),
                     stats: stats,
+                    systemPrompt: this.chatManager.systemMessage.content,
                     messages: this.chatManager.getHistory(false), // Exclude system message
+                    summary: this.chatManager.summaryMessage?.content ?? null,
+                    summarizedMessages: this.chatManager.getSummarizedMessages(),
+                    branches: this.chatManager.getBranches(),
+                    currentBranch: this.chatManager.currentBranch,
                     config: {
-                        model: this.openaiClient.getConfig().model,
-                        temperature: this.openaiClient.getConfig().temperature,
-                        maxTokens: this.openaiClient.getConfig().maxTokens
+                        ...this.chatManager.getModelConfig()
                     }
                 };
                 
-                const filepath = path.join(conversationsDir, filename);
-                await fs.promises.writeFile(
-                    filepath, 
-                    JSON.stringify(conversationData, null, 2), 
-                    'utf8'
-                );
+                // Each session keeps its file (a loaded conversation is saved back to its own)
+                const { filename } = await this.conversationStore.save(conversationData, this.sessionFile);
                 
                 console.log(chalk.blue(`💾 Conversation saved to: ${filename}`));
-                console.log(chalk.gray(`   Messages: ${stats.totalMessages}, Tokens: ~${stats.estimatedTokens}`));
+                console.log(chalk.gray(`   Messages: ${stats.totalMessages}, Tokens: ~${stats.estimatedTokens}, Cost: ${this.formatCost(stats.usage.cost)}`));
             }
-            
+
+            return true;
         } catch (error) {
             console.error(chalk.yellow('⚠️ Could not save conversation:'), error.message);
+            return false;
         }
     }
 
@@ -891,12 +2030,16 @@ class AgentCLI {
         
         // Clean up OpenAI client resources (if any)
         if (this.openaiClient && typeof this.openaiClient.cleanup === 'function') {
-            cleanupTasks.push(this.openaiClient.cleanup());
+            cleanupTasks.push(this.openaiClient.cleanup()
+                .then(() => console.log('🧹 OpenAI client cleanup completed')));
         }
         
-        // Clean up chat manager resources (if any)
-        if (this.chatManager && typeof this.chatManager.cleanup === 'function') {
-            cleanupTasks.push(this.chatManager.cleanup());
+        // Clean up every session's chat manager
+        this.detachReporter?.();
+        this.detachReporter = null;
+        if (this.sessions) {
+            cleanupTasks.push(this.sessions.cleanup()
+                .then(() => console.log('🧹 Chat manager cleanup completed')));
         }
         
         // Clean up function registry resources (if any)
@@ -939,6 +2082,27 @@ class AgentCLI {
     }
 }
 
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} CLI options ({ resume })
+ * @example
+ * parseCommandLine(['--resume', 'last']); // { resume: 'last' }
+ */
+function parseCommandLine(args) {
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--resume') {
+            options.resume = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : 'last';
+        } else if (args[i].startsWith('--resume=')) {
+            options.resume = args[i].slice('--resume='.length);
+        }
+    }
+
+    return options;
+}
+
 /**
  * Main application entry point.
  * Sets up error handlers, initializes the CLI, and starts the agent.
@@ -947,10 +2111,10 @@ class AgentCLI {
  * @function main
  * @example
  * // This is called automatically when the script is run directly
- * // node index.js
+ * // node index.js [--resume <last|number|file>]
  */
 async function main() {
-    const cli = new AgentCLI();
+    const cli = new AgentCLI(parseCommandLine(process.argv.slice(2)));
     
     try {
         // Set up global error handlers
@@ -964,8 +2128,13 @@ async function main() {
             cli.handleError(new Error(reason));
         });
 
+        // SIGINT outside readline (e.g. kill -INT) follows the same Ctrl+C rules
+        process.on('SIGINT', () => {
+            cli.handleInterrupt();
+        });
+
         // Set up graceful shutdown handlers for various signals
-        const shutdownSignals = ['SIGTERM', 'SIGINT', 'SIGUSR2'];
+        const shutdownSignals = ['SIGTERM', 'SIGUSR2'];
         
         shutdownSignals.forEach(signal => {
             process.on(signal, async () => {
@@ -995,7 +2164,7 @@ async function main() {
 
         // Initialize and start the CLI
         await cli.initialize();
-        cli.start();
+        await cli.start();
 
     } catch (error) {
         console.error('❌ Failed to start application:', error.message);
@@ -12,6 +12,30 @@
  * functionRegistry.registerBuiltInFunctions(functionSchemas, availableFunctions);
  */
 
+/**
+ * Fetch implementation used by functions that call external APIs.
+ * Defaults to the global fetch; replaced in cassette record/replay mode.
+ * @private
+ */
+let fetchImplementation = (...args) => fetch(...args);
+
+/**
+ * Replace the fetch implementation used by the built-in functions.
+ * Used to record or replay their HTTP calls through a cassette.
+ * 
+ * @function setFetchImplementation
+ * @param {Function|null} fetchImpl - Fetch-compatible function, or null to restore the global fetch
+ * @throws {Error} If fetchImpl is neither a function nor null
+ * @example
+ * setFetchImplementation(cassette.wrapFetch(globalThis.fetch));
+ */
+export function setFetchImplementation(fetchImpl) {
+  if (fetchImpl !== null && typeof fetchImpl !== 'function') {
+    throw new Error('Fetch implementation must be a function or null');
+  }
+  fetchImplementation = fetchImpl || ((...args) => fetch(...args));
+}
+
 /**
  * Get user's location based on their IP address using the ipapi.co service.
  * This function makes an external API call to determine the user's approximate
@@ -19,6 +43,9 @@
  * 
  * @async
  * @function getLocation
+ * @param {Object} [args={}] - Function arguments (none are used)
+ * @param {Object} [context={}] - Execution context from the function registry
+ * @param {AbortSignal} [context.signal] - Aborts the HTTP request when signalled
  * @returns {Promise<Object>} Location data object
  * @returns {string} return.city - City name
  * @returns {string} return.region - Region/state name
@@ -30,9 +57,9 @@
  * const location = await getLocation();
  * console.log(`You are in ${location.city}, ${location.country}`);
  */
-async function getLocation() {
+async function getLocation(args = {}, { signal } = {}) {
   try {
-    const response = await fetch("https://ipapi.co/json/");
+    const response = await fetchImplementation("https://ipapi.co/json/", { signal });
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
@@ -53,6 +80,8 @@ async function getLocation() {
  * @param {Object} args - Function arguments
  * @param {string} args.latitude - Latitude coordinate as a string
  * @param {string} args.longitude - Longitude coordinate as a string
+ * @param {Object} [context={}] - Execution context from the function registry
+ * @param {AbortSignal} [context.signal] - Aborts the HTTP request when signalled
  * @returns {Promise<Object>} Weather data object
  * @returns {Object} return.current_weather - Current weather conditions
  * @returns {number} return.current_weather.temperature - Temperature in Celsius
@@ -63,11 +92,11 @@ async function getLocation() {
  * const weather = await getCurrentWeather({ latitude: "40.7128", longitude: "-74.0060" });
  * console.log(`Temperature: ${weather.current_weather.temperature}°C`);
  */
-async function getCurrentWeather(args) {
+async function getCurrentWeather(args, { signal } = {}) {
   try {
     const { latitude, longitude } = args;
     const url = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&hourly=apparent_temperature&current_weather=true`;
-    const response = await fetch(url);
+    const response = await fetchImplementation(url, { signal });
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
@@ -274,4 +303,5 @@ export default {
   getLocation,
   getCurrentTime,
   calculateMath,
+  setFetchImplementation,
 };
\ No newline at end of file
@@ -0,0 +1,145 @@
+import LLMProvider from './llm-provider.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Cassette Provider
+ *
+ * Wraps another provider to record its chat completions to a cassette, or
+ * replays completions from a cassette without any inner provider at all.
+ * Streaming responses are recorded chunk by chunk and replayed the same way.
+ * Errors are recorded too, so retry behavior replays faithfully.
+ *
+ * @class CassetteProvider
+ * @extends LLMProvider
+ * @example
+ * const provider = new CassetteProvider(cassette, new OpenAIProvider({ apiKey }));
+ */
+class CassetteProvider extends LLMProvider {
+    /**
+     * Create a new cassette provider.
+     *
+     * @constructor
+     * @param {Cassette} cassette - Loaded cassette
+     * @param {LLMProvider|null} inner - Provider to record from (unused when replaying)
+     * @throws {ValidationError} If recording without an inner provider
+     */
+    constructor(cassette, inner = null) {
+        super(`cassette-${cassette.mode}`);
+
+        if (!cassette.isReplaying() && !inner) {
+            throw new ValidationError('Recording a cassette requires a provider to record from');
+        }
+
+        this.cassette = cassette;
+        this.inner = cassette.isReplaying() ? null : inner;
+    }
+
+    /**
+     * Initialize the inner provider (record mode only)
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        if (this.inner) {
+            await this.inner.initialize();
+        }
+    }
+
+    /**
+     * Record or replay a chat completion
+     * @param {Object} params - Chat completion request parameters
+     * @param {Object} [options={}] - Request options (passed to the inner provider)
+     * @param {AbortSignal} [options.signal] - Aborts the request when signalled
+     * @returns {Promise<Object|AsyncIterable<Object>>} Completion response or chunk stream
+     * @throws {Error} Replayed errors, or a CassetteMismatchError for unrecorded requests
+     */
+    async createChatCompletion(params, options = {}) {
+        if (this.cassette.isReplaying()) {
+            const recorded = this.cassette.replay('chat', params);
+
+            if (recorded.error) {
+                throw Object.assign(new Error(recorded.error.message), {
+                    status: recorded.error.status,
+                    code: recorded.error.code
+                });
+            }
+
+            return recorded.chunks ? this.replayStream(recorded.chunks) : recorded;
+        }
+
+        let response;
+        try {
+            response = await this.inner.createChatCompletion(params, options);
+        } catch (error) {
+            // A cancelled request says nothing about the API, so it is not recorded
+            if (options.signal?.aborted) {
+                throw error;
+            }
+
+            await this.cassette.record('chat', params, {
+                error: { message: error.message, status: error.status, code: error.code }
+            });
+            throw error;
+        }
+
+        if (params.stream) {
+            return this.recordStream(params, response);
+        }
+
+        await this.cassette.record('chat', params, response);
+        return response;
+    }
+
+    /**
+     * Pass stream chunks through while collecting them for the cassette
+     * @param {Object} params - Chat completion request parameters
+     * @param {AsyncIterable<Object>} stream - Stream from the inner provider
+     * @yields {Object} Chat completion chunk
+     */
+    async *recordStream(params, stream) {
+        const chunks = [];
+
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+            yield chunk;
+        }
+
+        await this.cassette.record('chat', params, { chunks });
+    }
+
+    /**
+     * Replay recorded stream chunks
+     * @param {Array<Object>} chunks - Recorded chunks
+     * @yields {Object} Chat completion chunk
+     */
+    async *replayStream(chunks) {
+        for (const chunk of chunks) {
+            yield chunk;
+        }
+    }
+
+    /**
+     * Describe the provider for display
+     * @returns {Object} Provider name, cassette path and inner provider details
+     */
+    describe() {
+        return {
+            ...(this.inner ? this.inner.describe() : {}),
+            name: this.inner ? `${this.inner.name} (recording)` : 'cassette (replay)',
+            cassette: this.cassette.filePath
+        };
+    }
+
+    /**
+     * Wait for pending cassette writes and release the inner provider
+     * @returns {Promise<void>}
+     */
+    async cleanup() {
+        await this.cassette.pendingSave.catch(() => {});
+
+        if (this.inner) {
+            await this.inner.cleanup();
+        }
+    }
+}
+
+export default CassetteProvider;
\ No newline at end of file
@@ -0,0 +1,228 @@
+import fs from 'fs';
+import path from 'path';
+import { CassetteMismatchError, InitializationError, ValidationError } from './errors.js';
+
+/**
+ * Cassette for Record/Replay Mode
+ *
+ * Stores request/response pairs in a JSON file so conversations can be
+ * replayed deterministically without network access. Two kinds of
+ * interactions are recorded:
+ * - `chat`: chat completion requests, matched on model, messages and tools
+ * - `fetch`: outbound HTTP calls made by built-in functions, matched on
+ *   method, URL and body
+ *
+ * In replay mode each recorded interaction is used at most once, in
+ * recording order, and a request with no matching recording fails loudly
+ * instead of reaching the network.
+ *
+ * @class Cassette
+ * @example
+ * // Record a session
+ * const cassette = new Cassette('cassettes/weather.json', 'record');
+ * await cassette.load();
+ * await client.initialize(apiKey, { cassette });
+ *
+ * // Replay it later, offline
+ * const cassette = new Cassette('cassettes/weather.json', 'replay');
+ * await cassette.load();
+ * await client.initialize(null, { cassette });
+ */
+class Cassette {
+    /**
+     * Create a new cassette.
+     *
+     * @constructor
+     * @param {string} filePath - Path of the cassette JSON file
+     * @param {string} [mode='replay'] - 'record' or 'replay'
+     * @throws {ValidationError} If the path is empty or the mode is unknown
+     */
+    constructor(filePath, mode = 'replay') {
+        if (!filePath || typeof filePath !== 'string') {
+            throw new ValidationError('Cassette file path must be a non-empty string');
+        }
+
+        if (!['record', 'replay'].includes(mode)) {
+            throw new ValidationError(`Invalid cassette mode: ${mode}. Must be 'record' or 'replay'`);
+        }
+
+        this.filePath = filePath;
+        this.mode = mode;
+        this.interactions = [];
+        this.pendingSave = Promise.resolve();
+    }
+
+    /**
+     * Load recorded interactions (replay mode) or start an empty cassette (record mode)
+     * @returns {Promise<void>}
+     * @throws {InitializationError} If the cassette file cannot be read in replay mode
+     */
+    async load() {
+        if (this.mode === 'record') {
+            this.interactions = [];
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new InitializationError(`Failed to load cassette ${this.filePath}: ${error.message}`, {
+                component: 'cassette',
+                cause: error
+            });
+        }
+
+        this.interactions = (data.interactions || []).map(interaction => ({ ...interaction, used: false }));
+    }
+
+    /**
+     * Check whether the cassette is replaying recorded interactions
+     * @returns {boolean} True in replay mode
+     */
+    isReplaying() {
+        return this.mode === 'replay';
+    }
+
+    /**
+     * Record an interaction and persist the cassette
+     * @param {string} kind - 'chat' or 'fetch'
+     * @param {Object} request - Request data
+     * @param {Object} response - Response data (or { error } for failures)
+     * @returns {Promise<void>}
+     */
+    async record(kind, request, response) {
+        // Snapshot now: callers keep mutating their message arrays
+        this.interactions.push(JSON.parse(JSON.stringify({ kind, request, response })));
+        await this.save();
+    }
+
+    /**
+     * Find and consume the next unused recording matching a request
+     * @param {string} kind - 'chat' or 'fetch'
+     * @param {Object} request - Request data
+     * @returns {Object} The recorded response
+     * @throws {CassetteMismatchError} If no recording matches
+     */
+    replay(kind, request) {
+        const key = this.matchKey(kind, request);
+        const interaction = this.interactions.find(candidate =>
+            !candidate.used &&
+            candidate.kind === kind &&
+            this.matchKey(kind, candidate.request) === key
+        );
+
+        if (!interaction) {
+            throw new CassetteMismatchError(
+                `Cassette replay failed: no unused ${kind} recording in ${this.filePath} matches ${this.describeRequest(kind, request)}`
+            );
+        }
+
+        interaction.used = true;
+        return interaction.response;
+    }
+
+    /**
+     * Build the key a request is matched on
+     * @param {string} kind - 'chat' or 'fetch'
+     * @param {Object} request - Request data
+     * @returns {string} Match key
+     */
+    matchKey(kind, request) {
+        if (kind === 'chat') {
+            return JSON.stringify({
+                model: request.model,
+                messages: request.messages,
+                tools: request.tools || null,
+                stream: Boolean(request.stream)
+            });
+        }
+
+        return JSON.stringify({
+            method: (request.method || 'GET').toUpperCase(),
+            url: request.url,
+            body: request.body || null
+        });
+    }
+
+    /**
+     * Summarize a request for mismatch errors
+     * @param {string} kind - 'chat' or 'fetch'
+     * @param {Object} request - Request data
+     * @returns {string} Short description
+     */
+    describeRequest(kind, request) {
+        if (kind === 'chat') {
+            const last = request.messages[request.messages.length - 1];
+            const content = typeof last.content === 'string' ? last.content.slice(0, 80) : JSON.stringify(last.content);
+            return `model=${request.model}, ${request.messages.length} messages, last ${last.role} message: ${content}`;
+        }
+
+        return `${(request.method || 'GET').toUpperCase()} ${request.url}`;
+    }
+
+    /**
+     * Wrap a fetch implementation so its calls are recorded or replayed
+     * @param {Function} fetchImpl - Fetch implementation used in record mode
+     * @returns {Function} Fetch-compatible function
+     * @example
+     * setFetchImplementation(cassette.wrapFetch(globalThis.fetch));
+     */
+    wrapFetch(fetchImpl) {
+        return async (url, init = {}) => {
+            const request = {
+                url: String(url),
+                method: init.method || 'GET',
+                body: typeof init.body === 'string' ? init.body : null
+            };
+
+            if (this.isReplaying()) {
+                const recorded = this.replay('fetch', request);
+                return new Response(recorded.body, {
+                    status: recorded.status,
+                    statusText: recorded.statusText,
+                    headers: recorded.headers
+                });
+            }
+
+            const response = await fetchImpl(url, init);
+            const body = await response.text();
+
+            await this.record('fetch', request, {
+                status: response.status,
+                statusText: response.statusText,
+                headers: Object.fromEntries(response.headers.entries()),
+                body
+            });
+
+            return new Response(body, {
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers
+            });
+        };
+    }
+
+    /**
+     * Write the cassette file. Saves are serialized so concurrent
+     * recordings never interleave.
+     * @returns {Promise<void>}
+     */
+    async save() {
+        // A failed save must not block later ones
+        this.pendingSave = this.pendingSave.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+            const interactions = this.interactions.map(({ kind, request, response }) => ({ kind, request, response }));
+            await fs.promises.writeFile(
+                this.filePath,
+                JSON.stringify({ version: 1, interactions }, null, 2),
+                'utf8'
+            );
+        });
+
+        await this.pendingSave;
+    }
+}
+
+export default Cassette;
\ No newline at end of file
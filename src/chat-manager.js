@@ -1,14 +1,64 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import {
+    AgentError,
+    AuthenticationError,
+    BudgetExceededError,
+    CancelledError,
+    ContextLengthError,
+    InitializationError,
+    NetworkError,
+    RateLimitError,
+    SchemaValidationError,
+    ToolError,
+    TurnQueueError,
+    ValidationError
+} from './errors.js';
+import UsageLedger from './usage-ledger.js';
+import TokenCounter from './token-counter.js';
+import ConversationExporter from './conversation-exporter.js';
+import ConsoleReporter from './console-reporter.js';
+
 /**
  * Chat Manager for OpenAI Agent
  * 
  * Orchestrates conversations between users and the AI agent, managing:
  * - Conversation history and context
  * - Message formatting for OpenAI API
- * - Function calling flow and execution
+ * - Tool calling flow and execution
  * - Token management and history trimming
  * - Error handling and recovery
  * 
+ * Everything it does is reported as an event, so embedding apps can follow
+ * and render a turn. Unless `logToConsole` is false, a ConsoleReporter
+ * prints the events. Events that belong to a turn carry its `turnId`.
+ * - `turnStart`: { turnId, input } before a turn starts
+ * - `requestStart`: { turnId, reason, step, model, messageCount, stream } before each chat
+ *   completion request; reason is 'initial', 'toolResults', 'schemaRetry' or 'summary'
+ * - `requestEnd`: { turnId, reason, step, success, model, usage, finishReason, toolCalls,
+ *   latencyMs, error } after it; usage is the recorded request ({ promptTokens,
+ *   completionTokens, totalTokens, cost, ... }, see UsageLedger.record), toolCalls the names
+ *   of the functions the response calls
+ * - `token`: { turnId, content } for each text delta. Requests are streamed while anyone
+ *   listens to this event.
+ * - `toolCallStart`: { turnId, id, name, args } before a function runs
+ * - `toolCallEnd`: { turnId, id, name, args, success, result, error, errorType, latencyMs }
+ *   after it
+ * - `historyTrimmed`: { strategy, removed, remaining, tokensBefore, tokensAfter } when old
+ *   messages are dropped ('trim') or summarized ('summarize')
+ * - `warning`: { turnId, type, message } for budget warnings, schema corrections, stopped
+ *   agent loops, failed summaries, journal writes and event listeners
+ * - `error`: { turnId, error, type, message } when a turn fails (only emitted while there
+ *   is a listener, so it never throws)
+ * - `turnEnd`: { turnId, success, cancelled, message, error, steps, usage, cost, durationMs }
+ *   after a turn, however it ended
+ * - `conversationStart`, `historyCleared`, `systemPromptChanged`: { systemPrompt } when
+ *   the conversation is reset, cleared or its system prompt replaced
+ * - `functionTest`: { name, args, result } after testFunctionCall()
+ * - `cleanup`: {} once cleanup() is done
+ * 
  * @class ChatManager
+ * @extends EventEmitter
  * @example
  * // Create a chat manager
  * const chatManager = new ChatManager(openaiClient, functionRegistry);
@@ -23,32 +73,100 @@
  * // Get conversation stats
  * const stats = chatManager.getConversationStats();
  * console.log(`Messages: ${stats.totalMessages}`);
+ * 
+ * // Follow tool calls
+ * chatManager.on('toolCallEnd', ({ name, latencyMs }) => metrics.record(name, latencyMs));
+ */
+
+/**
+ * History strategies: drop the oldest messages, or summarize them first.
+ */
+const HISTORY_STRATEGIES = ['trim', 'summarize'];
+
+/**
+ * Instruction for the request that summarizes old messages.
  */
+const SUMMARY_PROMPT = 'You summarize conversations between a user and an AI assistant. ' +
+    'Write a concise summary of the conversation below that keeps every fact, name, number, ' +
+    'decision, preference and open question the assistant may need later, including what ' +
+    'tool calls returned. If an earlier summary is given, merge it into the new one. ' +
+    'Reply with the summary only.';
 
-class ChatManager {
+class ChatManager extends EventEmitter {
     /**
      * Create a new ChatManager instance.
      * 
      * @constructor
      * @param {OpenAIClient} openaiClient - Initialized OpenAI client instance
      * @param {FunctionRegistry} functionRegistry - Function registry with registered functions
-     * @throws {Error} If required dependencies are missing or not initialized
+     * @param {Object} [options={}] - Agent loop options
+     * @param {number} [options.maxSteps=10] - Maximum tool-calling rounds per turn
+     * @param {number} [options.turnTimeoutMs=120000] - Wall-clock budget per turn in milliseconds
+     * @param {number} [options.maxRepeatedToolCalls=3] - How often an identical tool call
+     *   (same name and arguments) may run in one turn before it is treated as a loop
+     * @param {number} [options.toolConcurrency=4] - Maximum tool calls from one response run at once
+     * @param {number} [options.schemaRetries=2] - Correction requests allowed when a structured
+     *   response does not match its schema (see processMessage's responseSchema option)
+     * @param {Object<string, Object>} [options.prices] - Per-model prices in USD per 1M tokens
+     *   ({ prompt, completion }), merged over the defaults (see UsageLedger)
+     * @param {UsageLedger} [options.usageLedger] - Ledger to record usage in (created if omitted)
+     * @param {TokenCounter} [options.tokenCounter] - Tokenizer for history trimming and stats (created if omitted)
+     * @param {string} [options.historyStrategy='trim'] - What happens to old messages when the history
+     *   grows: 'trim' drops them once the context window is full; 'summarize' replaces them with a
+     *   pinned summary first (see compactHistory)
+     * @param {number} [options.compactThreshold=0.8] - Fraction (0-1] of the context budget at which
+     *   the 'summarize' strategy compacts the history
+     * @param {number} [options.compactKeepRecent=6] - Newest messages kept verbatim when compacting
+     * @param {SessionJournal} [options.journal] - Journal every history change is appended to
+     *   (see setJournal)
+     * @param {Object} [options.budget] - Token and spend limits (see setBudget)
+     * @param {Object} [options.config] - Model settings for this conversation, overriding the
+     *   client's ({ model, temperature, maxTokens }; see setModelConfig)
+     * @param {Array<string>|null} [options.allowedTools=null] - Functions this conversation may
+     *   call (null for every registered function; see setAllowedTools)
+     * @param {number} [options.maxQueuedTurns=10] - Turns that may wait while another turn of this
+     *   conversation runs; further turns are rejected (see processMessage's ifBusy option)
+     * @param {boolean} [options.logToConsole=true] - Print events with a ConsoleReporter; turn
+     *   this off to render them yourself
+     * @throws {InitializationError} If required dependencies are missing or not initialized
+     * @throws {ValidationError} If a budget limit, history option, queue limit, model setting or
+     *   tool name is invalid
      * @example
      * const chatManager = new ChatManager(openaiClient, functionRegistry);
+     * 
+     * // With tighter agent loop limits
+     * const chatManager = new ChatManager(openaiClient, functionRegistry, {
+     *   maxSteps: 5,
+     *   turnTimeoutMs: 30000
+     * });
+     * 
+     * // Stop once a turn uses 20k tokens or the session costs $1
+     * const chatManager = new ChatManager(openaiClient, functionRegistry, {
+     *   budget: { turnTokens: 20000, sessionCost: 1.00 }
+     * });
+     * 
+     * // Summarize old messages instead of forgetting them
+     * const chatManager = new ChatManager(openaiClient, functionRegistry, {
+     *   historyStrategy: 'summarize'
+     * });
      */
-    constructor(openaiClient, functionRegistry) {
+    constructor(openaiClient, functionRegistry, options = {}) {
+        super();
+
         // Validate required dependencies
         if (!openaiClient) {
-            throw new Error('OpenAI client is required for ChatManager');
+            throw new InitializationError('OpenAI client is required for ChatManager', { component: 'openaiClient' });
         }
         
         if (!functionRegistry) {
-            throw new Error('Function registry is required for ChatManager');
+            throw new InitializationError('Function registry is required for ChatManager', { component: 'functionRegistry' });
         }
         
         // Validate that OpenAI client is properly initialized
         if (typeof openaiClient.isReady !== 'function' || !openaiClient.isReady()) {
-            throw new Error('OpenAI client must be initialized before creating ChatManager');
+            throw new InitializationError('OpenAI client must be initialized before creating ChatManager', {
+                component: 'openaiClient'
+            });
         }
         
         this.openaiClient = openaiClient;
@@ -56,8 +174,68 @@ class ChatManager {
         
         // Conversation state
         this.messageHistory = [];
-        this.maxHistoryLength = 20; // Limit to last 20 messages for token management
-        this.maxTokensPerMessage = 4000; // Approximate token limit per message
+        
+        // Agent loop limits
+        this.maxSteps = options.maxSteps ?? 10; // Tool-calling rounds per turn
+        this.turnTimeoutMs = options.turnTimeoutMs ?? 120000; // Wall-clock budget per turn
+        this.maxRepeatedToolCalls = options.maxRepeatedToolCalls ?? 3; // Identical calls per turn
+        this.toolConcurrency = options.toolConcurrency ?? 4; // Parallel tool calls per response
+        this.schemaRetries = options.schemaRetries ?? 2; // Corrections per structured response
+
+        // Token usage and cost of every API call, across the session
+        this.usageLedger = options.usageLedger || new UsageLedger(options.prices);
+        this.tokenCounter = options.tokenCounter || new TokenCounter();
+        this.exporter = new ConversationExporter();
+
+        // Events are emitted here; a detached copy emits on the original
+        this.eventTarget = this;
+        if (options.logToConsole ?? true) {
+            new ConsoleReporter().attach(this);
+        }
+
+        // History compaction
+        this.historyStrategy = options.historyStrategy ?? 'trim';
+        this.compactThreshold = options.compactThreshold ?? 0.8; // Fraction of the context budget
+        this.compactKeepRecent = options.compactKeepRecent ?? 6; // Messages never summarized
+        this.summaryMessage = null; // Pinned summary, kept right after the system message
+        this.summarizedMessages = []; // Originals replaced by the summary, for transcripts
+
+        // Named branches of the conversation (see createBranch)
+        this.branches = new Map();
+        this.currentBranch = 'main';
+
+        if (!HISTORY_STRATEGIES.includes(this.historyStrategy)) {
+            throw new ValidationError(`Invalid history strategy: ${this.historyStrategy}. Must be one of: ${HISTORY_STRATEGIES.join(', ')}`);
+        }
+        if (!(this.compactThreshold > 0 && this.compactThreshold <= 1)) {
+            throw new ValidationError('compactThreshold must be a number greater than 0 and at most 1');
+        }
+        if (!Number.isInteger(this.compactKeepRecent) || this.compactKeepRecent < 0) {
+            throw new ValidationError('compactKeepRecent must be a non-negative integer');
+        }
+
+        // One turn runs at a time; later turns wait in order (see processMessage)
+        this.turnInProgress = false;
+        this.turnQueue = []; // Waiting turns ({ resolve, reject, signal, onAbort })
+        this.maxQueuedTurns = options.maxQueuedTurns ?? 10;
+
+        if (!Number.isInteger(this.maxQueuedTurns) || this.maxQueuedTurns < 0) {
+            throw new ValidationError('maxQueuedTurns must be a non-negative integer');
+        }
+
+        // Crash-safe record of every history change
+        this.journal = options.journal || null;
+
+        // Token and spend limits, enforced before every API request
+        this.budget = { turnTokens: null, turnCost: null, sessionTokens: null, sessionCost: null, warnAt: 0.8 };
+        this.budgetWarnings = new Set(); // Session budgets already warned about
+        this.setBudget(options.budget || {});
+
+        // Model settings and tools of this conversation; the client's settings apply otherwise
+        this.modelConfig = {};
+        this.allowedTools = null;
+        this.setModelConfig(options.config || {});
+        this.setAllowedTools(options.allowedTools ?? null);
         
         // Configuration
         this.systemMessage = {
@@ -67,6 +245,7 @@ class ChatManager {
         
         // Add system message to history
         this.messageHistory.push(this.systemMessage);
+        this.journalSnapshot();
     }
 
     /**
@@ -74,6 +253,7 @@ class ChatManager {
      * Clears existing history and sets up a fresh conversation with optional custom system prompt.
      * 
      * @param {string} [systemPrompt=null] - Optional custom system prompt to guide the AI's behavior
+     * @throws {TurnQueueError} If a turn is in progress
      * @example
      * // Start with default system prompt
      * chatManager.startConversation();
@@ -84,8 +264,14 @@ class ChatManager {
      * );
      */
     startConversation(systemPrompt = null) {
+        this.assertIdle();
+
         // Reset conversation history
         this.messageHistory = [];
+        this.summaryMessage = null;
+        this.summarizedMessages = [];
+        this.branches = new Map();
+        this.currentBranch = 'main';
         
         // Set system message
         const systemContent = systemPrompt || this.systemMessage.content;
@@ -96,27 +282,21 @@ class ChatManager {
         
         // Add system message to history
         this.messageHistory.push(this.systemMessage);
+        this.journalSnapshot();
         
-        console.log('🤖 New conversation started. Type your message or "exit" to quit.');
+        this.emitEvent('conversationStart', { systemPrompt: systemContent });
     }
 
     /**
      * Add a message to conversation history
-     * @param {string} role - Message role ('user', 'assistant', 'system', 'function')
+     * @param {string} role - Message role ('user', 'assistant', 'system', 'tool')
      * @param {string} content - Message content
-     * @param {Object} metadata - Optional metadata (function_call, name, etc.)
+     * @param {Object} metadata - Optional metadata (tool_calls, tool_call_id, name, etc.)
+     * @returns {Object} The message that was added
+     * @throws {ValidationError} If the role, tool_call_id or content is invalid
      */
     addToHistory(role, content, metadata = {}) {
-        // Validate role
-        const validRoles = ['user', 'assistant', 'system', 'function'];
-        if (!validRoles.includes(role)) {
-            throw new Error(`Invalid message role: ${role}. Must be one of: ${validRoles.join(', ')}`);
-        }
-
-        // Validate content (allow null for function call messages)
-        if (content !== null && content !== undefined && typeof content !== 'string') {
-            throw new Error('Message content must be a string, null, or undefined');
-        }
+        this.validateMessage(role, content, metadata);
 
         // Create message object
         const message = {
@@ -128,9 +308,38 @@ class ChatManager {
 
         // Add to history
         this.messageHistory.push(message);
+        this.recordChange({ op: 'append', message });
 
         // Trim history if it exceeds maximum length
         this.trimHistory();
+
+        return message;
+    }
+
+    /**
+     * Check a message before it is added to the history
+     * @param {string} role - Message role
+     * @param {string|null} content - Message content
+     * @param {Object} [metadata={}] - Message metadata (tool_calls, tool_call_id, name)
+     * @throws {ValidationError} If the role, tool_call_id or content is invalid
+     * @private
+     */
+    validateMessage(role, content, metadata = {}) {
+        // Validate role
+        const validRoles = ['user', 'assistant', 'system', 'tool'];
+        if (!validRoles.includes(role)) {
+            throw new ValidationError(`Invalid message role: ${role}. Must be one of: ${validRoles.join(', ')}`);
+        }
+
+        // Tool results must reference the tool call they answer
+        if (role === 'tool' && !metadata.tool_call_id) {
+            throw new ValidationError('Tool messages must include a tool_call_id');
+        }
+
+        // Validate content (allow null for tool call messages)
+        if (content !== null && content !== undefined && typeof content !== 'string') {
+            throw new ValidationError('Message content must be a string, null, or undefined');
+        }
     }
 
     /**
@@ -151,82 +360,455 @@ class ChatManager {
      * @returns {Array} Array of messages in OpenAI format
      */
     getFormattedHistory() {
-        return this.messageHistory.map(msg => {
-            // Create base message object
-            const formattedMsg = {
-                role: msg.role
-            };
+        return this.messageHistory.map(msg => this.formatMessage(msg));
+    }
 
-            // Add function call information if present
-            if (msg.function_call) {
-                formattedMsg.function_call = msg.function_call;
-                // For assistant messages with function calls, content should be null
-                if (msg.role === 'assistant') {
-                    formattedMsg.content = null;
-                } else {
-                    // For function messages, content should be a string
-                    formattedMsg.content = typeof msg.content === 'string' ? msg.content : '';
+    /**
+     * Format a single history message for the OpenAI API
+     * @param {Object} msg - Message from history
+     * @returns {Object} Message in OpenAI format
+     */
+    formatMessage(msg) {
+        // Create base message object
+        const formattedMsg = {
+            role: msg.role
+        };
+
+        // Add tool call information if present
+        if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+            formattedMsg.tool_calls = msg.tool_calls.map(toolCall => ({
+                id: toolCall.id,
+                type: 'function',
+                function: {
+                    name: toolCall.function.name,
+                    arguments: toolCall.function.arguments || '{}'
                 }
-            } else {
-                // For regular messages, ensure content is a string
-                formattedMsg.content = typeof msg.content === 'string' ? msg.content : '';
-            }
+            }));
+            // Assistant messages with tool calls may have null content
+            formattedMsg.content = typeof msg.content === 'string' ? msg.content : null;
+        } else {
+            // For regular and tool messages, ensure content is a string
+            formattedMsg.content = typeof msg.content === 'string' ? msg.content : '';
+        }
 
-            // Add function name for function messages
-            if (msg.role === 'function' && msg.name) {
-                formattedMsg.name = msg.name;
-            }
+        // Link tool results to the call they answer
+        if (msg.role === 'tool') {
+            formattedMsg.tool_call_id = msg.tool_call_id;
+        }
 
-            return formattedMsg;
-        });
+        return formattedMsg;
     }
 
     /**
-     * Trim conversation history to manage token limits
-     * Keeps system message and most recent messages within limits
+     * Trim conversation history to fit the model's context window.
+     * Keeps the system message (and the conversation summary, if any) and
+     * drops the oldest turns until the history fits the context budget
+     * (see getContextBudget). Whole turns are dropped, so a tool call is
+     * never separated from its results (see groupIntoTurns).
      */
     trimHistory() {
-        // Always keep the system message (first message)
-        if (this.messageHistory.length <= this.maxHistoryLength) {
+        const budget = this.getContextBudget();
+        if (this.estimateTokenCount(this.messageHistory) <= budget) {
             return;
         }
 
-        // Keep system message and trim from the middle
-        const systemMessage = this.messageHistory[0];
-        const recentMessages = this.messageHistory.slice(-this.maxHistoryLength + 1);
-        
-        this.messageHistory = [systemMessage, ...recentMessages];
-        
-        console.log(`📝 Conversation history trimmed to ${this.messageHistory.length} messages`);
+        // Always keep the pinned messages (system message and summary) and the newest turn
+        const pinnedMessages = this.messageHistory.slice(0, this.getPinnedCount());
+        const turns = this.groupIntoTurns(this.messageHistory.slice(pinnedMessages.length));
+        const tokensBefore = this.estimateTokenCount(this.messageHistory);
+        let tokens = tokensBefore;
+
+        while (turns.length > 1 && tokens > budget) {
+            tokens -= this.countTurnTokens(turns.shift());
+        }
+
+        const trimmed = this.messageHistory.length - pinnedMessages.length - turns.flat().length;
+        this.messageHistory = [...pinnedMessages, ...turns.flat()];
+        if (trimmed > 0) {
+            this.recordChange({ op: 'trim', count: trimmed });
+            this.emitEvent('historyTrimmed', {
+                strategy: 'trim',
+                removed: trimmed,
+                remaining: this.messageHistory.length,
+                tokensBefore,
+                tokensAfter: tokens
+            });
+        }
+    }
+
+    /**
+     * Summarize the oldest messages into a pinned "conversation summary"
+     * system message, so facts from early in a long session survive when
+     * the history would otherwise be trimmed.
+     *
+     * The newest `compactKeepRecent` messages stay verbatim; the summarized
+     * span always ends before a user message, so tool calls are never split
+     * from their results. An existing summary is merged into the new one.
+     * The originals are kept in `summarizedMessages` for saved transcripts.
+     *
+     * Runs as a turn of its own, so it waits for a turn in progress (see
+     * processMessage).
+     *
+     * @async
+     * @param {Object} [options={}] - Compaction options
+     * @param {AbortSignal} [options.signal] - Cancels the summary request
+     * @param {number} [options.keepRecent] - Override compactKeepRecent
+     * @param {string} [options.ifBusy='wait'] - What to do while another turn runs (see processMessage)
+     * @returns {Promise<Object|null>} Result ({ summarized, tokensBefore, tokensAfter, summary }),
+     *   or null if there was nothing old enough to summarize
+     * @throws {BudgetExceededError} If a budget is used up
+     * @throws {CancelledError} If the signal is aborted
+     * @throws {TurnQueueError} If another turn runs and ifBusy is 'reject', or the queue is full
+     * @throws {AgentError} If the model returns an empty summary
+     * @example
+     * const result = await chatManager.compactHistory();
+     * if (result) {
+     *   console.log(`Summarized ${result.summarized} messages`);
+     * }
+     */
+    async compactHistory(options = {}) {
+        await this.acquireTurn(options);
+
+        try {
+            return await this.summarizeHistory(options);
+        } finally {
+            this.releaseTurn();
+        }
+    }
+
+    /**
+     * Summarize the oldest messages (see compactHistory), within a turn that
+     * is already running
+     * @param {Object} options - Compaction options
+     * @param {AbortSignal} [options.signal] - Cancels the summary request
+     * @param {Object} [options.turn] - Turn state to record usage in; a new ledger turn is
+     *   started if omitted
+     * @param {number} [options.keepRecent] - Override compactKeepRecent
+     * @returns {Promise<Object|null>} Result, or null if there was nothing to summarize
+     * @private
+     */
+    async summarizeHistory(options) {
+        const { signal = null, turn = null, keepRecent = this.compactKeepRecent } = options;
+
+        // Keep the newest messages, starting the kept part at a user message
+        const start = this.getPinnedCount();
+        let boundary = Math.max(start, this.messageHistory.length - keepRecent);
+        while (boundary > start && boundary < this.messageHistory.length &&
+            this.messageHistory[boundary].role !== 'user') {
+            boundary--;
+        }
+
+        if (boundary <= start) {
+            return null;
+        }
+
+        const span = this.messageHistory.slice(start, boundary);
+        const state = turn || { usage: null, budgetWarnings: new Set() };
+        const tokensBefore = this.estimateTokenCount(this.messageHistory);
+
+        this.enforceBudget(state);
+
+        const requestOptions = { ...this.getRequestOverrides(), temperature: 0 };
+        if (signal) {
+            requestOptions.signal = signal;
+        }
+
+        // A manual compaction is recorded as its own turn
+        const summaryRequest = this.buildSummaryRequest(span);
+        const response = await this.sendRequest(
+            state,
+            { reason: 'summary', step: null, messageCount: summaryRequest.length, stream: false },
+            () => this.openaiClient.createChatCompletion(summaryRequest, null, requestOptions)
+        );
+
+        const summary = response.choices?.[0]?.message?.content?.trim();
+        if (!summary) {
+            throw new AgentError('The model returned an empty conversation summary');
+        }
+
+        const summarizedCount = this.summarizedMessages.length + span.length;
+        this.summaryMessage = {
+            role: 'system',
+            content: `Summary of the earlier conversation (${summarizedCount} messages):\n${summary}`,
+            timestamp: new Date().toISOString(),
+            summary: true
+        };
+        this.summarizedMessages.push(...span);
+        this.messageHistory = [
+            this.messageHistory[0],
+            this.summaryMessage,
+            ...this.messageHistory.slice(boundary)
+        ];
+        this.journalSnapshot();
+
+        const tokensAfter = this.estimateTokenCount(this.messageHistory);
+        this.emitEvent('historyTrimmed', {
+            strategy: 'summarize',
+            removed: span.length,
+            remaining: this.messageHistory.length,
+            tokensBefore,
+            tokensAfter
+        });
+
+        return { summarized: span.length, tokensBefore, tokensAfter, summary };
+    }
+
+    /**
+     * Compact the history before a turn when the 'summarize' strategy is on
+     * and the history has reached the compaction threshold. If the summary
+     * request fails, the history is left for trimHistory to handle.
+     *
+     * @async
+     * @param {Object} turn - Turn state
+     * @returns {Promise<void>}
+     * @throws {BudgetExceededError} If a budget is used up
+     * @throws {CancelledError} If the turn is cancelled
+     * @private
+     */
+    async maybeCompactHistory(turn) {
+        if (this.historyStrategy !== 'summarize') {
+            return;
+        }
+
+        const threshold = this.getContextBudget() * this.compactThreshold;
+        if (this.estimateTokenCount(this.messageHistory) < threshold) {
+            return;
+        }
+
+        try {
+            await this.summarizeHistory({ signal: turn.signal, turn });
+        } catch (error) {
+            if (error instanceof CancelledError || error instanceof BudgetExceededError) {
+                throw error;
+            }
+            this.emitEvent('warning', {
+                turnId: turn.id,
+                type: 'SUMMARY_FAILED',
+                message: `Could not summarize the conversation, old messages will be trimmed instead: ${error.message}`
+            });
+        }
+    }
+
+    /**
+     * Build the request that asks the model to summarize messages
+     * @param {Array<Object>} span - Messages to summarize
+     * @returns {Array<Object>} Messages for the summary request
+     * @private
+     */
+    buildSummaryRequest(span) {
+        const transcript = span.map(msg => {
+            if (msg.role === 'tool') {
+                return `TOOL RESULT (${msg.name || msg.tool_call_id}): ${msg.content}`;
+            }
+
+            const calls = (msg.tool_calls || []).map(call => `${call.function.name}(${call.function.arguments || '{}'})`);
+            const text = [msg.content, calls.length > 0 ? `[called ${calls.join(', ')}]` : null]
+                .filter(Boolean)
+                .join(' ');
+
+            return `${msg.role.toUpperCase()}: ${text}`;
+        }).join('\n');
+
+        const previous = this.summaryMessage ? `Earlier summary:\n${this.summaryMessage.content}\n\n` : '';
+
+        return [
+            { role: 'system', content: SUMMARY_PROMPT },
+            { role: 'user', content: `${previous}Conversation:\n${transcript}` }
+        ];
+    }
+
+    /**
+     * Get the number of messages at the start of the history that are never
+     * trimmed or summarized (the system message and the summary)
+     * @returns {number} Pinned message count
+     * @private
+     */
+    getPinnedCount() {
+        return this.summaryMessage ? 2 : 1;
     }
 
     /**
-     * Estimate token count for messages (rough approximation)
+     * Get the messages that were replaced by the conversation summary
+     * @returns {Array<Object>} Summarized messages, oldest first
+     */
+    getSummarizedMessages() {
+        return [...this.summarizedMessages];
+    }
+
+    /**
+     * Get the tokens available for conversation history: the model's
+     * context window minus the tokens reserved for the response and the
+     * tool definitions sent with every request.
+     * 
+     * @returns {number} Token budget for the history (including the system message)
+     */
+    getContextBudget() {
+        const { contextWindow } = this.getModelCapabilities();
+        const { maxTokens } = this.getModelConfig();
+        const toolTokens = this.tokenCounter.countTools(this.getToolSchemas(), this.getEncoding());
+
+        return Math.max(0, contextWindow - maxTokens - toolTokens);
+    }
+
+    /**
+     * Count the prompt tokens a list of messages uses, with the current
+     * model's tokenizer (see TokenCounter)
      * @param {Array} messages - Array of messages
-     * @returns {number} Estimated token count
+     * @returns {number} Token count, including message overhead and tool calls
      */
     estimateTokenCount(messages) {
-        let totalTokens = 0;
-        
-        for (const message of messages) {
-            // Rough estimation: 1 token ≈ 4 characters for English text
-            const contentTokens = Math.ceil(message.content.length / 4);
-            
-            // Add overhead for message structure
-            totalTokens += contentTokens + 10;
-            
-            // Add tokens for function call data
-            if (message.function_call) {
-                const functionCallTokens = Math.ceil(JSON.stringify(message.function_call).length / 4);
-                totalTokens += functionCallTokens;
+        return this.tokenCounter.countMessages(messages, this.getEncoding());
+    }
+
+    /**
+     * Count the tokens one message adds to a request
+     * @param {Object} message - Chat message
+     * @returns {number} Token count, including message overhead and tool calls
+     * @private
+     */
+    countMessageTokens(message) {
+        return this.tokenCounter.countMessage(message, this.getEncoding());
+    }
+
+    /**
+     * Get the tokenizer encoding of the current model
+     * @returns {string} Encoding name
+     * @private
+     */
+    getEncoding() {
+        return this.getModelCapabilities().encoding;
+    }
+
+    /**
+     * Get the model settings this conversation uses: its own settings over
+     * the client's
+     * @returns {Object} Model settings ({ model, temperature, maxTokens })
+     */
+    getModelConfig() {
+        const { model, temperature, maxTokens } = this.openaiClient.getConfig();
+        return { model, temperature, maxTokens, ...this.modelConfig };
+    }
+
+    /**
+     * Change the model settings of this conversation only. Settings left
+     * out keep their current value; null removes the conversation's own
+     * setting, so the client's applies again.
+     * @param {Object} config - Model settings
+     * @param {string|null} [config.model] - Model name
+     * @param {number|null} [config.temperature] - Sampling temperature (0-2)
+     * @param {number|null} [config.maxTokens] - Maximum tokens per response
+     * @throws {ValidationError} If a setting is invalid
+     * @example
+     * chatManager.setModelConfig({ model: 'gpt-4o-mini', temperature: 0.2 });
+     */
+    setModelConfig(config) {
+        const { model, temperature, maxTokens } = config || {};
+
+        if (model !== undefined && model !== null && (typeof model !== 'string' || model.trim().length === 0)) {
+            throw new ValidationError('Model must be a non-empty string');
+        }
+        if (temperature !== undefined && temperature !== null && !(typeof temperature === 'number' && temperature >= 0 && temperature <= 2)) {
+            throw new ValidationError('Temperature must be a number between 0 and 2');
+        }
+        if (maxTokens !== undefined && maxTokens !== null && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+            throw new ValidationError('Max tokens must be a positive integer');
+        }
+
+        const modelConfig = { ...this.modelConfig };
+        for (const [key, value] of Object.entries({ model, temperature, maxTokens })) {
+            if (value === null) {
+                delete modelConfig[key];
+            } else if (value !== undefined) {
+                modelConfig[key] = value;
             }
         }
-        
-        return totalTokens;
+        this.modelConfig = modelConfig;
+    }
+
+    /**
+     * Get the capabilities of the model this conversation uses
+     * @returns {Object} Capabilities (see ModelRegistry)
+     * @private
+     */
+    getModelCapabilities() {
+        return this.openaiClient.getModelCapabilities(this.getModelConfig().model);
+    }
+
+    /**
+     * Get the request parameters that apply this conversation's own model settings
+     * @returns {Object} Raw request overrides ({ model, temperature, max_tokens })
+     * @private
+     */
+    getRequestOverrides() {
+        const { model, temperature, maxTokens } = this.modelConfig;
+        const overrides = {};
+
+        if (model !== undefined) {
+            overrides.model = model;
+        }
+        if (temperature !== undefined) {
+            overrides.temperature = temperature;
+        }
+        if (maxTokens !== undefined) {
+            overrides.max_tokens = maxTokens;
+        }
+
+        return overrides;
+    }
+
+    /**
+     * Limit the functions this conversation may call. Only the allowed
+     * functions are offered to the model, and a call to any other function
+     * is refused.
+     * @param {Array<string>|null} names - Function names, or null to allow every registered function
+     * @throws {ValidationError} If a name is not a registered function
+     * @example
+     * chatManager.setAllowedTools(['getCurrentTime', 'calculateMath']);
+     * chatManager.setAllowedTools([]);   // no functions
+     * chatManager.setAllowedTools(null); // all functions
+     */
+    setAllowedTools(names) {
+        if (names === null) {
+            this.allowedTools = null;
+            return;
+        }
+
+        if (!Array.isArray(names)) {
+            throw new ValidationError('Allowed tools must be a list of function names, or null for all functions');
+        }
+
+        const unknown = names.filter(name => !this.functionRegistry.hasFunction(name));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown functions: ${unknown.join(', ')}`);
+        }
+
+        this.allowedTools = new Set(names);
+    }
+
+    /**
+     * Check whether this conversation may call a function
+     * @param {string} name - Function name
+     * @returns {boolean} True if the function is allowed
+     */
+    isToolAllowed(name) {
+        return this.allowedTools === null || this.allowedTools.has(name);
+    }
+
+    /**
+     * Get the tool definitions offered to the model in this conversation
+     * @returns {Array<Object>} Tool schemas of the allowed functions
+     * @private
+     */
+    getToolSchemas() {
+        return this.functionRegistry.getToolSchemas().filter(tool => this.isToolAllowed(tool.function.name));
     }
 
     /**
-     * Trim messages to fit within token limit
+     * Trim messages to fit within token limit.
+     * Keeps the leading system messages (system prompt and summary) and adds
+     * whole turns from the most recent backwards while they fit. The newest
+     * turn is always kept, since it holds the message being answered.
+     * 
      * @param {Array} messages - Messages to trim
      * @param {number} maxTokens - Maximum token limit
      * @returns {Array} Trimmed messages
@@ -236,84 +818,797 @@ class ChatManager {
             return messages;
         }
 
-        // Always keep system message if present
-        const systemMessage = messages.find(msg => msg.role === 'system');
-        const otherMessages = messages.filter(msg => msg.role !== 'system');
-        
-        let currentTokens = systemMessage ? this.estimateTokenCount([systemMessage]) : 0;
-        const trimmedMessages = systemMessage ? [systemMessage] : [];
-        
-        // Add messages from most recent, working backwards
-        for (let i = otherMessages.length - 1; i >= 0; i--) {
-            const message = otherMessages[i];
-            const messageTokens = this.estimateTokenCount([message]);
-            
-            if (currentTokens + messageTokens <= maxTokens) {
-                trimmedMessages.unshift(message);
-                currentTokens += messageTokens;
-            } else {
+        const firstOther = messages.findIndex(msg => msg.role !== 'system');
+        const pinnedMessages = firstOther === -1 ? messages : messages.slice(0, firstOther);
+        const turns = this.groupIntoTurns(messages.slice(pinnedMessages.length));
+
+        let currentTokens = this.estimateTokenCount(pinnedMessages);
+        const keptMessages = [];
+
+        // Add turns from most recent, working backwards
+        for (let i = turns.length - 1; i >= 0; i--) {
+            const turnTokens = this.countTurnTokens(turns[i]);
+
+            if (keptMessages.length > 0 && currentTokens + turnTokens > maxTokens) {
                 break;
             }
+
+            keptMessages.unshift(...turns[i]);
+            currentTokens += turnTokens;
         }
-        
-        // If we have a system message, make sure it's first
-        if (systemMessage) {
-            const systemIndex = trimmedMessages.findIndex(msg => msg.role === 'system');
-            if (systemIndex > 0) {
-                const [sys] = trimmedMessages.splice(systemIndex, 1);
-                trimmedMessages.unshift(sys);
+
+        return [...pinnedMessages, ...keptMessages];
+    }
+
+    /**
+     * Split messages into turns, the units history is trimmed in. A turn is a
+     * user message and everything after it up to the next user message: the
+     * assistant's tool calls, their results and the answer. Dropping whole
+     * turns never leaves a tool result without its call (or the reverse),
+     * which the API rejects. Messages before the first user message form a
+     * turn of their own.
+     * 
+     * @param {Array<Object>} messages - Messages without the pinned system messages
+     * @returns {Array<Array<Object>>} Turns, oldest first
+     * @private
+     */
+    groupIntoTurns(messages) {
+        const turns = [];
+
+        for (const message of messages) {
+            if (message.role === 'user' || turns.length === 0) {
+                turns.push([message]);
+            } else {
+                turns[turns.length - 1].push(message);
             }
         }
-        
-        return trimmedMessages;
+
+        return turns;
+    }
+
+    /**
+     * Count the tokens the messages of one turn add to a request
+     * @param {Array<Object>} turn - Messages of the turn
+     * @returns {number} Token count
+     * @private
+     */
+    countTurnTokens(turn) {
+        return turn.reduce((total, message) => total + this.countMessageTokens(message), 0);
     }
 
     /**
      * Clear conversation history (except system message)
+     * @throws {TurnQueueError} If a turn is in progress
      */
     clearHistory() {
+        this.assertIdle();
+
         const systemMessage = this.messageHistory.find(msg => msg.role === 'system');
         this.messageHistory = systemMessage ? [systemMessage] : [];
-        console.log('🗑️ Conversation history cleared');
+        this.summaryMessage = null;
+        this.summarizedMessages = [];
+        this.journalSnapshot();
+        this.emitEvent('historyCleared', { systemPrompt: systemMessage?.content ?? null });
     }
 
     /**
-     * Update system message
-     * @param {string} newSystemPrompt - New system prompt
+     * Replace the conversation with a saved one.
+     * Rebuilds the history (including tool calls and their results), the
+     * system prompt and the conversation summary, and continues the usage
+     * record of the saved session.
+     * 
+     * @param {Object} conversation - Saved conversation
+     * @param {Array<Object>} conversation.messages - Messages without the system message
+     * @param {string} [conversation.systemPrompt] - System prompt (the current one is kept if omitted)
+     * @param {string|null} [conversation.summary] - Content of the conversation summary
+     * @param {Array<Object>} [conversation.summarizedMessages] - Messages the summary replaced
+     * @param {Array<Object>} [conversation.turns] - Usage of each turn (see UsageLedger.restore)
+     * @param {Array<Object>} [conversation.branches] - Saved branches (see getBranches)
+     * @param {string} [conversation.currentBranch='main'] - Branch the messages belong to
+     * @returns {number} Number of messages restored
+     * @throws {TurnQueueError} If a turn is in progress
+     * @throws {ValidationError} If a message is invalid or a tool result has no matching tool call
+     * @example
+     * const { data } = await conversationStore.load('last');
+     * chatManager.restoreConversation({ ...data, turns: data.stats?.turns });
      */
-    updateSystemMessage(newSystemPrompt) {
-        this.systemMessage.content = newSystemPrompt;
-        
-        // Update in history if present
-        const systemIndex = this.messageHistory.findIndex(msg => msg.role === 'system');
-        if (systemIndex >= 0) {
-            this.messageHistory[systemIndex].content = newSystemPrompt;
+    restoreConversation(conversation) {
+        const { messages, turns = null, branches = [], currentBranch = 'main' } = conversation || {};
+
+        if (!Array.isArray(messages)) {
+            throw new ValidationError('Saved conversation must include a list of messages');
         }
-        
-        console.log('🔄 System message updated');
+        this.assertIdle();
+
+        this.validateMessages(messages);
+        for (const branch of branches) {
+            this.validateMessages(branch.messages || [], `branch '${branch.name}'`);
+        }
+
+        if (turns) {
+            this.usageLedger.restore(turns);
+        }
+
+        this.branches = new Map(branches.map(branch => [branch.name, { ...branch }]));
+        this.currentBranch = currentBranch;
+        this.applyState(conversation);
+        this.captureBranch();
+        this.journalSnapshot();
+
+        return messages.length;
     }
 
     /**
-     * Get statistics about the current conversation.
-     * Provides metrics on message counts, token usage, and conversation duration.
-     * 
-     * @returns {Object} Conversation statistics
-     * @returns {number} return.totalMessages - Total number of messages (excluding system)
-     * @returns {number} return.userMessages - Number of user messages
-     * @returns {number} return.assistantMessages - Number of assistant messages
-     * @returns {number} return.functionMessages - Number of function result messages
-     * @returns {number} return.estimatedTokens - Estimated total token count
-     * @returns {string} return.conversationStarted - ISO timestamp of first message
+     * Replace the conversation with an imported transcript, such as a
+     * chat completions message array from the OpenAI playground or a
+     * fine-tuning dataset in JSONL.
+     *
+     * Every message is checked with the same rules as addToHistory, and
+     * every tool call must be answered by a tool result that follows it.
+     * Leading system (or developer) messages become the system prompt.
+     * Text content parts are joined into one string, and legacy
+     * `function_call` and `function` messages become tool calls and tool
+     * results. Fields the history does not use (such as the fine-tuning
+     * `weight`) are dropped. The transcript has no usage, so the usage
+     * record starts over.
+     *
+     * @param {string|Array<Object>|Object} transcript - A message array, an object with a
+     *   `messages` array, or its JSON text; or JSONL with one example ({ messages }) or one
+     *   message per line
+     * @param {Object} [options={}] - Import options
+     * @param {number} [options.example=1] - Example to import when the JSONL has several
+     * @returns {Object} Import result ({ messageCount, example, exampleCount })
+     * @throws {TurnQueueError} If a turn is in progress
+     * @throws {ValidationError} If the transcript cannot be parsed, a message is invalid, or
+     *   a tool call and its result do not match
      * @example
-     * const stats = chatManager.getConversationStats();
-     * console.log(`Total messages: ${stats.totalMessages}`);
-     * console.log(`Estimated tokens: ${stats.estimatedTokens}`);
+     * const dataset = await fs.promises.readFile('training.jsonl', 'utf8');
+     * const { messageCount, exampleCount } = chatManager.importConversation(dataset, { example: 3 });
      */
-    getConversationStats() {
-        const history = this.getHistory(false); // Exclude system message
+    importConversation(transcript, options = {}) {
+        const { example = 1 } = options;
+        this.assertIdle();
+
+        const examples = this.parseTranscript(transcript);
+        if (!Number.isInteger(example) || example < 1 || example > examples.length) {
+            throw new ValidationError(`No example ${example}: the transcript has ${examples.length === 1 ? '1 example' : `${examples.length} examples`}`);
+        }
+
+        const messages = this.normalizeImportedMessages(examples[example - 1]);
+        const promptCount = messages.findIndex(message => message.role !== 'system');
+        const leading = promptCount === -1 ? messages : messages.slice(0, promptCount);
+        const systemPrompt = leading.map(message => message.content).filter(Boolean).join('\n\n');
+
+        this.usageLedger.reset();
+        this.branches = new Map();
+        this.currentBranch = 'main';
+        this.applyState({ systemPrompt, messages: messages.slice(leading.length) });
+        this.captureBranch();
+        this.journalSnapshot();
+
+        return { messageCount: messages.length - leading.length, example, exampleCount: examples.length };
+    }
+
+    /**
+     * Read the conversations (examples) in a transcript
+     * @param {string|Array<Object>|Object} transcript - See importConversation
+     * @returns {Array<Array<Object>>} Message lists, one per example
+     * @throws {ValidationError} If the transcript is not JSON or JSONL, or has no messages
+     * @private
+     */
+    parseTranscript(transcript) {
+        let data = transcript;
+
+        if (typeof transcript === 'string') {
+            try {
+                data = JSON.parse(transcript);
+            } catch {
+                // Not a single JSON value, so JSONL
+                data = transcript.split('\n')
+                    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+                    .filter(({ line }) => line.length > 0)
+                    .map(({ line, number }) => {
+                        try {
+                            return JSON.parse(line);
+                        } catch (error) {
+                            throw new ValidationError(`Line ${number} of the transcript is not valid JSON: ${error.message}`);
+                        }
+                    });
+            }
+        }
+
+        if (Array.isArray(data) && data.length > 0 && data.every(item => Array.isArray(item?.messages))) {
+            return data.map(item => item.messages);
+        }
+        if (Array.isArray(data?.messages)) {
+            return [data.messages];
+        }
+        if (data?.role) {
+            return [[data]];
+        }
+        if (Array.isArray(data) && data.length > 0) {
+            return [data];
+        }
+
+        throw new ValidationError('The transcript has no messages: expected a message array, { messages } or JSONL');
+    }
+
+    /**
+     * Check imported messages and map them to history messages
+     * @param {Array<Object>} messages - Chat completions messages
+     * @returns {Array<Object>} History messages (system messages included)
+     * @throws {ValidationError} If a message is invalid or a tool call and its result do not match
+     * @private
+     */
+    normalizeImportedMessages(messages) {
+        if (!Array.isArray(messages) || messages.length === 0) {
+            throw new ValidationError('The transcript has no messages');
+        }
+
+        const timestamp = new Date().toISOString();
+        const pending = new Map(); // Tool calls waiting for their result, by ID
+        let lastFunctionCallId = null; // Legacy function results answer the last function call
+
+        const history = messages.map((message, index) => {
+            const position = `Message ${index + 1} of the transcript`;
+            if (!message || typeof message !== 'object') {
+                throw new ValidationError(`${position} is not an object`);
+            }
+
+            const role = { developer: 'system', function: 'tool' }[message.role] || message.role;
+            const metadata = {};
+
+            if (message.tool_calls || message.function_call) {
+                const toolCalls = message.tool_calls ||
+                    [{ id: `call_imported_${index + 1}`, type: 'function', function: message.function_call }];
+
+                metadata.tool_calls = toolCalls.map(toolCall => {
+                    if (!toolCall?.id || !toolCall.function?.name) {
+                        throw new ValidationError(`${position} has a tool call without an id or function name`);
+                    }
+                    const args = toolCall.function.arguments ?? '{}';
+                    pending.set(toolCall.id, { name: toolCall.function.name, position });
+
+                    return {
+                        id: toolCall.id,
+                        type: 'function',
+                        function: {
+                            name: toolCall.function.name,
+                            arguments: typeof args === 'string' ? args : JSON.stringify(args)
+                        }
+                    };
+                });
+                lastFunctionCallId = message.function_call ? metadata.tool_calls[0].id : null;
+            }
+
+            if (role === 'tool') {
+                metadata.tool_call_id = message.tool_call_id ?? (message.role === 'function' ? lastFunctionCallId : undefined);
+            }
+            if (message.name || pending.has(metadata.tool_call_id)) {
+                metadata.name = message.name || pending.get(metadata.tool_call_id).name;
+            }
+
+            const content = this.flattenImportedContent(message.content, position);
+            try {
+                this.validateMessage(role, content, metadata);
+            } catch (error) {
+                throw new ValidationError(`${position}: ${error.message}`, { cause: error });
+            }
+
+            if (role === 'tool') {
+                if (!pending.has(metadata.tool_call_id)) {
+                    throw new ValidationError(`${position} is a tool result that does not answer an earlier tool call`);
+                }
+                pending.delete(metadata.tool_call_id);
+            }
+
+            return { role, content: content ?? null, timestamp, ...metadata };
+        });
+
+        if (pending.size > 0) {
+            const [id, { name, position }] = pending.entries().next().value;
+            throw new ValidationError(`${position} has a call to ${name} (${id}) without a result`);
+        }
+
+        return history;
+    }
+
+    /**
+     * Join text content parts into one string
+     * @param {string|Array<Object>|null} content - Message content
+     * @param {string} position - Which message it is, for error messages
+     * @returns {string|null} Content
+     * @throws {ValidationError} If a part is not text (e.g. an image)
+     * @private
+     */
+    flattenImportedContent(content, position) {
+        if (!Array.isArray(content)) {
+            return content;
+        }
+
+        return content.map(part => {
+            if (part?.type === 'text') {
+                return part.text;
+            }
+            if (part?.type === 'refusal') {
+                return part.refusal;
+            }
+            throw new ValidationError(`${position}: only text content can be imported (found ${part?.type ?? 'an unknown part'})`);
+        }).join('\n');
+    }
+
+    /**
+     * Check that messages can be sent to the API again
+     * @param {Array<Object>} messages - Messages without the system message
+     * @param {string} [label='conversation'] - What the messages belong to, for error messages
+     * @throws {ValidationError} If a message is invalid or a tool result has no matching tool call
+     * @private
+     */
+    validateMessages(messages, label = 'conversation') {
+        const validRoles = ['user', 'assistant', 'tool'];
+        const toolCallIds = new Set();
+
+        messages.forEach((message, index) => {
+            if (!message || !validRoles.includes(message.role)) {
+                throw new ValidationError(`Invalid message at position ${index + 1} in ${label}: role must be one of ${validRoles.join(', ')}`);
+            }
+
+            for (const toolCall of message.tool_calls || []) {
+                toolCallIds.add(toolCall.id);
+            }
+
+            if (message.role === 'tool' && !toolCallIds.has(message.tool_call_id)) {
+                throw new ValidationError(`Tool result at position ${index + 1} in ${label} does not answer an earlier tool call`);
+            }
+        });
+    }
+
+    /**
+     * Replace the system prompt, summary and messages
+     * @param {Object} state - Conversation state ({ systemPrompt, summary, summarizedMessages, messages })
+     * @private
+     */
+    applyState({ systemPrompt = null, summary = null, summarizedMessages = [], messages }) {
+        this.systemMessage = {
+            role: 'system',
+            content: systemPrompt || this.systemMessage.content
+        };
+        this.summaryMessage = summary ? {
+            role: 'system',
+            content: summary,
+            timestamp: new Date().toISOString(),
+            summary: true
+        } : null;
+        this.summarizedMessages = [...summarizedMessages];
+        this.messageHistory = [
+            this.systemMessage,
+            ...(this.summaryMessage ? [this.summaryMessage] : []),
+            ...messages.map(message => ({ ...message }))
+        ];
+    }
+
+    /**
+     * Get the current conversation state
+     * @returns {Object} State ({ systemPrompt, summary, summarizedMessages, messages })
+     * @private
+     */
+    getState() {
+        return {
+            systemPrompt: this.systemMessage.content,
+            summary: this.summaryMessage?.content ?? null,
+            summarizedMessages: [...this.summarizedMessages],
+            messages: this.messageHistory.slice(this.getPinnedCount())
+        };
+    }
+
+    /**
+     * Remove the last turn: the last user message and everything after it
+     * (tool calls, their results and the answer).
+     * 
+     * @returns {Object|null} Removed turn ({ userMessage, messages }), or null if there is none
+     * @throws {TurnQueueError} If a turn is in progress
+     * @example
+     * const undone = chatManager.undoTurn();
+     * if (undone) {
+     *   console.log(`Removed: ${undone.userMessage}`);
+     * }
+     */
+    undoTurn() {
+        this.assertIdle();
+        return this.removeLastTurn();
+    }
+
+    /**
+     * Remove the last turn (see undoTurn)
+     * @returns {Object|null} Removed turn, or null if there is none
+     * @private
+     */
+    removeLastTurn() {
+        const pinnedCount = this.getPinnedCount();
+        const turns = this.groupIntoTurns(this.messageHistory.slice(pinnedCount));
+        const lastTurn = turns[turns.length - 1];
+
+        if (!lastTurn || lastTurn[0].role !== 'user') {
+            return null;
+        }
+
+        this.messageHistory = this.messageHistory.slice(0, this.messageHistory.length - lastTurn.length);
+        this.journalSnapshot();
+
+        return { userMessage: lastTurn[0].content, messages: lastTurn };
+    }
+
+    /**
+     * Answer the last user message again, replacing the last turn.
+     * The original turn is kept if the new attempt fails or is cancelled.
+     * 
+     * @async
+     * @param {Object} [options={}] - Processing options (same as processMessage), e.g. a
+     *   different temperature
+     * @returns {Promise<Object>} Response object (same shape as processMessage)
+     * @throws {ValidationError} If there is no turn to retry
+     * @example
+     * const response = await chatManager.retryTurn({ temperature: 1.2 });
+     */
+    async retryTurn(options = {}) {
+        return await this.queueTurn(async () => {
+            const originalState = this.getState();
+            const undone = this.removeLastTurn();
+
+            if (!undone) {
+                throw new ValidationError('There is no turn to retry');
+            }
+
+            return await this.replayFrom(undone.userMessage, originalState, options);
+        }, options);
+    }
+
+    /**
+     * Rewrite an earlier user message and continue the conversation from
+     * there. Everything after that message is replaced by the new answer.
+     * The original history is kept if the new attempt fails or is cancelled.
+     * 
+     * @async
+     * @param {number} index - Which user message to rewrite (1 = the first in the history;
+     *   see getUserMessages)
+     * @param {string} content - New message text
+     * @param {Object} [options={}] - Processing options (same as processMessage)
+     * @returns {Promise<Object>} Response object (same shape as processMessage)
+     * @throws {ValidationError} If there is no such user message or the text is empty
+     * @example
+     * // Ask the second question differently
+     * const response = await chatManager.editMessage(2, 'What is the weather in Paris?');
+     */
+    async editMessage(index, content, options = {}) {
+        return await this.queueTurn(async () => {
+            const userMessages = this.getUserMessages();
+
+            if (!Number.isInteger(index) || index < 1 || index > userMessages.length) {
+                throw new ValidationError(userMessages.length === 0
+                    ? 'There are no user messages to edit'
+                    : `Message number must be between 1 and ${userMessages.length}`);
+            }
+            if (typeof content !== 'string' || content.trim().length === 0) {
+                throw new ValidationError('The new message must be a non-empty string');
+            }
+
+            const originalState = this.getState();
+            this.messageHistory = this.messageHistory.slice(0, userMessages[index - 1].position);
+            this.journalSnapshot();
+
+            return await this.replayFrom(content, originalState, options);
+        }, options);
+    }
+
+    /**
+     * Get the user messages in the current history, numbered for editMessage
+     * @returns {Array<Object>} User messages ({ number, content, timestamp, position })
+     */
+    getUserMessages() {
+        return this.messageHistory
+            .map((message, position) => ({ message, position }))
+            .filter(({ message }) => message.role === 'user')
+            .map(({ message, position }, index) => ({
+                number: index + 1,
+                content: message.content,
+                timestamp: message.timestamp,
+                position
+            }));
+    }
+
+    /**
+     * Send a message after the history was rolled back, restoring the
+     * original state if the new turn does not succeed
+     * @param {string} userInput - Message to send
+     * @param {Object} originalState - State before the rollback (see getState)
+     * @param {Object} options - Processing options
+     * @returns {Promise<Object>} Response object
+     * @private
+     */
+    async replayFrom(userInput, originalState, options) {
+        const response = await this.runTurn(userInput, options);
+
+        if (!response.success) {
+            // Also undoes a compaction made before the failed turn
+            this.applyState(originalState);
+            this.journalSnapshot();
+            response.restored = true;
+        }
+
+        return response;
+    }
+
+    /**
+     * Fork the conversation into a new named branch and switch to it.
+     * The current branch keeps its history; later messages only go to the
+     * new branch. Switch back with switchBranch.
+     * 
+     * @param {string} name - Branch name (letters, digits, '.', '_' and '-')
+     * @returns {Object} The new branch ({ name, parent, createdAt, messageCount })
+     * @throws {ValidationError} If the name is invalid or already used
+     * @throws {TurnQueueError} If a turn is in progress
+     * @example
+     * chatManager.createBranch('formal-tone');
+     * await chatManager.processMessage('Rewrite that formally');
+     * chatManager.switchBranch('main'); // back to before the fork
+     */
+    createBranch(name) {
+        if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) {
+            throw new ValidationError("Branch name may only contain letters, digits, '.', '_' and '-'");
+        }
+        if (name === this.currentBranch || this.branches.has(name)) {
+            throw new ValidationError(`Branch '${name}' already exists`);
+        }
+        this.assertIdle();
+
+        this.captureBranch();
+        const parent = this.currentBranch;
+
+        this.currentBranch = name;
+        this.branches.set(name, { name, parent, createdAt: new Date().toISOString() });
+        this.captureBranch();
+        this.journalSnapshot();
+
+        return this.describeBranch(this.branches.get(name));
+    }
+
+    /**
+     * Switch to another branch
+     * @param {string} name - Branch name
+     * @returns {Object} The branch ({ name, parent, createdAt, messageCount })
+     * @throws {ValidationError} If the branch does not exist
+     * @throws {TurnQueueError} If a turn is in progress
+     */
+    switchBranch(name) {
+        if (!this.branches.has(name)) {
+            throw new ValidationError(`Branch '${name}' does not exist`);
+        }
+
+        if (name !== this.currentBranch) {
+            this.assertIdle();
+            this.captureBranch();
+            this.currentBranch = name;
+            this.applyState(this.branches.get(name));
+            this.journalSnapshot();
+        }
+
+        return this.describeBranch(this.branches.get(name));
+    }
+
+    /**
+     * Delete a branch other than the current one
+     * @param {string} name - Branch name
+     * @throws {ValidationError} If the branch does not exist or is the current branch
+     * @throws {TurnQueueError} If a turn is in progress
+     */
+    deleteBranch(name) {
+        this.assertIdle();
+
+        if (name === this.currentBranch) {
+            throw new ValidationError('Cannot delete the current branch; switch to another branch first');
+        }
+        if (!this.branches.delete(name)) {
+            throw new ValidationError(`Branch '${name}' does not exist`);
+        }
+
+        this.journalSnapshot();
+    }
+
+    /**
+     * List the branches
+     * @returns {Array<Object>} Branches ({ name, parent, createdAt, messageCount, current })
+     */
+    listBranches() {
+        this.captureBranch();
+
+        return [...this.branches.values()].map(branch => ({
+            ...this.describeBranch(branch),
+            current: branch.name === this.currentBranch
+        }));
+    }
+
+    /**
+     * Get every branch with its messages, for saving
+     * @returns {Array<Object>} Branches ({ name, parent, createdAt, systemPrompt, summary,
+     *   summarizedMessages, messages }); empty when the conversation was never forked
+     */
+    getBranches() {
+        if (this.branches.size === 0) {
+            return [];
+        }
+
+        this.captureBranch();
+        return this.branches.size > 1 ? [...this.branches.values()].map(branch => ({ ...branch })) : [];
+    }
+
+    /**
+     * Store the current state in the current branch
+     * @private
+     */
+    captureBranch() {
+        const branch = this.branches.get(this.currentBranch) ||
+            { name: this.currentBranch, parent: null, createdAt: this.messageHistory[1]?.timestamp ?? new Date().toISOString() };
+
+        this.branches.set(this.currentBranch, { ...branch, ...this.getState() });
+    }
+
+    /**
+     * Describe a branch without its messages
+     * @param {Object} branch - Stored branch
+     * @returns {Object} Branch ({ name, parent, createdAt, messageCount })
+     * @private
+     */
+    describeBranch(branch) {
+        return {
+            name: branch.name,
+            parent: branch.parent,
+            createdAt: branch.createdAt,
+            messageCount: branch.messages.length
+        };
+    }
+
+    /**
+     * Start journaling history changes.
+     * The journal first receives the full current state, then every change
+     * as it happens (see SessionJournal), so the conversation can be
+     * rebuilt after a crash.
+     * 
+     * @param {SessionJournal|null} journal - Journal to append to, or null to stop journaling
+     */
+    setJournal(journal) {
+        this.journal = journal;
+        this.journalSnapshot();
+    }
+
+    /**
+     * Append the full conversation state to the journal.
+     * Used after changes that rewrite the history rather than add to it.
+     * @private
+     */
+    journalSnapshot() {
+        if (!this.journal) {
+            return;
+        }
+
+        this.recordChange({
+            op: 'reset',
+            ...this.getState(),
+            turns: this.usageLedger.getTurns(),
+            branches: this.getBranches(),
+            currentBranch: this.currentBranch
+        });
+    }
+
+    /**
+     * Append a change to the journal, if journaling is on.
+     * A journal that cannot be written never interrupts the conversation.
+     * @param {Object} entry - Journal entry (see SessionJournal)
+     * @private
+     */
+    recordChange(entry) {
+        if (!this.journal) {
+            return;
+        }
+
+        try {
+            this.journal.append(entry);
+        } catch (error) {
+            this.emitEvent('warning', {
+                turnId: null,
+                type: 'JOURNAL_WRITE_FAILED',
+                message: `Could not write to the session journal: ${error.message}`
+            });
+        }
+    }
+
+    /**
+     * Record an API call's usage in the ledger and the journal
+     * @param {Object} usageEntry - Ledger turn entry
+     * @param {string} model - Model that served the request
+     * @param {Object|null} usage - Usage reported by the API
+     * @returns {Object} The recorded request (see UsageLedger.record)
+     * @private
+     */
+    recordUsage(usageEntry, model, usage) {
+        const call = this.usageLedger.record(usageEntry, model, usage);
+        this.recordChange({ op: 'usage', turn: usageEntry.turn, startedAt: usageEntry.startedAt, call });
+        return call;
+    }
+
+    /**
+     * Emit a lifecycle event (see the class description).
+     * A listener that throws does not break the conversation; its failure
+     * is reported as a 'LISTENER_FAILED' warning (unless a warning listener
+     * failed, which is ignored so it cannot loop).
+     * @param {string} name - Event name
+     * @param {Object} payload - Event details
+     * @private
+     */
+    emitEvent(name, payload) {
+        // EventEmitter throws 'error' events that nobody listens to
+        if (name === 'error' && this.eventTarget.listenerCount('error') === 0) {
+            return;
+        }
+
+        try {
+            this.eventTarget.emit(name, payload);
+        } catch (error) {
+            if (name !== 'warning') {
+                this.emitEvent('warning', {
+                    turnId: payload?.turnId ?? null,
+                    type: 'LISTENER_FAILED',
+                    message: `A ${name} listener failed: ${error.message}`
+                });
+            }
+        }
+    }
+
+    /**
+     * Update system message
+     * @param {string} newSystemPrompt - New system prompt
+     * @throws {TurnQueueError} If a turn is in progress
+     */
+    updateSystemMessage(newSystemPrompt) {
+        this.assertIdle();
+
+        this.systemMessage.content = newSystemPrompt;
+        
+        // Update in history if present
+        const systemIndex = this.messageHistory.findIndex(msg => msg.role === 'system');
+        if (systemIndex >= 0) {
+            this.messageHistory[systemIndex].content = newSystemPrompt;
+        }
+        this.recordChange({ op: 'system', content: newSystemPrompt });
+        
+        this.emitEvent('systemPromptChanged', { systemPrompt: newSystemPrompt });
+    }
+
+    /**
+     * Get statistics about the current conversation.
+     * Provides metrics on message counts, token usage, and conversation duration.
+     * 
+     * @returns {Object} Conversation statistics
+     * @returns {number} return.totalMessages - Total number of messages (excluding system)
+     * @returns {number} return.userMessages - Number of user messages
+     * @returns {number} return.assistantMessages - Number of assistant messages
+     * @returns {number} return.functionMessages - Number of tool result messages
+     * @returns {number} return.estimatedTokens - Prompt tokens the history uses (tokenizer count)
+     * @returns {number} return.contextBudget - Tokens the history may use (see getContextBudget)
+     * @returns {string} return.conversationStarted - ISO timestamp of first message
+     * @returns {number} return.summarizedMessages - Messages replaced by the conversation summary
+     * @returns {Object} return.usage - Tokens and cost reported by the API for the session
+     *   (see UsageLedger.getSessionTotals)
+     * @returns {Array<Object>} return.turns - Usage and cost of each turn
+     * @example
+     * const stats = chatManager.getConversationStats();
+     * console.log(`Total messages: ${stats.totalMessages}`);
+     * console.log(`Estimated tokens: ${stats.estimatedTokens}`);
+     */
+    getConversationStats() {
+        const history = this.getHistory(false); // Exclude system message
         const userMessages = history.filter(msg => msg.role === 'user');
         const assistantMessages = history.filter(msg => msg.role === 'assistant');
-        const functionMessages = history.filter(msg => msg.role === 'function');
+        const functionMessages = history.filter(msg => msg.role === 'tool');
         
         return {
             totalMessages: history.length,
@@ -321,37 +1616,148 @@ class ChatManager {
             assistantMessages: assistantMessages.length,
             functionMessages: functionMessages.length,
             estimatedTokens: this.estimateTokenCount(this.messageHistory),
-            conversationStarted: this.messageHistory.length > 1 ? this.messageHistory[1].timestamp : null
+            contextBudget: this.getContextBudget(),
+            conversationStarted: (this.summarizedMessages[0] || history[0])?.timestamp ?? null,
+            summarizedMessages: this.summarizedMessages.length,
+            usage: this.usageLedger.getSessionTotals(),
+            turns: this.usageLedger.getTurns()
         };
     }
 
     /**
-     * Export conversation history
-     * @param {string} format - Export format ('json' or 'text')
-     * @returns {string} Exported conversation
+     * Update the token and spend budgets.
+     * Only the given limits change; pass null to remove a limit. Budgets are
+     * checked before every API request, including follow-up requests after
+     * tool calls, and a turn stops with a BudgetExceededError once one is
+     * used up. A warning is logged when usage first reaches `warnAt` of a limit.
+     * 
+     * @param {Object} budget - Limits to change
+     * @param {number|null} [budget.turnTokens] - Maximum tokens per turn
+     * @param {number|null} [budget.turnCost] - Maximum spend per turn in USD
+     * @param {number|null} [budget.sessionTokens] - Maximum tokens for the session
+     * @param {number|null} [budget.sessionCost] - Maximum spend for the session in USD
+     * @param {number} [budget.warnAt] - Fraction of a limit (0-1] that triggers a warning
+     * @throws {ValidationError} If a limit is not a positive number or null
+     * @example
+     * chatManager.setBudget({ sessionCost: 5, warnAt: 0.9 });
+     * chatManager.setBudget({ turnTokens: null }); // remove the turn token limit
      */
-    exportConversation(format = 'json') {
-        const history = this.getHistory(false);
-        
-        if (format === 'json') {
-            return JSON.stringify(history, null, 2);
+    setBudget(budget) {
+        for (const [key, value] of Object.entries(budget)) {
+            if (!(key in this.budget)) {
+                throw new ValidationError(`Unknown budget setting: ${key}`);
+            }
+
+            if (key === 'warnAt') {
+                if (typeof value !== 'number' || !(value > 0 && value <= 1)) {
+                    throw new ValidationError('Budget warnAt must be a number greater than 0 and at most 1');
+                }
+            } else if (value !== null && (typeof value !== 'number' || !(value > 0))) {
+                throw new ValidationError(`Budget ${key} must be a positive number or null`);
+            }
         }
-        
-        if (format === 'text') {
-            return history.map(msg => {
-                const timestamp = new Date(msg.timestamp).toLocaleString();
-                const role = msg.role.toUpperCase();
-                return `[${timestamp}] ${role}: ${msg.content}`;
-            }).join('\n');
+
+        this.budget = { ...this.budget, ...budget };
+
+        // New limits deserve a new warning
+        this.budgetWarnings.clear();
+    }
+
+    /**
+     * Get the current budget limits
+     * @returns {Object} Budget ({ turnTokens, turnCost, sessionTokens, sessionCost, warnAt })
+     */
+    getBudget() {
+        return { ...this.budget };
+    }
+
+    /**
+     * Compare usage against every configured budget limit
+     * @param {Object|null} [usageEntry=null] - Ledger entry of the current turn, if any
+     * @returns {Array<Object>} One entry per limit ({ scope, metric, limit, used })
+     */
+    getBudgetStatus(usageEntry = null) {
+        const session = this.usageLedger.getSessionTotals();
+        const turn = usageEntry || { totalTokens: 0, cost: 0 };
+        const status = [];
+
+        for (const [scope, totals] of [['turn', turn], ['session', session]]) {
+            for (const metric of ['tokens', 'cost']) {
+                const limit = this.budget[`${scope}${metric === 'tokens' ? 'Tokens' : 'Cost'}`];
+                if (limit !== null) {
+                    status.push({ scope, metric, limit, used: metric === 'tokens' ? totals.totalTokens : totals.cost });
+                }
+            }
         }
-        
-        throw new Error(`Unsupported export format: ${format}`);
+
+        return status;
+    }
+
+    /**
+     * Stop the turn if a budget is used up
+     * @param {Object} turn - Turn state
+     * @throws {BudgetExceededError} If any limit has been reached
+     */
+    enforceBudget(turn) {
+        const exceeded = this.getBudgetStatus(turn.usage).find(({ limit, used }) => used >= limit);
+
+        if (exceeded) {
+            throw new BudgetExceededError(exceeded.scope, exceeded.metric, exceeded.limit, exceeded.used);
+        }
+    }
+
+    /**
+     * Log a warning the first time usage reaches the warning threshold of a limit
+     * (once per turn for turn budgets, once per session for session budgets)
+     * @param {Object} turn - Turn state
+     */
+    warnOnBudget(turn) {
+        for (const { scope, metric, limit, used } of this.getBudgetStatus(turn.usage)) {
+            const key = `${scope}:${metric}`;
+            const warned = scope === 'turn' ? turn.budgetWarnings : this.budgetWarnings;
+
+            if (used >= limit * this.budget.warnAt && !warned.has(key)) {
+                warned.add(key);
+                const amount = metric === 'cost' ? `$${used.toFixed(4)} of $${limit.toFixed(4)}` : `${used} of ${limit} tokens`;
+                this.emitEvent('warning', {
+                    turnId: turn.id ?? null,
+                    type: 'BUDGET_WARNING',
+                    message: `${scope === 'turn' ? 'Turn' : 'Session'} budget at ${Math.round(used / limit * 100)}%: ${amount}`
+                });
+            }
+        }
+    }
+
+    /**
+     * Export the conversation as a transcript or training data.
+     * Transcripts include the messages a summary replaced; the summary
+     * itself is left out (see ConversationExporter).
+     * @param {string} [format='json'] - Export format: 'json', 'text', 'markdown' ('md'),
+     *   'html' or 'jsonl' (an OpenAI fine-tuning example with the allowed tools)
+     * @returns {string} Exported conversation
+     * @throws {ValidationError} If the format is not supported
+     */
+    exportConversation(format = 'json') {
+        const { systemPrompt, summarizedMessages, messages } = this.getState();
+
+        return this.exporter.export({
+            systemPrompt,
+            messages: [...summarizedMessages, ...messages],
+            tools: this.getToolSchemas(),
+            model: this.getModelConfig().model
+        }, format);
     }
 
     /**
      * Process user input and generate a response.
      * This is the main conversation flow that handles both regular text responses
-     * and function calling. Automatically manages conversation history and context.
+     * and tool calling. Tool calls run in a bounded agent loop (see runAgentLoop).
+     * Automatically manages conversation history and context.
+     * 
+     * Turns of one conversation never overlap. A call made while a turn is in
+     * progress waits in a first-in, first-out queue (at most `maxQueuedTurns`
+     * turns wait) and starts when the turns before it have finished, so their
+     * messages are never interleaved in the history.
      * 
      * @async
      * @param {string} userInput - The user's message
@@ -359,12 +1765,40 @@ class ChatManager {
      * @param {boolean} [options.includeHistory=true] - Whether to include conversation history
      * @param {number} [options.maxTokens=null] - Maximum tokens for this request
      * @param {number} [options.temperature=null] - Temperature override for this request
+     * @param {string|Object} [options.toolChoice='auto'] - Tool choice for the first request:
+     *   'auto', 'none', 'required', a function name, or a raw tool_choice object
+     * @param {Function} [options.onChunk=null] - Stream responses, invoking this callback per delta
+     *   (see processMessageStream)
+     * @param {number} [options.maxSteps] - Override the maximum tool-calling rounds for this turn
+     * @param {number} [options.turnTimeoutMs] - Override the wall-clock budget for this turn
+     * @param {AbortSignal} [options.signal] - Cancels the turn: the in-flight request and any
+     *   running tools are aborted, and history is rolled back to before the user message
+     * @param {Object} [options.responseSchema] - JSON Schema (type 'object') the answer must match.
+     *   Sent as `response_format: json_schema` to models that support it, otherwise as an
+     *   instruction (with JSON mode, where supported). The answer is parsed and validated; on failure the model is asked to
+     *   correct it, up to `schemaRetries` times (correction requests count toward maxSteps).
+     *   Keywords the validator cannot check are refused (see FunctionRegistry.findUnsupportedSchema)
+     * @param {number} [options.schemaRetries] - Override the correction retries for this turn
+     * @param {string} [options.ifBusy='wait'] - While another turn runs: 'wait' queues this turn,
+     *   'reject' fails at once with a TURN_IN_PROGRESS error response
+     * @param {Function} [options.onQueued] - Called with the queue position (1 = next) when the
+     *   turn has to wait
      * @returns {Promise<Object>} Response object
      * @returns {boolean} return.success - Whether the request succeeded
      * @returns {string} return.message - The assistant's response message
      * @returns {Object} [return.error] - Error details if failed
-     * @returns {Object} [return.usage] - Token usage information
-     * @returns {Object} [return.functionCall] - Function call details if a function was called
+     * @returns {Object} [return.usage] - Token usage summed over every request in the turn
+     *   ({ prompt_tokens, completion_tokens, total_tokens, requests })
+     * @returns {number|null} [return.cost] - Cost of the turn in USD (null if a model has no price)
+     * @returns {Array<Object>} return.steps - Every tool call made during the turn
+     *   ({ step, toolCallId, name, arguments, result, success, latencyMs })
+     * @returns {number} return.durationMs - Wall-clock duration of the turn
+     * @returns {boolean} [return.cancelled] - True if the turn was cancelled through options.signal
+     * @returns {string} [return.model] - Model that produced the answer
+     * @returns {Array<Object>} [return.fallbacks] - Requests in the turn that were answered by a
+     *   fallback model ({ requestedModel, model, failures }); empty when none were
+     * @returns {Object} [return.parsed] - The parsed answer, when options.responseSchema is set
+     * @returns {number} [return.queuedMs] - Time the turn waited for earlier turns, when it waited
      * @example
      * // Basic message processing
      * const response = await chatManager.processMessage('What time is it?');
@@ -377,156 +1811,633 @@ class ChatManager {
      *   temperature: 0.9,
      *   maxTokens: 500
      * });
+     * 
+     * // Force a specific tool
+     * const response = await chatManager.processMessage('Where am I?', {
+     *   toolChoice: 'getLocation'
+     * });
+     * 
+     * // Structured output
+     * const response = await chatManager.processMessage('Extract: Ada Lovelace, born 1815', {
+     *   responseSchema: {
+     *     type: 'object',
+     *     properties: { name: { type: 'string' }, born: { type: 'integer' } },
+     *     required: ['name', 'born']
+     *   }
+     * });
+     * console.log(response.parsed.born); // 1815
+     * 
+     * // Cancellable turn
+     * const controller = new AbortController();
+     * setTimeout(() => controller.abort(), 5000);
+     * const response = await chatManager.processMessage('Hello', { signal: controller.signal });
+     * if (response.cancelled) {
+     *   console.log('Cancelled');
+     * }
+     * 
+     * // Fail instead of waiting for a turn in progress
+     * const response = await chatManager.processMessage('Hello', { ifBusy: 'reject' });
+     * if (response.error?.type === 'TURN_IN_PROGRESS') {
+     *   console.log('Busy, try again later');
+     * }
      */
     async processMessage(userInput, options = {}) {
+        return await this.queueTurn(() => this.runTurn(userInput, options), options);
+    }
+
+    /**
+     * Run one turn (see processMessage) once it holds the turn queue
+     * @param {string} userInput - The user's message
+     * @param {Object} options - Processing options
+     * @returns {Promise<Object>} Response object
+     * @private
+     */
+    async runTurn(userInput, options) {
         const { 
             includeHistory = true,
             maxTokens = null,
-            temperature = null 
+            temperature = null,
+            toolChoice = 'auto',
+            onChunk = null,
+            maxSteps = this.maxSteps,
+            turnTimeoutMs = this.turnTimeoutMs,
+            signal = null,
+            responseSchema = null,
+            schemaRetries = this.schemaRetries
         } = options;
 
+        // Restored if the turn is cancelled, so no partial exchange is kept
+        let historySnapshot = [...this.messageHistory];
+
+        const turn = {
+            id: randomUUID(),
+            startedAt: Date.now(),
+            steps: [],
+            usage: null,
+            budgetWarnings: new Set(),
+            signal,
+            responseSchema,
+            schemaAttempts: 0,
+            fallbacks: [],
+            limits: {
+                maxSteps,
+                turnTimeoutMs,
+                maxRepeatedToolCalls: this.maxRepeatedToolCalls,
+                toolConcurrency: this.toolConcurrency,
+                schemaRetries
+            }
+        };
+        let response;
+
+        this.emitEvent('turnStart', { turnId: turn.id, input: userInput });
+
         try {
             // Validate input
             if (!userInput || typeof userInput !== 'string' || userInput.trim().length === 0) {
-                throw new Error('User input must be a non-empty string');
+                throw new ValidationError('User input must be a non-empty string');
+            }
+
+            if (responseSchema !== null && (typeof responseSchema !== 'object' || responseSchema.type !== 'object')) {
+                throw new ValidationError("responseSchema must be a JSON Schema with type 'object'");
+            }
+            const unsupportedSchema = responseSchema && this.functionRegistry.findUnsupportedSchema(responseSchema, 'responseSchema');
+            if (unsupportedSchema) {
+                throw new ValidationError(`responseSchema cannot be validated: ${unsupportedSchema}`);
             }
 
             // Check if OpenAI client is ready
             if (!this.openaiClient.isReady()) {
-                throw new Error('OpenAI client is not initialized');
+                throw new InitializationError('OpenAI client is not initialized', { component: 'openaiClient' });
             }
 
+            turn.usage = this.usageLedger.startTurn();
+
+            // Summarize old messages first if the history is getting full.
+            // A finished summary is kept even if the turn is cancelled later.
+            await this.maybeCompactHistory(turn);
+            historySnapshot = [...this.messageHistory];
+
             // Add user message to history
             this.addToHistory('user', userInput.trim());
 
-            // Prepare messages for API call
-            let messages = includeHistory ? this.getFormattedHistory() : [
-                this.systemMessage,
-                { role: 'user', content: userInput.trim() }
-            ];
+            // Prepare messages for API call
+            let messages = includeHistory ? this.getFormattedHistory() : [
+                this.systemMessage,
+                { role: 'user', content: userInput.trim() }
+            ];
+
+            // Trim messages to token limit if specified
+            if (maxTokens) {
+                messages = this.trimToTokenLimit(messages, maxTokens);
+            }
+
+            // Get available tools (only sent to models that support tool calling)
+            const capabilities = this.getModelCapabilities();
+            const tools = this.getToolSchemas();
+            const hasTools = tools.length > 0 && capabilities.tools;
+
+            // Prepare request options
+            const requestOptions = { ...this.getRequestOverrides(), toolChoice };
+            if (signal) {
+                requestOptions.signal = signal;
+            }
+            if (temperature !== null) {
+                requestOptions.temperature = temperature;
+            }
+
+            if (responseSchema) {
+                if (capabilities.jsonSchema) {
+                    requestOptions.response_format = {
+                        type: 'json_schema',
+                        json_schema: { name: 'response', schema: responseSchema }
+                    };
+                } else {
+                    // JSON mode guarantees valid JSON; the instruction carries the schema
+                    if (capabilities.jsonMode) {
+                        requestOptions.response_format = { type: 'json_object' };
+                    }
+                    messages.push({
+                        role: 'system',
+                        content: `Respond only with a JSON object that matches this JSON Schema:\n${JSON.stringify(responseSchema)}`
+                    });
+                }
+            }
+
+            // Run the agent loop until the model answers or a limit is hit
+            response = await this.runAgentLoop(
+                turn,
+                messages,
+                hasTools ? tools : null,
+                requestOptions,
+                onChunk
+            );
+
+        } catch (error) {
+            response = error instanceof CancelledError
+                ? this.cancelTurn(turn, error, historySnapshot)
+                : this.failTurn(turn, error);
+        }
+
+        this.emitEvent('turnEnd', {
+            turnId: turn.id,
+            success: response.success,
+            cancelled: Boolean(response.cancelled),
+            message: response.message,
+            error: response.error,
+            steps: response.steps,
+            usage: response.usage,
+            cost: response.cost,
+            durationMs: response.durationMs
+        });
+
+        return response;
+    }
+
+    /**
+     * End a turn that failed with an error
+     * @param {Object} turn - Turn state
+     * @param {Error} error - Error raised during the turn
+     * @returns {Object} Error response
+     * @private
+     */
+    failTurn(turn, error) {
+        // Categorize error types for better handling
+        const { type: errorType, userMessage } = this.classifyError(error);
+
+        this.emitEvent('error', { turnId: turn.id, error, type: errorType, message: error.message });
+
+        // Create error response
+        const errorResponse = {
+            success: false,
+            message: userMessage,
+            error: {
+                type: errorType,
+                message: error.message,
+                status: error instanceof AgentError ? error.status : null,
+                retryable: error instanceof AgentError ? error.retryable : false,
+                timestamp: new Date().toISOString(),
+                stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            },
+            requiresFunctionCall: false,
+            steps: turn.steps,
+            durationMs: Date.now() - turn.startedAt,
+            ...this.getTurnUsage(turn)
+        };
+
+        // Add error message to history for context (but not the technical details)
+        this.addToHistory('assistant', userMessage);
+
+        return errorResponse;
+    }
+
+    /**
+     * Run a turn once the turns queued before it have finished.
+     * If the turn cannot be queued, or is cancelled while it waits, an
+     * error response is returned and the history is left untouched.
+     * @param {Function} run - Runs the turn and resolves to its response
+     * @param {Object} options - Processing options (ifBusy, onQueued, signal)
+     * @returns {Promise<Object>} Response object
+     * @private
+     */
+    async queueTurn(run, options) {
+        const queuedAt = Date.now();
+        let waited;
+
+        try {
+            waited = await this.acquireTurn(options);
+        } catch (error) {
+            return this.rejectTurn(error, queuedAt);
+        }
+
+        try {
+            const queuedMs = Date.now() - queuedAt;
+            const response = await run();
+            return waited ? { ...response, queuedMs } : response;
+        } finally {
+            this.releaseTurn();
+        }
+    }
+
+    /**
+     * Wait until this conversation is free and claim it for one turn.
+     * Every successful call must be followed by releaseTurn.
+     * @param {Object} [options={}] - Queue options
+     * @param {string} [options.ifBusy='wait'] - 'wait' or 'reject'
+     * @param {Function} [options.onQueued] - Called with the queue position when the turn waits
+     * @param {AbortSignal} [options.signal] - Takes the turn out of the queue when aborted
+     * @returns {Promise<boolean>} Resolves when the turn may start: true if it had to wait
+     * @throws {ValidationError} If ifBusy is invalid
+     * @throws {TurnQueueError} If another turn runs and ifBusy is 'reject', or the queue is full
+     * @throws {CancelledError} If the signal is aborted before the turn starts
+     * @private
+     */
+    async acquireTurn(options = {}) {
+        const { ifBusy = 'wait', onQueued = null, signal = null } = options;
+
+        if (!['wait', 'reject'].includes(ifBusy)) {
+            throw new ValidationError("ifBusy must be 'wait' or 'reject'");
+        }
+        if (signal?.aborted) {
+            throw new CancelledError();
+        }
+
+        if (!this.turnInProgress) {
+            this.turnInProgress = true;
+            return false;
+        }
+
+        const queueDepth = this.turnQueue.length;
+        if (ifBusy === 'reject') {
+            throw new TurnQueueError('Another turn of this conversation is in progress', { reason: 'busy', queueDepth });
+        }
+        if (queueDepth >= this.maxQueuedTurns) {
+            throw new TurnQueueError(`Too many turns are waiting (limit ${this.maxQueuedTurns})`, { reason: 'full', queueDepth });
+        }
+
+        await new Promise((resolve, reject) => {
+            const entry = { resolve, reject, signal, onAbort: null };
+
+            if (signal) {
+                entry.onAbort = () => {
+                    this.turnQueue = this.turnQueue.filter(item => item !== entry);
+                    reject(new CancelledError('Turn cancelled while waiting in the queue'));
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            this.turnQueue.push(entry);
+            onQueued?.(this.turnQueue.length);
+        });
+
+        return true;
+    }
+
+    /**
+     * Finish a turn and start the next queued one, if any
+     * @private
+     */
+    releaseTurn() {
+        const next = this.turnQueue.shift();
+
+        if (!next) {
+            this.turnInProgress = false;
+            return;
+        }
+
+        // The conversation stays claimed, now by the next turn. It starts
+        // once the finished turn's caller has handled its response.
+        if (next.onAbort) {
+            next.signal.removeEventListener('abort', next.onAbort);
+        }
+        setImmediate(next.resolve);
+    }
+
+    /**
+     * Check that no turn is in progress, before changing the history outside a turn
+     * @throws {TurnQueueError} If a turn is in progress or waiting
+     * @private
+     */
+    assertIdle() {
+        if (this.turnInProgress) {
+            throw new TurnQueueError('Not possible while a turn is in progress', {
+                reason: 'busy',
+                queueDepth: this.turnQueue.length
+            });
+        }
+    }
+
+    /**
+     * Get the state of the turn queue
+     * @returns {Object} Queue state ({ busy, queued, maxQueued })
+     */
+    getQueueStatus() {
+        return { busy: this.turnInProgress, queued: this.turnQueue.length, maxQueued: this.maxQueuedTurns };
+    }
+
+    /**
+     * Build the response for a turn that never started
+     * @param {Error} error - Why the turn could not start
+     * @param {number} queuedAt - When the turn was submitted
+     * @returns {Object} Error response (cancelled: true if cancelled while queued)
+     * @private
+     */
+    rejectTurn(error, queuedAt) {
+        const cancelled = error instanceof CancelledError;
+        const { type, userMessage } = cancelled
+            ? { type: error.type, userMessage: 'Cancelled.' }
+            : this.classifyError(error);
+
+        return {
+            success: false,
+            message: userMessage,
+            error: {
+                type,
+                message: error.message,
+                retryable: error instanceof AgentError ? error.retryable : false,
+                timestamp: new Date().toISOString()
+            },
+            requiresFunctionCall: false,
+            ...(cancelled ? { cancelled: true } : {}),
+            steps: [],
+            durationMs: Date.now() - queuedAt,
+            usage: null,
+            cost: null
+        };
+    }
+
+    /**
+     * End a cancelled turn.
+     * History is restored to its state before the user message, so neither
+     * the message nor any partial tool exchange is sent with the next turn.
+     * 
+     * @param {Object} turn - Turn state
+     * @param {CancelledError} error - Cancellation error
+     * @param {Array<Object>} historySnapshot - History before the turn started
+     * @returns {Object} Cancelled turn result
+     */
+    cancelTurn(turn, error, historySnapshot) {
+        this.messageHistory = historySnapshot;
+        this.journalSnapshot();
+
+        return {
+            success: false,
+            message: 'Cancelled.',
+            error: {
+                type: error.type,
+                message: error.message,
+                timestamp: new Date().toISOString()
+            },
+            requiresFunctionCall: false,
+            cancelled: true,
+            steps: turn.steps,
+            durationMs: Date.now() - turn.startedAt,
+            ...this.getTurnUsage(turn)
+        };
+    }
+
+    /**
+     * Map an error to its response type and a message suitable for the user.
+     * Typed errors keep their own type; anything else is a PROCESSING_ERROR.
+     * 
+     * @param {Error} error - Error raised while processing a message
+     * @returns {{type: string, userMessage: string}} Error type and user-facing message
+     */
+    classifyError(error) {
+        if (error instanceof AuthenticationError) {
+            return { type: error.type, userMessage: 'Authentication failed. Please check your OpenAI API key configuration.' };
+        }
+
+        if (error instanceof RateLimitError) {
+            return { type: error.type, userMessage: 'Rate limit exceeded. Please wait a moment before trying again.' };
+        }
 
-            // Trim messages to token limit if specified
-            if (maxTokens) {
-                messages = this.trimToTokenLimit(messages, maxTokens);
-            }
+        if (error instanceof NetworkError) {
+            return { type: error.type, userMessage: 'Network error. Please check your internet connection.' };
+        }
 
-            // Get available functions
-            const functions = this.functionRegistry.getFunctionSchemas();
-            const hasFunctions = functions.length > 0;
+        if (error instanceof InitializationError) {
+            return { type: error.type, userMessage: 'System components are not properly initialized.' };
+        }
 
-            // Prepare request options
-            const requestOptions = {};
-            if (temperature !== null) {
-                requestOptions.temperature = temperature;
-            }
+        if (error instanceof ContextLengthError) {
+            return { type: error.type, userMessage: 'The conversation is too long for the model. Try clearing the history.' };
+        }
 
-            console.log('🤔 Thinking...');
+        if (error instanceof ToolError) {
+            return { type: error.type, userMessage: 'There was an issue with function execution.' };
+        }
 
-            // Make API call to OpenAI
-            const response = await this.openaiClient.createChatCompletion(
-                messages,
-                hasFunctions ? functions : null,
-                requestOptions
-            );
+        if (error instanceof SchemaValidationError) {
+            return { type: error.type, userMessage: 'The response did not match the requested format.' };
+        }
 
-            // Process the response
-            return await this.processOpenAIResponse(response);
+        if (error instanceof BudgetExceededError) {
+            return { type: error.type, userMessage: `I stopped because the ${error.scope} budget ran out. ${error.message}.` };
+        }
 
-        } catch (error) {
-            console.error('❌ Error processing message:', error.message);
-            
-            // Categorize error types for better handling
-            let errorType = 'PROCESSING_ERROR';
-            let userMessage = `I encountered an error: ${error.message}`;
-            
-            if (error.message.includes('API key') || error.message.includes('401') || error.message.includes('403')) {
-                errorType = 'AUTHENTICATION_ERROR';
-                userMessage = 'Authentication failed. Please check your OpenAI API key configuration.';
-            } else if (error.message.includes('rate limit') || error.message.includes('429')) {
-                errorType = 'RATE_LIMIT_ERROR';
-                userMessage = 'Rate limit exceeded. Please wait a moment before trying again.';
-            } else if (error.message.includes('network') || error.message.includes('ENOTFOUND') || error.message.includes('ECONNREFUSED')) {
-                errorType = 'NETWORK_ERROR';
-                userMessage = 'Network error. Please check your internet connection.';
-            } else if (error.message.includes('not initialized') || error.message.includes('not ready')) {
-                errorType = 'INITIALIZATION_ERROR';
-                userMessage = 'System components are not properly initialized.';
-            } else if (error.message.includes('function')) {
-                errorType = 'FUNCTION_ERROR';
-                userMessage = 'There was an issue with function execution.';
-            }
-            
-            // Create error response
-            const errorResponse = {
-                success: false,
-                message: userMessage,
-                error: {
-                    type: errorType,
-                    message: error.message,
-                    timestamp: new Date().toISOString(),
-                    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-                },
-                requiresFunctionCall: false,
-                functionCall: null
+        if (error instanceof TurnQueueError) {
+            return {
+                type: error.type,
+                userMessage: error.reason === 'full'
+                    ? 'Too many messages are waiting to be answered. Please try again once some have finished.'
+                    : 'Another message is still being answered. Please try again when it has finished.'
             };
+        }
 
-            // Add error message to history for context (but not the technical details)
-            this.addToHistory('assistant', userMessage);
+        return {
+            type: error instanceof AgentError ? error.type : 'PROCESSING_ERROR',
+            userMessage: `I encountered an error: ${error.message}`
+        };
+    }
 
-            return errorResponse;
+    /**
+     * Process user input and stream the response as it is generated.
+     * Works like processMessage, but each delta is passed to `onChunk` as soon
+     * as it arrives. Tool call arguments are streamed in fragments and
+     * assembled before the calls are executed; follow-up responses after tool
+     * calls are streamed too.
+     * 
+     * @async
+     * @param {string} userInput - The user's message
+     * @param {Function} onChunk - Callback invoked for every delta
+     * @param {Object} onChunk.chunk - Delta event
+     * @param {string} onChunk.chunk.type - 'content' for text, 'tool_call' for tool call fragments
+     * @param {string} [onChunk.chunk.content] - Text delta (content events)
+     * @param {number} [onChunk.chunk.index] - Tool call index within the response (tool_call events)
+     * @param {string} [onChunk.chunk.id] - Tool call ID, once known (tool_call events)
+     * @param {string} [onChunk.chunk.name] - Function name, once known (tool_call events)
+     * @param {string} [onChunk.chunk.arguments] - Arguments fragment (tool_call events)
+     * @param {Object} [options={}] - Processing options (same as processMessage)
+     * @returns {Promise<Object>} Final response object (same shape as processMessage)
+     * @example
+     * const response = await chatManager.processMessageStream('Tell me a story', (chunk) => {
+     *   if (chunk.type === 'content') {
+     *     process.stdout.write(chunk.content);
+     *   }
+     * });
+     */
+    async processMessageStream(userInput, onChunk, options = {}) {
+        if (typeof onChunk !== 'function') {
+            throw new ValidationError('onChunk must be a function');
         }
+
+        return await this.processMessage(userInput, { ...options, onChunk });
     }
 
     /**
-     * Process OpenAI API response and handle function calls
-     * @param {Object} response - OpenAI API response
-     * @returns {Promise<Object>} Processed response object
+     * Send one chat completion request, record its usage and report it with
+     * requestStart and requestEnd events
+     * @param {Object} state - Turn state ({ id, usage, budgetWarnings }); a ledger turn is
+     *   started if it has none yet
+     * @param {Object} details - Event details ({ reason, step, messageCount, stream })
+     * @param {Function} request - Sends the request and resolves to the completion
+     * @returns {Promise<Object>} Chat completion response
+     * @private
      */
-    async processOpenAIResponse(response) {
-        try {
-            const choice = response.choices[0];
-            const message = choice.message;
+    async sendRequest(state, details, request) {
+        const turnId = state.id ?? null;
+        const model = this.getModelConfig().model;
+        const startedAt = Date.now();
+        const { reason, step } = details;
 
-            // Check if the model wants to call a function
-            if (message.function_call) {
-                console.log('🔧 Function call requested:', message.function_call.name);
-                return await this.handleFunctionCall(message.function_call);
-            }
+        this.emitEvent('requestStart', { turnId, ...details, model });
 
-            // Regular text response
-            const assistantMessage = message.content;
+        let response;
+        try {
+            response = await request();
+        } catch (error) {
+            this.emitEvent('requestEnd', {
+                turnId, reason, step, success: false, model, usage: null, finishReason: null, toolCalls: [],
+                latencyMs: Date.now() - startedAt, error: error.message
+            });
+            throw error;
+        }
 
-            // Add assistant response to history
-            this.addToHistory('assistant', assistantMessage);
+        state.usage ??= this.usageLedger.startTurn();
+        const call = this.recordUsage(state.usage, response.model || model, response.usage);
+        const choice = response.choices?.[0];
 
-            return {
-                success: true,
-                message: assistantMessage,
-                error: null,
-                requiresFunctionCall: false,
-                functionCall: null,
-                usage: response.usage,
-                model: response.model,
-                finishReason: choice.finish_reason
-            };
+        this.emitEvent('requestEnd', {
+            turnId, reason, step, success: true, model: call.model, usage: call,
+            finishReason: choice?.finish_reason ?? null,
+            toolCalls: (choice?.message?.tool_calls || []).map(toolCall => toolCall.function.name),
+            latencyMs: Date.now() - startedAt, error: null
+        });
+        this.warnOnBudget(state);
 
-        } catch (error) {
-            throw new Error(`Failed to process OpenAI response: ${error.message}`);
-        }
+        return response;
     }
 
     /**
-     * Handle streaming responses (for future implementation)
-     * @param {string} userInput - User's message
-     * @param {Function} onChunk - Callback for each response chunk
-     * @param {Object} options - Processing options
-     * @returns {Promise<Object>} Final response object
+     * Request a chat completion, streaming it when a chunk callback is given.
+     * Streamed responses are assembled into the same shape as a regular
+     * completion so they can be processed identically.
+     * 
+     * @async
+     * @param {Array<Object>} messages - Formatted messages
+     * @param {Array<Object>|null} tools - Tool definitions
+     * @param {Object} requestOptions - Request options (temperature, toolChoice, signal)
+     * @param {Function} [onChunk=null] - Streaming callback; null for a regular request
+     * @returns {Promise<Object>} Chat completion response
      */
-    async processMessageStream(userInput, onChunk, options = {}) {
-        // This is a placeholder for streaming implementation
-        // For now, fall back to regular processing
-        console.log('📡 Streaming not yet implemented, using regular processing...');
-        return await this.processMessage(userInput, options);
+    async requestCompletion(messages, tools, requestOptions, onChunk = null) {
+        if (!onChunk) {
+            return await this.openaiClient.createChatCompletion(messages, tools, requestOptions);
+        }
+
+        let content = '';
+        const toolCalls = [];
+        let finishReason = null;
+        let usage = null;
+        let model = null;
+        let fallback = null;
+
+        for await (const chunk of this.openaiClient.streamChatCompletion(messages, tools, requestOptions)) {
+            model = chunk.model || model;
+            fallback = chunk.fallback || fallback;
+
+            // Usage arrives on a final chunk with no choices
+            if (chunk.usage) {
+                usage = chunk.usage;
+            }
+
+            const choice = chunk.choices?.[0];
+            if (!choice) {
+                continue;
+            }
+
+            const delta = choice.delta || {};
+
+            if (delta.content) {
+                content += delta.content;
+                onChunk({ type: 'content', content: delta.content });
+            }
+
+            // Tool call arguments arrive as fragments keyed by index
+            for (const fragment of delta.tool_calls || []) {
+                const toolCall = toolCalls[fragment.index] ??= {
+                    id: null,
+                    type: 'function',
+                    function: { name: '', arguments: '' }
+                };
+
+                if (fragment.id) {
+                    toolCall.id = fragment.id;
+                }
+                if (fragment.function?.name) {
+                    toolCall.function.name = fragment.function.name;
+                }
+                if (fragment.function?.arguments) {
+                    toolCall.function.arguments += fragment.function.arguments;
+                }
+
+                onChunk({
+                    type: 'tool_call',
+                    index: fragment.index,
+                    id: toolCall.id,
+                    name: toolCall.function.name,
+                    arguments: fragment.function?.arguments || ''
+                });
+            }
+
+            if (choice.finish_reason) {
+                finishReason = choice.finish_reason;
+            }
+        }
+
+        const message = { role: 'assistant', content };
+        const assembledCalls = toolCalls.filter(Boolean);
+        if (assembledCalls.length > 0) {
+            message.content = content || null;
+            message.tool_calls = assembledCalls;
+        }
+
+        return {
+            choices: [{ message, finish_reason: finishReason }],
+            usage,
+            model,
+            fallback
+        };
     }
 
     /**
@@ -563,27 +2474,46 @@ class ChatManager {
     }
 
     /**
-     * Generate a response without adding to history (for testing/preview)
+     * Generate a response without adding to history (for testing/preview).
+     * The turn runs on a copy of the conversation, so turns running at the
+     * same time on this conversation are not affected. Usage is still
+     * recorded in this conversation's ledger.
      * @param {string} userInput - User's message
      * @param {Object} options - Processing options
      * @returns {Promise<Object>} Response object
      */
     async generateResponse(userInput, options = {}) {
-        const originalHistory = [...this.messageHistory];
-        
-        try {
-            const response = await this.processMessage(userInput, options);
-            
-            // Restore original history
-            this.messageHistory = originalHistory;
-            
-            return response;
-            
-        } catch (error) {
-            // Restore original history on error
-            this.messageHistory = originalHistory;
-            throw error;
-        }
+        return await this.createDetachedCopy().processMessage(userInput, options);
+    }
+
+    /**
+     * Create a chat manager with the same settings and a copy of the
+     * conversation, sharing this one's usage ledger and event listeners but
+     * not its journal
+     * @returns {ChatManager} The copy
+     * @private
+     */
+    createDetachedCopy() {
+        const copy = new ChatManager(this.openaiClient, this.functionRegistry, {
+            maxSteps: this.maxSteps,
+            turnTimeoutMs: this.turnTimeoutMs,
+            maxRepeatedToolCalls: this.maxRepeatedToolCalls,
+            toolConcurrency: this.toolConcurrency,
+            schemaRetries: this.schemaRetries,
+            usageLedger: this.usageLedger,
+            tokenCounter: this.tokenCounter,
+            historyStrategy: this.historyStrategy,
+            compactThreshold: this.compactThreshold,
+            compactKeepRecent: this.compactKeepRecent,
+            budget: this.getBudget(),
+            config: this.modelConfig,
+            allowedTools: this.allowedTools && [...this.allowedTools],
+            logToConsole: false
+        });
+
+        copy.eventTarget = this.eventTarget;
+        copy.applyState(this.getState());
+        return copy;
     }
 
     /**
@@ -608,147 +2538,403 @@ class ChatManager {
     }
 
     /**
-     * Handle function call from the OpenAI model.
-     * Executes the requested function through the function registry and sends
-     * the result back to the model to generate a final response.
+     * Run the agent loop for a single turn.
+     * Requests a completion, executes any tool calls it contains (concurrently,
+     * up to `toolConcurrency` at once), and feeds all results back to the model
+     * in a single follow-up request until it answers with text. The loop is
+     * bounded: it stops after `maxSteps` tool-calling rounds, when the turn's
+     * wall-clock budget runs out (checked before each request and tool call),
+     * or when an identical tool call repeats more than `maxRepeatedToolCalls`
+     * times. If the turn's signal is aborted, a CancelledError is thrown; if
+     * a budget is used up before a request, a BudgetExceededError is thrown.
      * 
      * @async
-     * @param {Object} functionCall - Function call object from OpenAI
-     * @param {string} functionCall.name - Name of the function to call
-     * @param {string} functionCall.arguments - JSON string of function arguments
-     * @returns {Promise<Object>} Final response after function execution
-     * @returns {boolean} return.success - Whether the operation succeeded
-     * @returns {string} return.message - The final response message
-     * @returns {Object} [return.error] - Error details if failed
-     * @example
-     * // This is typically called automatically by processMessage
-     * // when the model decides to call a function
-     * const functionCall = {
-     *   name: 'getCurrentTime',
-     *   arguments: '{}'
-     * };
-     * const response = await chatManager.handleFunctionCall(functionCall);
-     */
-    async handleFunctionCall(functionCall) {
-        try {
-            const { name, arguments: argsString } = functionCall;
-
-            // Add the assistant's function call to history (content should be null for function calls)
-            this.addToHistory('assistant', null, { function_call: functionCall });
+     * @param {Object} turn - Turn state ({ startedAt, steps, signal, limits })
+     * @param {Array<Object>} messages - Formatted messages for the first request
+     * @param {Array<Object>|null} tools - Tool definitions
+     * @param {Object} requestOptions - Request options (temperature, toolChoice, signal)
+     * @param {Function} [onChunk=null] - Streaming callback; null for regular requests
+     * @returns {Promise<Object>} Turn result (see processMessage)
+     * @throws {CancelledError} If the turn's signal is aborted
+     * @throws {BudgetExceededError} If a token or spend budget is used up
+     */
+    async runAgentLoop(turn, messages, tools, requestOptions, onChunk = null) {
+        const { maxSteps, turnTimeoutMs, maxRepeatedToolCalls } = turn.limits;
+        const callCounts = new Map();
+        let options = requestOptions;
+        let reason = 'initial';
+
+        // Stream when the caller or a token listener wants the text as it arrives
+        const streamChunk = onChunk || this.eventTarget.listenerCount('token') > 0
+            ? chunk => {
+                if (chunk.type === 'content') {
+                    this.emitEvent('token', { turnId: turn.id, content: chunk.content });
+                }
+                onChunk?.(chunk);
+            }
+            : null;
 
-            console.log(`🔧 Executing function: ${name}`);
+        for (let step = 1; ; step++) {
+            this.throwIfCancelled(turn);
 
-            // Parse function arguments
-            let functionArgs = {};
-            try {
-                functionArgs = argsString ? JSON.parse(argsString) : {};
-            } catch (parseError) {
-                console.error('❌ Failed to parse function arguments:', parseError.message);
-                
-                const errorMessage = `Failed to parse function arguments: ${parseError.message}`;
-                this.addToHistory('function', errorMessage, { name });
-                
-                return await this.getFinalResponseAfterFunction();
+            if (Date.now() - turn.startedAt > turnTimeoutMs) {
+                return this.stopTurn(turn, 'TURN_TIMEOUT',
+                    `I stopped because this request exceeded its ${turnTimeoutMs}ms time budget.`);
             }
 
-            // Execute the function through the registry
-            const functionResult = await this.functionRegistry.executeFunctionSafely(
-                name, 
-                functionArgs,
-                { timeout: 10000, sanitizeResults: true }
+            this.enforceBudget(turn);
+
+            const response = await this.sendRequest(
+                turn,
+                { reason, step, messageCount: messages.length, stream: Boolean(streamChunk) },
+                () => this.requestCompletion(messages, tools, options, streamChunk)
             );
 
-            // Format function result for OpenAI
-            const resultMessage = this.formatFunctionResult(functionResult, name);
+            if (response.fallback) {
+                turn.fallbacks.push(response.fallback);
+            }
 
-            // Add function result to history
-            this.addToHistory('function', resultMessage, { name });
+            const choice = response.choices[0];
+            const message = choice.message;
 
-            console.log(`✅ Function ${name} executed successfully`);
+            // A text answer ends the turn
+            if (!this.isToolCall(message)) {
+                let parsed;
+
+                if (turn.responseSchema) {
+                    const result = this.parseStructuredResponse(message.content, turn.responseSchema);
+
+                    if (!result.isValid) {
+                        if (turn.schemaAttempts >= turn.limits.schemaRetries) {
+                            throw new SchemaValidationError(
+                                `Response did not match the schema after ${turn.schemaAttempts + 1} attempts: ${result.error}`,
+                                { attempts: turn.schemaAttempts + 1, content: message.content }
+                            );
+                        }
+
+                        // Ask for a correction; the failed attempt stays out of history
+                        turn.schemaAttempts++;
+                        reason = 'schemaRetry';
+                        this.emitEvent('warning', {
+                            turnId: turn.id,
+                            type: 'SCHEMA_RETRY',
+                            message: `Response did not match the schema (${result.error}), asking for a correction...`
+                        });
+                        messages.push(
+                            { role: 'assistant', content: message.content ?? '' },
+                            {
+                                role: 'user',
+                                content: `Your response did not match the required JSON Schema: ${result.error}. ` +
+                                    'Respond again with only a JSON object that matches the schema.'
+                            }
+                        );
+                        continue;
+                    }
 
-            // Get final response from model with function result
-            return await this.getFinalResponseAfterFunction();
+                    parsed = result.value;
+                }
 
-        } catch (error) {
-            console.error('❌ Error handling function call:', error.message);
+                this.addToHistory('assistant', message.content);
 
-            // Categorize function execution errors
-            let errorType = 'FUNCTION_EXECUTION_ERROR';
-            let userMessage = `I encountered an error while executing the function: ${error.message}`;
-            
-            if (error.message.includes('timeout')) {
-                errorType = 'FUNCTION_TIMEOUT_ERROR';
-                userMessage = 'The function took too long to execute and was cancelled.';
-            } else if (error.message.includes('not found') || error.message.includes('not registered')) {
-                errorType = 'FUNCTION_NOT_FOUND_ERROR';
-                userMessage = 'The requested function is not available.';
-            } else if (error.message.includes('validation') || error.message.includes('arguments')) {
-                errorType = 'FUNCTION_VALIDATION_ERROR';
-                userMessage = 'The function was called with invalid arguments.';
-            } else if (error.message.includes('network') || error.message.includes('fetch')) {
-                errorType = 'FUNCTION_NETWORK_ERROR';
-                userMessage = 'The function failed due to a network issue.';
-            }
-
-            // Add error to conversation history
-            const errorMessage = `Function execution failed: ${error.message}`;
-            this.addToHistory('function', errorMessage, { name: functionCall.name });
-
-            // Try to get a response from the model even with the error
-            try {
-                return await this.getFinalResponseAfterFunction();
-            } catch (finalError) {
-                console.error('❌ Failed to get final response after function error:', finalError.message);
-                
-                // If we can't get a final response, return comprehensive error response
                 return {
-                    success: false,
-                    message: userMessage,
-                    error: {
-                        type: errorType,
-                        message: error.message,
-                        functionName: functionCall.name,
-                        timestamp: new Date().toISOString(),
-                        finalResponseError: finalError.message
-                    },
+                    success: true,
+                    message: message.content,
+                    error: null,
                     requiresFunctionCall: false,
-                    functionCall: null
+                    steps: turn.steps,
+                    durationMs: Date.now() - turn.startedAt,
+                    ...this.getTurnUsage(turn),
+                    model: response.model,
+                    fallbacks: turn.fallbacks,
+                    finishReason: choice.finish_reason,
+                    ...(turn.responseSchema && { parsed })
                 };
             }
+
+            if (step > maxSteps) {
+                return this.stopTurn(turn, 'MAX_STEPS_EXCEEDED',
+                    `I stopped after ${maxSteps} rounds of tool calls without reaching an answer.`);
+            }
+
+            // Add the assistant's tool calls to history (content may be null)
+            messages.push(this.formatMessage(
+                this.addToHistory('assistant', message.content ?? null, { tool_calls: message.tool_calls })
+            ));
+
+            // Decide up front which calls may run; every call must still be
+            // answered, even when the turn is being stopped
+            let stopReason = null;
+            const runnableCalls = [];
+
+            for (const toolCall of message.tool_calls) {
+                const signature = this.getToolCallSignature(toolCall);
+                const count = (callCounts.get(signature) || 0) + 1;
+                callCounts.set(signature, count);
+
+                if (!stopReason && count > maxRepeatedToolCalls) {
+                    stopReason = {
+                        type: 'TOOL_LOOP_DETECTED',
+                        message: `I stopped because ${toolCall.function.name} was called with the same arguments ${count} times.`
+                    };
+                } else if (!stopReason && Date.now() - turn.startedAt > turnTimeoutMs) {
+                    stopReason = {
+                        type: 'TURN_TIMEOUT',
+                        message: `I stopped because this request exceeded its ${turnTimeoutMs}ms time budget.`
+                    };
+                }
+
+                if (!stopReason) {
+                    runnableCalls.push(toolCall);
+                }
+            }
+
+            // Calls from one response are independent, so run them concurrently
+            const executed = await this.executeFunctionParallel(runnableCalls, {
+                concurrency: turn.limits.toolConcurrency,
+                signal: turn.signal,
+                turnId: turn.id
+            });
+
+            // Cancelled tools report failures; discard them with the turn
+            this.throwIfCancelled(turn);
+
+            // Append results to history in the order the model requested them
+            message.tool_calls.forEach((toolCall, index) => {
+                const result = index < executed.length
+                    ? executed[index]
+                    : this.skipToolCall(toolCall, stopReason.type);
+
+                turn.steps.push({ step, ...result });
+                messages.push(this.formatMessage(
+                    this.addToHistory('tool', result.result, { tool_call_id: result.toolCallId, name: result.name })
+                ));
+            });
+
+            if (stopReason) {
+                return this.stopTurn(turn, stopReason.type, stopReason.message);
+            }
+
+            // A forced tool choice only applies to the first request, otherwise
+            // the model would be made to call the tool again on every follow-up
+            options = { ...options, toolChoice: 'auto' };
+            reason = 'toolResults';
         }
     }
 
     /**
-     * Get final response from model after function execution
-     * @returns {Promise<Object>} Final response object
+     * Throw if the turn's signal has been aborted
+     * @param {Object} turn - Turn state
+     * @throws {CancelledError} If the turn was cancelled
      */
-    async getFinalResponseAfterFunction() {
+    throwIfCancelled(turn) {
+        if (turn.signal?.aborted) {
+            throw new CancelledError('Turn cancelled');
+        }
+    }
+
+    /**
+     * Parse a structured answer and validate it against its schema with the
+     * function registry's argument validator. Code fences around the JSON
+     * are tolerated.
+     * 
+     * @param {string|null} content - Answer content
+     * @param {Object} schema - JSON Schema the answer must match
+     * @returns {Object} { isValid, value, error }
+     */
+    parseStructuredResponse(content, schema) {
+        const text = (content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+        let value;
         try {
-            // Get current conversation history including function results
-            const messages = this.getFormattedHistory();
+            value = JSON.parse(text);
+        } catch (error) {
+            return { isValid: false, value: null, error: `invalid JSON (${error.message})` };
+        }
 
-            // Debug logging for development
-            if (process.env.NODE_ENV === 'development') {
-                console.log('🔍 Messages being sent to OpenAI:', JSON.stringify(messages, null, 2));
-            }
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            return { isValid: false, value: null, error: 'expected a JSON object' };
+        }
 
-            // Get available functions (in case model wants to call another function)
-            const functions = this.functionRegistry.getFunctionSchemas();
+        const validation = this.functionRegistry.validateArguments(value, schema);
+        return { isValid: validation.isValid, value, error: validation.error };
+    }
 
-            console.log('🔄 Generating final response...');
+    /**
+     * End a turn early because an agent loop limit was hit.
+     * The explanation is added to history so the model has context next turn.
+     * 
+     * @param {Object} turn - Turn state
+     * @param {string} type - Stop reason ('MAX_STEPS_EXCEEDED', 'TURN_TIMEOUT', 'TOOL_LOOP_DETECTED')
+     * @param {string} userMessage - Explanation shown to the user
+     * @returns {Object} Failed turn result
+     */
+    stopTurn(turn, type, userMessage) {
+        this.emitEvent('warning', { turnId: turn.id, type, message: `Agent loop stopped: ${type}` });
 
-            // Make API call with function results
-            const response = await this.openaiClient.createChatCompletion(
-                messages,
-                functions.length > 0 ? functions : null
-            );
+        this.addToHistory('assistant', userMessage);
+
+        return {
+            success: false,
+            message: userMessage,
+            error: {
+                type,
+                message: userMessage,
+                timestamp: new Date().toISOString()
+            },
+            requiresFunctionCall: false,
+            steps: turn.steps,
+            durationMs: Date.now() - turn.startedAt,
+            ...this.getTurnUsage(turn)
+        };
+    }
+
+    /**
+     * Summarize the usage recorded for a turn, in response format
+     * @param {Object} turn - Turn state
+     * @returns {Object} { usage, cost }; usage is null if no request was made
+     */
+    getTurnUsage(turn) {
+        const entry = turn.usage;
+        if (!entry || entry.requests === 0) {
+            return { usage: null, cost: null };
+        }
+
+        return {
+            usage: {
+                prompt_tokens: entry.promptTokens,
+                completion_tokens: entry.completionTokens,
+                total_tokens: entry.totalTokens,
+                requests: entry.requests
+            },
+            cost: entry.unpricedRequests > 0 ? null : entry.cost
+        };
+    }
+
+    /**
+     * Build a stable signature for a tool call, used for loop detection
+     * @param {Object} toolCall - Tool call object from OpenAI
+     * @returns {string} Function name and normalized arguments
+     */
+    getToolCallSignature(toolCall) {
+        const { name, arguments: argsString } = toolCall.function;
+
+        try {
+            return `${name}:${JSON.stringify(argsString ? JSON.parse(argsString) : {})}`;
+        } catch {
+            return `${name}:${argsString}`;
+        }
+    }
+
+    /**
+     * Build a result for a tool call that is answered without executing it,
+     * so every call in the assistant message still gets a tool result
+     * @param {Object} toolCall - Tool call object from OpenAI
+     * @param {string} reason - Why the call was skipped
+     * @returns {Object} Step details for the skipped call
+     */
+    skipToolCall(toolCall, reason) {
+        const { id, function: { name } } = toolCall;
+        const result = `Error executing ${name}: call skipped (${reason})`;
 
-            // Process the response (could be another function call or final answer)
-            return await this.processOpenAIResponse(response);
+        return {
+            toolCallId: id,
+            name,
+            arguments: {},
+            result,
+            success: false,
+            errorType: reason,
+            latencyMs: 0
+        };
+    }
 
+    /**
+     * Execute a single tool call.
+     * Argument parsing and execution failures are reported back to the model
+     * as the tool result rather than thrown.
+     * 
+     * @async
+     * @param {Object} toolCall - Tool call object from OpenAI
+     * @param {string} toolCall.id - Tool call ID, echoed back as tool_call_id
+     * @param {Object} toolCall.function - Function name and JSON string arguments
+     * @param {Object} [options={}] - Execution options
+     * @param {AbortSignal} [options.signal] - Aborts the function when signalled
+     * @param {string} [options.turnId] - Turn the call belongs to, for its toolCallStart and
+     *   toolCallEnd events
+     * @returns {Promise<Object>} Step details for the executed call
+     * @returns {string} return.toolCallId - Tool call ID
+     * @returns {string} return.name - Function name
+     * @returns {Object} return.arguments - Parsed arguments (empty if parsing failed)
+     * @returns {string} return.result - Result content sent back to the model
+     * @returns {boolean} return.success - Whether the function succeeded
+     * @returns {string|null} return.errorType - Error type if the call failed (e.g. 'TOOL_TIMEOUT')
+     * @returns {number} return.latencyMs - Execution time in milliseconds
+     */
+    async executeToolCall(toolCall, options = {}) {
+        const { id, function: { name, arguments: argsString } } = toolCall;
+        const { turnId = null } = options;
+        const startTime = Date.now();
+
+        // Parse function arguments
+        let functionArgs = {};
+        let parseError = null;
+        try {
+            functionArgs = argsString ? JSON.parse(argsString) : {};
         } catch (error) {
-            throw new Error(`Failed to get final response after function execution: ${error.message}`);
+            parseError = error;
         }
+
+        this.emitEvent('toolCallStart', { turnId, id, name, args: parseError ? argsString : functionArgs });
+
+        let step;
+        let error = null;
+
+        if (!this.isToolAllowed(name)) {
+            error = `Function ${name} is not allowed in this conversation`;
+            step = this.skipToolCall(toolCall, 'TOOL_NOT_ALLOWED');
+        } else if (parseError) {
+            error = `Failed to parse function arguments: ${parseError.message}`;
+            step = {
+                toolCallId: id,
+                name,
+                arguments: {},
+                result: error,
+                success: false,
+                errorType: 'VALIDATION_ERROR',
+                latencyMs: Date.now() - startTime
+            };
+        } else {
+            // Execute the function through the registry
+            const functionResult = await this.functionRegistry.executeFunctionSafely(
+                name, 
+                functionArgs,
+                { timeout: 10000, sanitizeResults: true, signal: options.signal }
+            );
+
+            error = functionResult.success ? null : functionResult.error.message;
+            step = {
+                toolCallId: id,
+                name,
+                arguments: functionArgs,
+                result: this.formatFunctionResult(functionResult, name),
+                success: functionResult.success,
+                errorType: functionResult.success ? null : functionResult.error.type,
+                latencyMs: Date.now() - startTime
+            };
+        }
+
+        this.emitEvent('toolCallEnd', {
+            turnId,
+            id,
+            name,
+            args: step.arguments,
+            success: step.success,
+            result: step.result,
+            error,
+            errorType: step.errorType,
+            latencyMs: step.latencyMs
+        });
+
+        return step;
     }
 
     /**
@@ -779,20 +2965,24 @@ class ChatManager {
     }
 
     /**
-     * Check if model response indicates a function call
+     * Check if model response requests tool calls
      * @param {Object} message - OpenAI message object
-     * @returns {boolean} True if message contains function call
+     * @returns {boolean} True if message contains at least one tool call
      */
-    isFunctionCall(message) {
-        return message && message.function_call && message.function_call.name;
+    isToolCall(message) {
+        return Boolean(message && Array.isArray(message.tool_calls) && message.tool_calls.length > 0);
     }
 
     /**
      * Validate function call request
-     * @param {Object} functionCall - Function call object
+     * @param {Object} functionCall - Tool call ({ function: { name, arguments } }) or bare function call
      * @returns {Object} Validation result
      */
     validateFunctionCall(functionCall) {
+        if (functionCall && functionCall.function) {
+            functionCall = functionCall.function;
+        }
+
         if (!functionCall || typeof functionCall !== 'object') {
             return {
                 isValid: false,
@@ -835,89 +3025,51 @@ class ChatManager {
 
     /**
      * Execute multiple function calls in sequence
-     * @param {Array} functionCalls - Array of function call objects
-     * @returns {Promise<Array>} Array of function results
+     * @param {Array} functionCalls - Array of tool call or bare function call objects
+     * @returns {Promise<Array>} Step details for each call, in input order (see executeToolCall)
      */
     async executeFunctionSequence(functionCalls) {
-        const results = [];
-
-        for (const functionCall of functionCalls) {
-            try {
-                const validation = this.validateFunctionCall(functionCall);
-                if (!validation.isValid) {
-                    results.push({
-                        success: false,
-                        functionName: functionCall.name,
-                        error: validation.error
-                    });
-                    continue;
-                }
-
-                const args = functionCall.arguments ? JSON.parse(functionCall.arguments) : {};
-                const result = await this.functionRegistry.executeFunctionSafely(
-                    functionCall.name,
-                    args
-                );
-
-                results.push({
-                    success: result.success,
-                    functionName: functionCall.name,
-                    result: result.result,
-                    error: result.error
-                });
-
-            } catch (error) {
-                results.push({
-                    success: false,
-                    functionName: functionCall.name,
-                    error: error.message
-                });
-            }
-        }
-
-        return results;
+        return await this.executeFunctionParallel(functionCalls, { concurrency: 1 });
     }
 
     /**
-     * Handle parallel function execution (for future use)
-     * @param {Array} functionCalls - Array of function call objects
-     * @returns {Promise<Array>} Array of function results
+     * Execute multiple function calls concurrently.
+     * At most `concurrency` calls run at once; results are returned in the
+     * same order as the input regardless of completion order.
+     * 
+     * @async
+     * @param {Array} functionCalls - Array of tool call or bare function call objects
+     * @param {Object} [options={}] - Execution options
+     * @param {number} [options.concurrency=this.toolConcurrency] - Maximum calls in flight
+     * @param {AbortSignal} [options.signal] - Aborts running calls when signalled
+     * @param {string} [options.turnId] - Turn the calls belong to, for their events
+     * @returns {Promise<Array>} Step details for each call, in input order (see executeToolCall)
+     * @example
+     * const results = await chatManager.executeFunctionParallel([
+     *   { id: 'call_1', type: 'function', function: { name: 'getLocation', arguments: '{}' } },
+     *   { id: 'call_2', type: 'function', function: { name: 'getCurrentTime', arguments: '{}' } }
+     * ], { concurrency: 2 });
      */
-    async executeFunctionParallel(functionCalls) {
-        const promises = functionCalls.map(async (functionCall) => {
-            try {
-                const validation = this.validateFunctionCall(functionCall);
-                if (!validation.isValid) {
-                    return {
-                        success: false,
-                        functionName: functionCall.name,
-                        error: validation.error
-                    };
-                }
+    async executeFunctionParallel(functionCalls, options = {}) {
+        const { concurrency = this.toolConcurrency, signal, turnId } = options;
 
-                const args = functionCall.arguments ? JSON.parse(functionCall.arguments) : {};
-                const result = await this.functionRegistry.executeFunctionSafely(
-                    functionCall.name,
-                    args
-                );
+        // Accept bare { name, arguments } calls as well as tool calls
+        const toolCalls = functionCalls.map(call => call.function ? call : { id: call.id, function: call });
 
-                return {
-                    success: result.success,
-                    functionName: functionCall.name,
-                    result: result.result,
-                    error: result.error
-                };
+        const results = new Array(toolCalls.length);
+        let nextIndex = 0;
 
-            } catch (error) {
-                return {
-                    success: false,
-                    functionName: functionCall.name,
-                    error: error.message
-                };
+        const worker = async () => {
+            while (nextIndex < toolCalls.length) {
+                const index = nextIndex++;
+                results[index] = await this.executeToolCall(toolCalls[index], { signal, turnId });
             }
-        });
+        };
 
-        return await Promise.all(promises);
+        const workerCount = Math.max(1, Math.min(concurrency, toolCalls.length));
+        await Promise.all(Array.from({ length: workerCount }, worker));
+
+        return results;
     }
 
     /**
@@ -937,7 +3089,7 @@ class ChatManager {
      * });
      */
     getAvailableFunctions() {
-        const schemas = this.functionRegistry.getFunctionSchemas();
+        const schemas = this.functionRegistry.getFunctionSchemas().filter(schema => this.isToolAllowed(schema.name));
         return schemas.map(schema => ({
             name: schema.name,
             description: schema.description,
@@ -947,55 +3099,44 @@ class ChatManager {
     }
 
     /**
-     * Test function calling capability
+     * Test function calling capability.
+     * Emits `functionTest` with the outcome.
      * @param {string} functionName - Function to test
      * @param {Object} testArgs - Test arguments
      * @returns {Promise<Object>} Test result
      */
     async testFunctionCall(functionName, testArgs = {}) {
+        let result;
         try {
-            console.log(`🧪 Testing function: ${functionName}`);
-            
-            const result = await this.functionRegistry.executeFunctionSafely(
+            result = await this.functionRegistry.executeFunctionSafely(
                 functionName,
                 testArgs
             );
-
-            console.log(`✅ Function test completed:`, result);
-            return result;
-
         } catch (error) {
-            console.error(`❌ Function test failed:`, error.message);
-            return {
+            result = {
                 success: false,
                 error: error.message,
                 functionName
             };
         }
+
+        this.emitEvent('functionTest', { name: functionName, args: testArgs, result });
+        return result;
     }
 
     /**
-     * Clean up chat manager resources
+     * Clean up chat manager resources.
+     * Emits `cleanup` once done.
      * @returns {Promise<void>}
      */
     async cleanup() {
-        try {
-            // Clear any pending timeouts or intervals
-            // (Currently none, but placeholder for future use)
-            
-            // Clear message history to free memory
-            this.messageHistory = [];
-            
-            // Reset state
-            this.maxHistoryLength = 20;
-            this.maxTokensPerMessage = 4000;
-            
-            console.log('🧹 Chat manager cleanup completed');
-            
-        } catch (error) {
-            console.error('Error during chat manager cleanup:', error.message);
-            throw error;
-        }
+        // Clear any pending timeouts or intervals
+        // (Currently none, but placeholder for future use)
+        
+        // Clear message history to free memory
+        this.messageHistory = [];
+        
+        this.emitEvent('cleanup', {});
     }
 }
 
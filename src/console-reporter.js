@@ -0,0 +1,131 @@
+/**
+ * Console Reporter for OpenAI Agent
+ *
+ * Prints what a ChatManager does ("🤔 Thinking...", "🔧 Executing
+ * function: ...") by listening to its lifecycle events. ChatManager
+ * attaches one by default (see its `logToConsole` option); embedding apps
+ * can leave it out and render the same events their own way.
+ *
+ * @class ConsoleReporter
+ * @example
+ * const chatManager = new ChatManager(openaiClient, functionRegistry, { logToConsole: false });
+ * const detach = new ConsoleReporter().attach(chatManager);
+ * // ...
+ * detach();
+ */
+class ConsoleReporter {
+    /**
+     * Create a new console reporter.
+     *
+     * @constructor
+     * @param {Console} [output=console] - Where to print (anything with log, warn and error)
+     */
+    constructor(output = console) {
+        this.output = output;
+    }
+
+    /**
+     * Start printing a chat manager's events
+     * @param {ChatManager} chatManager - Chat manager to listen to
+     * @returns {Function} Stops printing when called
+     */
+    attach(chatManager) {
+        const handlers = {
+            conversationStart: () => this.output.log('🤖 New conversation started. Type your message or "exit" to quit.'),
+            historyCleared: () => this.output.log('🗑️ Conversation history cleared'),
+            systemPromptChanged: () => this.output.log('🔄 System message updated'),
+            requestStart: event => this.onRequestStart(event),
+            requestEnd: event => this.onRequestEnd(event),
+            toolCallStart: event => this.output.log(`🔧 Executing function: ${event.name}`),
+            toolCallEnd: event => this.onToolCallEnd(event),
+            historyTrimmed: event => this.onHistoryTrimmed(event),
+            warning: event => this.output.warn(`⚠️ ${event.message}`),
+            error: event => this.output.error('❌ Error processing message:', event.message),
+            turnEnd: event => {
+                if (event.cancelled) {
+                    this.output.warn('🛑 Turn cancelled');
+                }
+            },
+            functionTest: event => this.onFunctionTest(event),
+            cleanup: () => this.output.log('🧹 Chat manager cleanup completed')
+        };
+
+        for (const [event, handler] of Object.entries(handlers)) {
+            chatManager.on(event, handler);
+        }
+
+        return () => {
+            for (const [event, handler] of Object.entries(handlers)) {
+                chatManager.off(event, handler);
+            }
+        };
+    }
+
+    /**
+     * Print that a request was sent
+     * @param {Object} event - requestStart event
+     * @private
+     */
+    onRequestStart({ reason }) {
+        if (reason === 'initial') {
+            this.output.log('🤔 Thinking...');
+        } else if (reason === 'toolResults') {
+            this.output.log('🔄 Generating final response...');
+        }
+    }
+
+    /**
+     * Print the tool calls a response asked for
+     * @param {Object} event - requestEnd event
+     * @private
+     */
+    onRequestEnd({ toolCalls }) {
+        if (toolCalls?.length > 0) {
+            this.output.log('🔧 Tool calls requested:', toolCalls.join(', '));
+        }
+    }
+
+    /**
+     * Print how a tool call ended
+     * @param {Object} event - toolCallEnd event
+     * @private
+     */
+    onToolCallEnd({ name, success, errorType, error }) {
+        if (success) {
+            this.output.log(`✅ Function ${name} executed successfully`);
+        } else if (errorType === 'TOOL_NOT_ALLOWED') {
+            this.output.warn(`🚫 ${error}`);
+        } else {
+            this.output.error(`❌ Function ${name} failed: ${error}`);
+        }
+    }
+
+    /**
+     * Print the outcome of a function test
+     * @param {Object} event - functionTest event
+     * @private
+     */
+    onFunctionTest({ name, result }) {
+        this.output.log(`🧪 Testing function: ${name}`);
+        if (result.success) {
+            this.output.log('✅ Function test completed:', result);
+        } else {
+            this.output.error('❌ Function test failed:', result.error?.message ?? result.error);
+        }
+    }
+
+    /**
+     * Print how the history was shortened
+     * @param {Object} event - historyTrimmed event
+     * @private
+     */
+    onHistoryTrimmed({ strategy, removed, remaining, tokensBefore, tokensAfter }) {
+        if (strategy === 'summarize') {
+            this.output.log(`🗜️ Summarized ${removed} messages (${tokensBefore} → ${tokensAfter} tokens)`);
+        } else {
+            this.output.log(`📝 Conversation history trimmed to ${remaining} messages`);
+        }
+    }
+}
+
+export default ConsoleReporter;
\ No newline at end of file
@@ -0,0 +1,474 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Export formats and their file extensions.
+ */
+export const EXPORT_FORMATS = {
+    json: 'json',
+    text: 'txt',
+    markdown: 'md',
+    html: 'html',
+    jsonl: 'jsonl'
+};
+
+/**
+ * Other names accepted for the formats.
+ */
+const FORMAT_ALIASES = {
+    md: 'markdown',
+    txt: 'text',
+    htm: 'html'
+};
+
+/**
+ * Display names of the message roles.
+ */
+const ROLE_LABELS = {
+    system: 'System',
+    user: 'User',
+    assistant: 'Assistant',
+    tool: 'Tool'
+};
+
+/**
+ * Code blocks and code spans (shown verbatim by Markdown), or a character
+ * that can start raw HTML outside them.
+ */
+const MARKDOWN_CODE_OR_HTML = /^(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^\1[`~]*[ \t]*$|(?![\s\S]))|(?<!`)(`+)(?!`)(?:(?!\n[ \t]*\n)[\s\S])*?[^`]\2(?!`)|[<&]/gm;
+
+/**
+ * Styles of the HTML transcript, inlined so the file needs nothing else.
+ */
+const HTML_STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; background: #fff; }
+header { border-bottom: 1px solid #d0d7de; margin-bottom: 1.5rem; }
+header p { color: #59636e; margin: 0.25rem 0 1rem; }
+.message { border: 1px solid #d0d7de; border-radius: 8px; padding: 0.75rem 1rem; margin: 0.75rem 0; }
+.message.user { background: #f6f8fa; }
+.message.system { background: #fff8c5; }
+.role { font-weight: 600; }
+.time { color: #59636e; font-size: 0.85em; margin-left: 0.5rem; }
+.content { white-space: pre-wrap; overflow-wrap: anywhere; margin-top: 0.5rem; }
+details { border: 1px solid #d0d7de; border-radius: 6px; margin-top: 0.5rem; padding: 0.25rem 0.75rem; background: #f6f8fa; }
+summary { cursor: pointer; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+pre { white-space: pre-wrap; overflow-wrap: anywhere; background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 0.5rem; }
+.failed summary { color: #cf222e; }
+`.trim();
+
+/**
+ * Conversation Exporter for OpenAI Agent
+ *
+ * Turns a conversation into a file for people or for training:
+ * - `json`: The messages as a JSON array
+ * - `text`: Plain text, one line per message, with function calls and results
+ * - `markdown`: A Markdown transcript; function calls and results are
+ *   collapsible `<details>` blocks
+ * - `html`: A self-contained HTML page (inline styles, no scripts or external
+ *   files) with the same collapsible blocks
+ * - `jsonl`: One OpenAI fine-tuning example (`{ messages, tools }`) per line
+ *
+ * Transcripts include messages that were summarized to save context; the
+ * summary itself is left out, since it only stood in for them.
+ *
+ * @class ConversationExporter
+ * @example
+ * const exporter = new ConversationExporter();
+ * const markdown = exporter.export({
+ *   systemPrompt: 'You are a helpful assistant.',
+ *   messages: chatManager.getHistory(false),
+ *   tools: functionRegistry.getToolSchemas()
+ * }, 'markdown');
+ */
+class ConversationExporter {
+    /**
+     * Get the canonical name of a format
+     * @param {string} format - Format name or alias (e.g. 'md')
+     * @returns {string} Format name (a key of EXPORT_FORMATS)
+     * @throws {ValidationError} If the format is not supported
+     */
+    resolveFormat(format) {
+        const name = String(format ?? '').toLowerCase();
+        const resolved = FORMAT_ALIASES[name] || name;
+
+        if (!EXPORT_FORMATS[resolved]) {
+            throw new ValidationError(
+                `Unsupported export format: ${format}. Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+            );
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Export a conversation
+     * @param {Object} conversation - Conversation to export
+     * @param {Array<Object>} conversation.messages - Messages without the system prompt
+     * @param {string} [conversation.systemPrompt] - System prompt
+     * @param {Array<Object>} [conversation.tools] - Tool schemas available to the model
+     *   (used by the jsonl format)
+     * @param {string} [conversation.model] - Model name, shown in transcripts
+     * @param {string} [format='json'] - Export format (see class description)
+     * @returns {string} Exported conversation
+     * @throws {ValidationError} If the format is not supported
+     */
+    export(conversation, format = 'json') {
+        switch (this.resolveFormat(format)) {
+            case 'json':
+                return JSON.stringify(conversation.messages, null, 2);
+            case 'text':
+                return this.toText(conversation);
+            case 'markdown':
+                return this.toMarkdown(conversation);
+            case 'html':
+                return this.toHtml(conversation);
+            case 'jsonl':
+                return this.toFineTuningJsonl(conversation);
+        }
+    }
+
+    /**
+     * Export as plain text
+     * @param {Object} conversation - Conversation (see export)
+     * @returns {string} One line per message and function call
+     */
+    toText({ messages }) {
+        const lines = [];
+        const toolNames = this.getToolNames(messages);
+
+        for (const message of messages) {
+            const prefix = `[${this.formatTime(message.timestamp)}] ${message.role.toUpperCase()}`;
+
+            if (message.role === 'tool') {
+                lines.push(`${prefix} (${toolNames.get(message.tool_call_id) || 'unknown function'}): ${this.formatContent(message.content)}`);
+                continue;
+            }
+
+            if (message.content !== null && message.content !== undefined && message.content !== '') {
+                lines.push(`${prefix}: ${this.formatContent(message.content)}`);
+            }
+
+            for (const toolCall of message.tool_calls || []) {
+                lines.push(`${prefix}: called ${toolCall.function.name}(${toolCall.function.arguments || ''})`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Export as a Markdown transcript
+     * @param {Object} conversation - Conversation (see export)
+     * @returns {string} Markdown document
+     */
+    toMarkdown({ messages, systemPrompt = null, model = null }) {
+        const results = this.getToolResults(messages);
+        const lines = ['# Conversation', '', `_${this.describe(messages, model)}_`, ''];
+
+        if (systemPrompt) {
+            lines.push('**System prompt**', '', ...this.escapeMarkdown(systemPrompt).split('\n').map(line => `> ${line}`), '');
+        }
+
+        for (const message of messages) {
+            // Results are shown with the call that requested them
+            if (message.role === 'tool' && results.get(message.tool_call_id)?.shown) {
+                continue;
+            }
+
+            lines.push(`### ${ROLE_LABELS[message.role] || message.role}` +
+                (message.timestamp ? ` · ${this.formatTime(message.timestamp)}` : ''), '');
+
+            // Message text is Markdown, but raw HTML in it is shown as text
+            const content = this.escapeMarkdown(this.formatContent(message.content));
+            if (content) {
+                lines.push(content, '');
+            }
+
+            for (const toolCall of message.tool_calls || []) {
+                const result = results.get(toolCall.id);
+                lines.push(
+                    '<details>',
+                    `<summary>🔧 ${this.escapeHtml(toolCall.function.name)}</summary>`,
+                    '',
+                    '**Arguments**',
+                    '',
+                    this.fence(this.formatJson(toolCall.function.arguments), 'json'),
+                    ''
+                );
+                if (result) {
+                    result.shown = true;
+                    lines.push('**Result**', '', this.fence(this.formatJson(result.content)), '');
+                }
+                lines.push('</details>', '');
+            }
+        }
+
+        return lines.join('\n').trimEnd() + '\n';
+    }
+
+    /**
+     * Export as a self-contained HTML page
+     * @param {Object} conversation - Conversation (see export)
+     * @returns {string} HTML document
+     */
+    toHtml({ messages, systemPrompt = null, model = null }) {
+        const results = this.getToolResults(messages);
+        const blocks = [];
+
+        if (systemPrompt) {
+            blocks.push(this.htmlMessage('system', null, this.escapeHtml(systemPrompt), ''));
+        }
+
+        for (const message of messages) {
+            if (message.role === 'tool' && results.get(message.tool_call_id)?.shown) {
+                continue;
+            }
+
+            const toolBlocks = (message.tool_calls || []).map(toolCall => {
+                const result = results.get(toolCall.id);
+                if (result) {
+                    result.shown = true;
+                }
+                const failed = result && /^Error executing /.test(this.formatContent(result.content));
+
+                return `<details${failed ? ' class="failed"' : ''}><summary>🔧 ${this.escapeHtml(toolCall.function.name)}</summary>` +
+                    `<p>Arguments</p><pre>${this.escapeHtml(this.formatJson(toolCall.function.arguments))}</pre>` +
+                    (result ? `<p>Result</p><pre>${this.escapeHtml(this.formatJson(result.content))}</pre>` : '') +
+                    '</details>';
+            });
+
+            blocks.push(this.htmlMessage(
+                message.role,
+                message.timestamp,
+                this.escapeHtml(this.formatContent(message.content)),
+                toolBlocks.join('\n')
+            ));
+        }
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            '<meta name="viewport" content="width=device-width, initial-scale=1">',
+            '<title>Conversation</title>',
+            `<style>\n${HTML_STYLES}\n</style>`,
+            '</head>',
+            '<body>',
+            `<header><h1>Conversation</h1><p>${this.escapeHtml(this.describe(messages, model))}</p></header>`,
+            ...blocks,
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Export as an OpenAI fine-tuning example for chat models: one JSON
+     * object per line with the messages (including the system prompt,
+     * tool calls and tool results) and the tool definitions
+     * @param {Object} conversation - Conversation (see export)
+     * @returns {string} JSONL with one example
+     */
+    toFineTuningJsonl({ messages, systemPrompt = null, tools = [] }) {
+        const example = {
+            messages: [
+                ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+                ...messages.map(message => this.toApiMessage(message))
+            ]
+        };
+
+        if (tools && tools.length > 0) {
+            example.tools = tools.map(tool => tool.type === 'function' ? tool : { type: 'function', function: tool });
+        }
+
+        return `${JSON.stringify(example)}\n`;
+    }
+
+    /**
+     * Strip a history message down to the fields the API accepts
+     * @param {Object} message - History message
+     * @returns {Object} API message
+     * @private
+     */
+    toApiMessage(message) {
+        const apiMessage = { role: message.role, content: message.content ?? null };
+
+        // Tool results are matched to their call by ID and take no name
+        if (message.name && message.role !== 'tool') {
+            apiMessage.name = message.name;
+        }
+        if (message.tool_calls) {
+            apiMessage.tool_calls = message.tool_calls.map(({ id, type = 'function', function: fn }) => ({
+                id,
+                type,
+                function: { name: fn.name, arguments: fn.arguments }
+            }));
+        }
+        if (message.tool_call_id) {
+            apiMessage.tool_call_id = message.tool_call_id;
+        }
+
+        return apiMessage;
+    }
+
+    /**
+     * Render one message of the HTML transcript
+     * @param {string} role - Message role
+     * @param {string|null} timestamp - Message time
+     * @param {string} content - Escaped content
+     * @param {string} extra - HTML added after the content (tool blocks)
+     * @returns {string} HTML
+     * @private
+     */
+    htmlMessage(role, timestamp, content, extra) {
+        const label = role === 'system' && !timestamp ? 'System prompt' : ROLE_LABELS[role] || role;
+
+        return `<section class="message ${this.escapeHtml(role)}">` +
+            `<div><span class="role">${this.escapeHtml(label)}</span>` +
+            (timestamp ? `<span class="time">${this.escapeHtml(this.formatTime(timestamp))}</span>` : '') + '</div>' +
+            (content ? `<div class="content">${content}</div>` : '') +
+            extra +
+            '</section>';
+    }
+
+    /**
+     * Map each tool call ID to its function name
+     * @param {Array<Object>} messages - Messages
+     * @returns {Map<string, string>} Function names by tool call ID
+     * @private
+     */
+    getToolNames(messages) {
+        const names = new Map();
+        for (const message of messages) {
+            for (const toolCall of message.tool_calls || []) {
+                names.set(toolCall.id, toolCall.function.name);
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Map each tool call ID to its result, for results that follow their call
+     * @param {Array<Object>} messages - Messages
+     * @returns {Map<string, Object>} Results ({ content, shown }) by tool call ID
+     * @private
+     */
+    getToolResults(messages) {
+        const names = this.getToolNames(messages);
+        const results = new Map();
+
+        for (const message of messages) {
+            if (message.role === 'tool' && names.has(message.tool_call_id)) {
+                results.set(message.tool_call_id, { content: message.content, shown: false });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * One line describing the conversation (message count, model, export time)
+     * @param {Array<Object>} messages - Messages
+     * @param {string|null} model - Model name
+     * @returns {string} Description
+     * @private
+     */
+    describe(messages, model) {
+        const count = `${messages.length} ${messages.length === 1 ? 'message' : 'messages'}`;
+        return [count, model, `exported ${this.formatTime(new Date().toISOString())}`].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Render message content, which is a string or an array of parts
+     * @param {string|Array<Object>|null} content - Message content
+     * @returns {string} Text ('' for none)
+     * @private
+     */
+    formatContent(content) {
+        if (content === null || content === undefined) {
+            return '';
+        }
+        if (!Array.isArray(content)) {
+            return String(content);
+        }
+
+        return content.map(part => {
+            if (part.type === 'image_url') {
+                const url = part.image_url?.url || '';
+                return url.startsWith('data:') ? '[image]' : `[image: ${url}]`;
+            }
+            return part.text ?? '';
+        }).join('\n');
+    }
+
+    /**
+     * Pretty-print a JSON string, leaving other text as it is
+     * @param {string} value - JSON or plain text
+     * @returns {string} Formatted text
+     * @private
+     */
+    formatJson(value) {
+        const text = this.formatContent(value);
+        try {
+            return JSON.stringify(JSON.parse(text), null, 2);
+        } catch {
+            return text;
+        }
+    }
+
+    /**
+     * Wrap text in a Markdown code fence that the text cannot close
+     * @param {string} text - Code block content
+     * @param {string} [language=''] - Language of the block
+     * @returns {string} Fenced code block
+     * @private
+     */
+    fence(text, language = '') {
+        const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+        const marker = '`'.repeat(longestRun + 1);
+        return `${marker}${language}\n${text}\n${marker}`;
+    }
+
+    /**
+     * Escape raw HTML in Markdown text, leaving code blocks and code spans
+     * as they are (Markdown already shows those verbatim)
+     * @param {string} text - Markdown text
+     * @returns {string} Markdown that renders no HTML
+     * @private
+     */
+    escapeMarkdown(text) {
+        return text.replace(MARKDOWN_CODE_OR_HTML, match => {
+            if (match === '<') {
+                return '&lt;';
+            }
+            return match === '&' ? '&amp;' : match;
+        });
+    }
+
+    /**
+     * Format a timestamp for transcripts
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} Local date and time ('' if missing)
+     * @private
+     */
+    formatTime(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleString() : '';
+    }
+
+    /**
+     * Escape text for HTML
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     * @private
+     */
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+export default ConversationExporter;
\ No newline at end of file
@@ -0,0 +1,187 @@
+import fs from 'fs';
+import path from 'path';
+import { ValidationError } from './errors.js';
+
+/**
+ * Conversation Store for OpenAI Agent
+ *
+ * Saves conversations as JSON files in a directory (by default
+ * `conversations/` in the working directory) and finds and loads them
+ * again. Files are named `conversation-<timestamp>.json`, so sorting by
+ * name sorts by date.
+ *
+ * A saved conversation holds the messages (including tool calls and their
+ * results), the system prompt, the conversation summary, the model
+ * configuration and the usage statistics.
+ *
+ * @class ConversationStore
+ * @example
+ * const store = new ConversationStore();
+ *
+ * const { filename } = await store.save(conversationData);
+ * const sessions = await store.list();
+ * const { data } = await store.load('last');
+ */
+class ConversationStore {
+    /**
+     * Create a new conversation store.
+     *
+     * @constructor
+     * @param {string} [directory] - Directory for conversation files
+     *   (defaults to `conversations/` in the working directory)
+     */
+    constructor(directory = path.join(process.cwd(), 'conversations')) {
+        this.directory = directory;
+    }
+
+    /**
+     * Save a conversation
+     * @param {Object} data - Conversation data to save
+     * @param {string} [filename] - File to write; a new timestamped file is created if omitted
+     * @returns {Promise<Object>} Saved file ({ filename, filepath })
+     */
+    async save(data, filename = null) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const name = filename || this.createFilename();
+        const filepath = path.join(this.directory, name);
+
+        await fs.promises.writeFile(filepath, JSON.stringify(data, null, 2), 'utf8');
+
+        return { filename: name, filepath };
+    }
+
+    /**
+     * Create a file name for a new conversation
+     * @returns {string} File name ('conversation-<timestamp>.json')
+     */
+    createFilename() {
+        return `conversation-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    }
+
+    /**
+     * List saved conversations, newest first.
+     * Files that cannot be read or parsed are skipped.
+     * @returns {Promise<Array<Object>>} Sessions ({ filename, filepath, savedAt, messageCount,
+     *   firstUserMessage, cost, model })
+     */
+    async list() {
+        const sessions = [];
+
+        for (const filename of await this.listFiles()) {
+            try {
+                const data = await this.read(path.join(this.directory, filename));
+                const firstUserMessage = (data.summarizedMessages || []).concat(data.messages)
+                    .find(msg => msg.role === 'user');
+
+                sessions.push({
+                    filename,
+                    filepath: path.join(this.directory, filename),
+                    savedAt: data.timestamp || null,
+                    messageCount: data.messages.length + (data.summarizedMessages || []).length,
+                    firstUserMessage: firstUserMessage ? firstUserMessage.content : null,
+                    cost: data.stats?.usage?.cost ?? null,
+                    model: data.config?.model || null
+                });
+            } catch {
+                // Not a conversation file (or damaged); leave it out of the list
+            }
+        }
+
+        return sessions;
+    }
+
+    /**
+     * Load a saved conversation
+     * @param {string} reference - 'last' (the newest session), a number from list() (1 = newest),
+     *   a file name in the store directory, or a path to a conversation file
+     * @returns {Promise<Object>} Loaded conversation ({ filename, filepath, data })
+     * @throws {ValidationError} If no session matches or the file is not a saved conversation
+     */
+    async load(reference) {
+        const filepath = await this.resolve(reference);
+        const data = await this.read(filepath);
+
+        return { filename: path.basename(filepath), filepath, data };
+    }
+
+    /**
+     * Find the file a reference points to
+     * @param {string} reference - See load()
+     * @returns {Promise<string>} Path to the conversation file
+     * @throws {ValidationError} If no session matches
+     */
+    async resolve(reference) {
+        const value = String(reference ?? '').trim();
+        if (value.length === 0) {
+            throw new ValidationError('A session is required: "last", a number from the session list, or a file');
+        }
+
+        if (value === 'last' || /^\d+$/.test(value)) {
+            const files = await this.listFiles();
+            const index = value === 'last' ? 0 : parseInt(value, 10) - 1;
+
+            if (!files[index]) {
+                throw new ValidationError(files.length === 0
+                    ? `No saved conversations in ${this.directory}`
+                    : `No session ${value}: there ${files.length === 1 ? 'is 1 saved conversation' : `are ${files.length} saved conversations`}`);
+            }
+            return path.join(this.directory, files[index]);
+        }
+
+        for (const candidate of [value, path.join(this.directory, value), path.join(this.directory, `${value}.json`)]) {
+            try {
+                await fs.promises.access(candidate);
+                return candidate;
+            } catch {
+                // Try the next candidate
+            }
+        }
+
+        throw new ValidationError(`Conversation file not found: ${value}`);
+    }
+
+    /**
+     * Get the conversation file names in the store directory, newest first
+     * @returns {Promise<Array<string>>} File names
+     * @private
+     */
+    async listFiles() {
+        try {
+            const files = await fs.promises.readdir(this.directory);
+            return files
+                .filter(file => file.startsWith('conversation-') && file.endsWith('.json'))
+                .sort()
+                .reverse();
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read and check a conversation file
+     * @param {string} filepath - Path to the file
+     * @returns {Promise<Object>} Conversation data
+     * @throws {ValidationError} If the file is not valid JSON or has no messages
+     * @private
+     */
+    async read(filepath) {
+        let data;
+        try {
+            data = JSON.parse(await fs.promises.readFile(filepath, 'utf8'));
+        } catch (error) {
+            throw new ValidationError(`Could not read conversation file ${filepath}: ${error.message}`, { cause: error });
+        }
+
+        if (!data || !Array.isArray(data.messages)) {
+            throw new ValidationError(`Not a saved conversation (no messages): ${filepath}`);
+        }
+
+        return data;
+    }
+}
+
+export default ConversationStore;
\ No newline at end of file
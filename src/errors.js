@@ -0,0 +1,464 @@
+/**
+ * Error Classes for OpenAI Agent
+ *
+ * Typed errors thrown by the client, function registry and chat manager.
+ * Callers classify failures with `instanceof` (or the stable `type` code)
+ * instead of matching error message text, so wording changes never alter
+ * how an error is handled.
+ *
+ * Every error carries:
+ * - `type`: Stable error code used in error responses (e.g. 'RATE_LIMIT_ERROR')
+ * - `status`: HTTP status code, when the error came from an API response
+ * - `retryable`: Whether repeating the same request may succeed
+ * - `cause`: The underlying error, when this error wraps another
+ *
+ * Hierarchy:
+ * - AgentError
+ *   - ValidationError
+ *     - SchemaValidationError
+ *   - InitializationError
+ *   - NetworkError
+ *   - CassetteMismatchError
+ *   - CancelledError
+ *   - BudgetExceededError
+ *   - TurnQueueError
+ *   - APIError
+ *     - AuthenticationError
+ *     - RateLimitError
+ *     - ContextLengthError
+ *     - ModelNotFoundError
+ *   - ToolError
+ *     - ToolNotFoundError
+ *     - ToolExecutionError
+ *     - ToolTimeoutError
+ *
+ * @module errors
+ * @example
+ * import { RateLimitError, ToolError } from './errors.js';
+ *
+ * try {
+ *   await client.createChatCompletion(messages);
+ * } catch (error) {
+ *   if (error instanceof RateLimitError) {
+ *     console.log('Slow down');
+ *   }
+ * }
+ */
+
+/**
+ * Base class for all agent errors.
+ *
+ * @class AgentError
+ * @extends Error
+ */
+export class AgentError extends Error {
+    /**
+     * Create a new agent error.
+     *
+     * @constructor
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error details
+     * @param {string} [options.type='AGENT_ERROR'] - Stable error code
+     * @param {number|null} [options.status=null] - HTTP status code
+     * @param {boolean} [options.retryable=false] - Whether the request may be retried
+     * @param {Error} [options.cause] - Underlying error
+     */
+    constructor(message, options = {}) {
+        const { type = 'AGENT_ERROR', status = null, retryable = false, cause } = options;
+
+        super(message, cause ? { cause } : undefined);
+
+        this.name = this.constructor.name;
+        this.type = type;
+        this.status = status;
+        this.retryable = retryable;
+    }
+
+    /**
+     * Serialize the error for error responses and logs
+     * @returns {Object} Error details (without the stack or cause)
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            type: this.type,
+            message: this.message,
+            status: this.status,
+            retryable: this.retryable
+        };
+    }
+}
+
+/**
+ * Invalid input, arguments, configuration or message format.
+ *
+ * @class ValidationError
+ * @extends AgentError
+ */
+export class ValidationError extends AgentError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error details (see AgentError)
+     */
+    constructor(message, options = {}) {
+        super(message, { type: 'VALIDATION_ERROR', ...options });
+    }
+}
+
+/**
+ * A structured response did not match its JSON Schema, even after the
+ * model was asked to correct it.
+ *
+ * @class SchemaValidationError
+ * @extends ValidationError
+ */
+export class SchemaValidationError extends ValidationError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error details (see AgentError)
+     * @param {number} [options.attempts] - Responses received, including retries
+     * @param {string|null} [options.content] - The last response content
+     */
+    constructor(message, options = {}) {
+        const { attempts = null, content = null, ...rest } = options;
+        super(message, { type: 'SCHEMA_VALIDATION_ERROR', ...rest });
+        this.attempts = attempts;
+        this.content = content;
+    }
+}
+
+/**
+ * A component was used before it was initialized, or failed to initialize.
+ *
+ * @class InitializationError
+ * @extends AgentError
+ */
+export class InitializationError extends AgentError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error details (see AgentError)
+     * @param {string} [options.component] - Component that is not initialized
+     *   (e.g. 'openaiClient', 'functionRegistry', 'chatManager')
+     */
+    constructor(message, options = {}) {
+        const { component = null, ...rest } = options;
+        super(message, { type: 'INITIALIZATION_ERROR', ...rest });
+        this.component = component;
+    }
+}
+
+/**
+ * The API could not be reached (DNS failure, refused connection, timeout).
+ *
+ * @class NetworkError
+ * @extends AgentError
+ */
+export class NetworkError extends AgentError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error details (see AgentError)
+     */
+    constructor(message, options = {}) {
+        super(message, { type: 'NETWORK_ERROR', retryable: true, ...options });
+    }
+}
+
+/**
+ * A request in cassette replay mode has no matching recording.
+ *
+ * @class CassetteMismatchError
+ * @extends AgentError
+ */
+export class CassetteMismatchError extends AgentError {
+    /**
+     * @param {string} message - Error message naming the unmatched request
+     * @param {Object} [options={}] - Error details (see AgentError)
+     */
+    constructor(message, options = {}) {
+        super(message, { type: 'CASSETTE_MISMATCH', ...options });
+        this.code = 'CASSETTE_MISMATCH';
+    }
+}
+
+/**
+ * The operation was cancelled through an AbortSignal (e.g. Ctrl+C).
+ *
+ * @class CancelledError
+ * @extends AgentError
+ */
+export class CancelledError extends AgentError {
+    /**
+     * @param {string} [message='Operation cancelled'] - Error message
+     * @param {Object} [options={}] - Error details (see AgentError)
+     */
+    constructor(message = 'Operation cancelled', options = {}) {
+        super(message, { type: 'CANCELLED', ...options });
+    }
+}
+
+/**
+ * A token or spend budget was used up, so no further request is made.
+ *
+ * @class BudgetExceededError
+ * @extends AgentError
+ */
+export class BudgetExceededError extends AgentError {
+    /**
+     * @param {string} scope - 'turn' or 'session'
+     * @param {string} metric - 'tokens' or 'cost'
+     * @param {number} limit - Budget that was reached
+     * @param {number} used - Amount used so far
+     * @param {Object} [options={}] - Error details (see AgentError)
+     */
+    constructor(scope, metric, limit, used, options = {}) {
+        const format = value => metric === 'cost' ? `$${value.toFixed(4)}` : `${value} tokens`;
+        super(`${scope === 'turn' ? 'Turn' : 'Session'} ${metric === 'cost' ? 'spend' : 'token'} budget exceeded: ` +
+            `used ${format(used)} of ${format(limit)}`, { type: 'BUDGET_EXCEEDED', ...options });
+
+        this.scope = scope;
+        this.metric = metric;
+        this.limit = limit;
+        this.used = used;
+    }
+
+    /**
+     * Serialize the error for error responses and logs
+     * @returns {Object} Error details (without the stack or cause)
+     */
+    toJSON() {
+        return { ...super.toJSON(), scope: this.scope, metric: this.metric, limit: this.limit, used: this.used };
+    }
+}
+
+/**
+ * A turn could not start because another turn of the same conversation
+ * is in progress: the caller asked not to wait, or too many turns are
+ * already waiting.
+ *
+ * @class TurnQueueError
+ * @extends AgentError
+ */
+export class TurnQueueError extends AgentError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error details (see AgentError)
+     * @param {string} [options.reason='busy'] - 'busy' (a turn is in progress) or 'full'
+     *   (the queue is at its limit)
+     * @param {number} [options.queueDepth=0] - Turns waiting when the turn was rejected
+     */
+    constructor(message, options = {}) {
+        const { reason = 'busy', queueDepth = 0, ...rest } = options;
+        super(message, {
+            type: reason === 'full' ? 'TURN_QUEUE_FULL' : 'TURN_IN_PROGRESS',
+            retryable: true,
+            ...rest
+        });
+        this.reason = reason;
+        this.queueDepth = queueDepth;
+    }
+
+    /**
+     * Serialize the error for error responses and logs
+     * @returns {Object} Error details (without the stack or cause)
+     */
+    toJSON() {
+        return { ...super.toJSON(), reason: this.reason, queueDepth: this.queueDepth };
+    }
+}
+
+/**
+ * The API answered with an error status.
+ * Retryable by default for server errors, timeouts and conflicts.
+ *
+ * @class APIError
+ * @extends AgentError
+ */
+export class APIError extends AgentError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error details (see AgentError)
+     * @param {number|null} [options.retryAfterMs=null] - How long the API asked callers to wait
+     *   (from Retry-After or x-ratelimit-reset-* headers)
+     */
+    constructor(message, options = {}) {
+        const { status = null, retryAfterMs = null } = options;
+        const retryable = status === null || status === 408 || status === 409 || status >= 500;
+
+        super(message, { type: 'API_ERROR', retryable, ...options });
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    /**
+     * Serialize the error for error responses and logs
+     * @returns {Object} Error details (without the stack or cause)
+     */
+    toJSON() {
+        return { ...super.toJSON(), retryAfterMs: this.retryAfterMs };
+    }
+}
+
+/**
+ * The API key is missing, malformed, invalid, or lacks permission.
+ *
+ * @class AuthenticationError
+ * @extends APIError
+ */
+export class AuthenticationError extends APIError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error details (see AgentError)
+     */
+    constructor(message, options = {}) {
+        super(message, { type: 'AUTHENTICATION_ERROR', retryable: false, ...options });
+    }
+}
+
+/**
+ * Too many requests or tokens for the account's rate limits.
+ *
+ * @class RateLimitError
+ * @extends APIError
+ */
+export class RateLimitError extends APIError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error details (see AgentError)
+     */
+    constructor(message, options = {}) {
+        super(message, { type: 'RATE_LIMIT_ERROR', status: 429, retryable: true, ...options });
+    }
+}
+
+/**
+ * The request does not fit in the model's context window.
+ *
+ * @class ContextLengthError
+ * @extends APIError
+ */
+export class ContextLengthError extends APIError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error details (see AgentError)
+     */
+    constructor(message, options = {}) {
+        super(message, { type: 'CONTEXT_LENGTH_ERROR', status: 400, retryable: false, ...options });
+    }
+}
+
+/**
+ * The requested model does not exist or is not available to the account.
+ *
+ * @class ModelNotFoundError
+ * @extends APIError
+ */
+export class ModelNotFoundError extends APIError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error details (see AgentError)
+     */
+    constructor(message, options = {}) {
+        super(message, { type: 'MODEL_NOT_FOUND', status: 404, retryable: false, ...options });
+    }
+}
+
+/**
+ * Base class for failures of a registered tool (function).
+ *
+ * @class ToolError
+ * @extends AgentError
+ */
+export class ToolError extends AgentError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error details (see AgentError)
+     * @param {string} [options.toolName] - Name of the tool that failed
+     */
+    constructor(message, options = {}) {
+        const { toolName = null, ...rest } = options;
+        super(message, { type: 'TOOL_ERROR', ...rest });
+        this.toolName = toolName;
+    }
+}
+
+/**
+ * The model requested a tool that is not registered.
+ *
+ * @class ToolNotFoundError
+ * @extends ToolError
+ */
+export class ToolNotFoundError extends ToolError {
+    /**
+     * @param {string} toolName - Name of the missing tool
+     * @param {Object} [options={}] - Error details (see AgentError)
+     */
+    constructor(toolName, options = {}) {
+        super(`Function '${toolName}' not found`, { type: 'FUNCTION_NOT_FOUND', toolName, ...options });
+    }
+}
+
+/**
+ * A tool handler threw an error.
+ *
+ * @class ToolExecutionError
+ * @extends ToolError
+ */
+export class ToolExecutionError extends ToolError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options={}] - Error details (see ToolError)
+     */
+    constructor(message, options = {}) {
+        super(message, { type: 'EXECUTION_ERROR', ...options });
+    }
+}
+
+/**
+ * A tool handler did not finish within its time limit.
+ *
+ * @class ToolTimeoutError
+ * @extends ToolError
+ */
+export class ToolTimeoutError extends ToolError {
+    /**
+     * @param {string} toolName - Name of the tool that timed out
+     * @param {number} timeoutMs - Time limit that was exceeded
+     * @param {Object} [options={}] - Error details (see AgentError)
+     */
+    constructor(toolName, timeoutMs, options = {}) {
+        super(`Function execution timeout after ${timeoutMs}ms`, {
+            type: 'TOOL_TIMEOUT',
+            retryable: true,
+            toolName,
+            ...options
+        });
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * Default export containing all error classes.
+ *
+ * @example
+ * import errors from './errors.js';
+ * if (error instanceof errors.ToolError) { ... }
+ */
+export default {
+    AgentError,
+    ValidationError,
+    SchemaValidationError,
+    InitializationError,
+    NetworkError,
+    CassetteMismatchError,
+    CancelledError,
+    BudgetExceededError,
+    TurnQueueError,
+    APIError,
+    AuthenticationError,
+    RateLimitError,
+    ContextLengthError,
+    ModelNotFoundError,
+    ToolError,
+    ToolNotFoundError,
+    ToolExecutionError,
+    ToolTimeoutError
+};
\ No newline at end of file
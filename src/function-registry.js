@@ -1,3 +1,23 @@
+import {
+    CancelledError,
+    ToolError,
+    ToolExecutionError,
+    ToolNotFoundError,
+    ToolTimeoutError,
+    ValidationError
+} from './errors.js';
+
+/**
+ * JSON Schema types the argument validator knows.
+ */
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'];
+
+/**
+ * JSON Schema keywords the argument validator cannot check. Schemas that
+ * use them are rejected rather than half validated.
+ */
+const UNSUPPORTED_SCHEMA_KEYWORDS = ['$ref', 'anyOf', 'oneOf', 'allOf', 'not', 'if', 'patternProperties'];
+
 /**
  * Function Registry for OpenAI Agent
  * 
@@ -47,7 +67,7 @@ class FunctionRegistry {
      * @param {string} schema.description - Human-readable description
      * @param {Object} schema.parameters - JSON Schema for parameters
      * @param {Function} handler - Function implementation that receives args object
-     * @throws {Error} If name, schema, or handler is invalid
+     * @throws {ValidationError} If name, schema, or handler is invalid
      * @example
      * registry.registerFunction(
      *   'addNumbers',
@@ -69,17 +89,22 @@ class FunctionRegistry {
     registerFunction(name, schema, handler) {
         // Validate function name
         if (!name || typeof name !== 'string') {
-            throw new Error('Function name must be a non-empty string');
+            throw new ValidationError('Function name must be a non-empty string');
         }
 
         // Validate schema structure
         if (!this.validateSchema(schema)) {
-            throw new Error('Invalid function schema');
+            throw new ValidationError('Invalid function schema');
+        }
+
+        const unsupported = schema.parameters ? this.findUnsupportedSchema(schema.parameters, 'parameters') : null;
+        if (unsupported) {
+            throw new ValidationError(`Function '${name}' has parameters that cannot be validated: ${unsupported}`);
         }
 
         // Validate handler
         if (typeof handler !== 'function') {
-            throw new Error('Handler must be a function');
+            throw new ValidationError('Handler must be a function');
         }
 
         // Store function with its metadata
@@ -136,9 +161,16 @@ class FunctionRegistry {
      * Execute a registered function with argument validation and timeout protection.
      * Validates arguments against the function's schema before execution.
      * 
+     * Handlers are called as `handler(args, { signal })`. The signal is aborted
+     * when the caller cancels or the timeout expires, so handlers can stop
+     * their own work (e.g. pass it to fetch).
+     * 
      * @async
      * @param {string} name - Name of the function to execute
      * @param {Object} [args={}] - Arguments to pass to the function
+     * @param {Object} [options={}] - Execution options
+     * @param {number} [options.timeout=5000] - Timeout in milliseconds
+     * @param {AbortSignal} [options.signal] - Cancels the execution when signalled
      * @returns {Promise<Object>} Execution result object
      * @returns {boolean} return.success - Whether execution succeeded
      * @returns {*} return.result - Function result (if successful)
@@ -152,12 +184,17 @@ class FunctionRegistry {
      * } else {
      *   console.error('Error:', result.error.message);
      * }
+     * 
+     * // Cancellable execution
+     * const controller = new AbortController();
+     * const result = await registry.executeFunction('getLocation', {}, { signal: controller.signal });
      */
-    async executeFunction(name, args = {}) {
+    async executeFunction(name, args = {}, options = {}) {
+        const { timeout: timeoutMs = 5000, signal } = options;
         const functionData = this.functions.get(name);
 
         if (!functionData) {
-            return this.formatError(`Function '${name}' not found`, 'FUNCTION_NOT_FOUND');
+            return this.formatAgentError(new ToolNotFoundError(name));
         }
 
         try {
@@ -165,37 +202,45 @@ class FunctionRegistry {
             if (functionData.schema.parameters) {
                 const validationResult = this.validateArguments(args, functionData.schema.parameters);
                 if (!validationResult.isValid) {
-                    return this.formatError(validationResult.error, 'VALIDATION_ERROR');
+                    return this.formatAgentError(new ValidationError(validationResult.error));
                 }
             }
 
-            // Execute function with timeout protection (5 seconds)
-            const timeoutMs = 5000;
+            if (signal?.aborted) {
+                throw new CancelledError(`Function '${name}' was cancelled`);
+            }
+
+            // The handler's signal aborts on caller cancellation or timeout
+            const controller = new AbortController();
+            const onAbort = () => controller.abort(new CancelledError(`Function '${name}' was cancelled`));
             let timeoutId;
 
-            const timeoutPromise = new Promise((_, reject) => {
+            const stopPromise = new Promise((_, reject) => {
+                controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
                 timeoutId = setTimeout(() => {
-                    reject(new Error(`Function execution timeout after ${timeoutMs}ms`));
+                    controller.abort(new ToolTimeoutError(name, timeoutMs));
                 }, timeoutMs);
             });
+            signal?.addEventListener('abort', onAbort, { once: true });
 
-            const executionPromise = Promise.resolve(functionData.handler(args));
-
-            const result = await Promise.race([executionPromise, timeoutPromise]);
-
-            // Clear timeout if execution completed successfully
-            if (timeoutId) {
+            let result;
+            try {
+                const executionPromise = Promise.resolve(functionData.handler(args, { signal: controller.signal }));
+                result = await Promise.race([executionPromise, stopPromise]);
+            } finally {
+                // Clear the timeout whether the handler resolved or threw
                 clearTimeout(timeoutId);
+                signal?.removeEventListener('abort', onAbort);
             }
 
             return this.formatSuccess(result, name);
 
         } catch (error) {
-            return this.formatError(
-                `Function execution failed: ${error.message}`,
-                'EXECUTION_ERROR',
-                { functionName: name, originalError: error.name }
-            );
+            const toolError = error instanceof ToolError || error instanceof CancelledError
+                ? error
+                : new ToolExecutionError(`Function execution failed: ${error.message}`, { toolName: name, cause: error });
+
+            return this.formatAgentError(toolError, { functionName: name, originalError: error.name });
         }
     }
 
@@ -236,7 +281,22 @@ class FunctionRegistry {
     }
 
     /**
-     * Validate function arguments against schema
+     * Format an error response from a typed error
+     * @param {AgentError} error - Typed error (its type and retryable flag are included)
+     * @param {Object} metadata - Additional error metadata
+     * @returns {Object} - Formatted error response
+     */
+    formatAgentError(error, metadata = {}) {
+        return this.formatError(error.message, error.type, {
+            retryable: error.retryable,
+            ...metadata
+        });
+    }
+
+    /**
+     * Validate function arguments against schema.
+     * Nested objects and array items are checked too (see findUnsupportedSchema
+     * for the keywords that are understood).
      * @param {Object} args - Arguments to validate
      * @param {Object} parameters - Parameter schema
      * @returns {Object} - Validation result with isValid flag and error message
@@ -254,49 +314,52 @@ class FunctionRegistry {
             };
         }
 
+        return this.validateObject(args, parameters, '');
+    }
+
+    /**
+     * Validate the properties of an object against an object schema
+     * @param {Object} value - Object to validate
+     * @param {Object} schema - Object schema (properties, required, additionalProperties)
+     * @param {string} path - Path of the object ('' for the arguments themselves)
+     * @returns {Object} - Validation result
+     */
+    validateObject(value, schema, path) {
+        const prefix = path ? `${path}.` : '';
+
         // Check required parameters
-        if (parameters.required && Array.isArray(parameters.required)) {
-            for (const requiredParam of parameters.required) {
-                if (!(requiredParam in args)) {
+        if (schema.required && Array.isArray(schema.required)) {
+            for (const requiredParam of schema.required) {
+                if (!(requiredParam in value)) {
                     return {
                         isValid: false,
-                        error: `Missing required parameter: ${requiredParam}`
+                        error: `Missing required parameter: ${prefix}${requiredParam}`
                     };
                 }
             }
         }
 
-        // Basic type validation for provided arguments
-        for (const [paramName, paramValue] of Object.entries(args)) {
-            const paramSchema = parameters.properties[paramName];
+        for (const [paramName, paramValue] of Object.entries(value)) {
+            const paramSchema = schema.properties?.[paramName];
 
             if (paramSchema) {
-                // Type validation
-                if (paramSchema.type && !this.validateParameterType(paramValue, paramSchema.type)) {
-                    return {
-                        isValid: false,
-                        error: `Invalid type for parameter '${paramName}': expected ${paramSchema.type}, got ${typeof paramValue}`
-                    };
-                }
-
-                // Additional validations
-                const additionalValidation = this.validateParameterConstraints(paramValue, paramSchema, paramName);
-                if (!additionalValidation.isValid) {
-                    return additionalValidation;
+                const validation = this.validateValue(paramValue, paramSchema, `${prefix}${paramName}`);
+                if (!validation.isValid) {
+                    return validation;
                 }
             }
         }
 
         // Check for unexpected parameters (if additionalProperties is false)
-        if (parameters.additionalProperties === false) {
-            const allowedParams = Object.keys(parameters.properties || {});
-            const providedParams = Object.keys(args);
+        if (schema.additionalProperties === false) {
+            const allowedParams = Object.keys(schema.properties || {});
+            const providedParams = Object.keys(value);
             const unexpectedParams = providedParams.filter(param => !allowedParams.includes(param));
 
             if (unexpectedParams.length > 0) {
                 return {
                     isValid: false,
-                    error: `Unexpected parameters: ${unexpectedParams.join(', ')}`
+                    error: `Unexpected parameters: ${unexpectedParams.map(param => `${prefix}${param}`).join(', ')}`
                 };
             }
         }
@@ -304,6 +367,83 @@ class FunctionRegistry {
         return { isValid: true, error: null };
     }
 
+    /**
+     * Validate one value against its schema, including nested objects and array items
+     * @param {any} value - Value to validate
+     * @param {Object} schema - Schema of the value
+     * @param {string} path - Path of the value (e.g. 'address.city' or 'tags[0]')
+     * @returns {Object} - Validation result
+     */
+    validateValue(value, schema, path) {
+        // Type validation
+        if (schema.type && !this.validateParameterType(value, schema.type)) {
+            const expected = [].concat(schema.type).join(' or ');
+            return {
+                isValid: false,
+                error: `Invalid type for parameter '${path}': expected ${expected}, got ${value === null ? 'null' : typeof value}`
+            };
+        }
+
+        // Additional validations
+        const constraints = this.validateParameterConstraints(value, schema, path);
+        if (!constraints.isValid) {
+            return constraints;
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.items && typeof schema.items === 'object') {
+                for (const [index, item] of value.entries()) {
+                    const validation = this.validateValue(item, schema.items, `${path}[${index}]`);
+                    if (!validation.isValid) {
+                        return validation;
+                    }
+                }
+            }
+        } else if (typeof value === 'object' && value !== null) {
+            return this.validateObject(value, schema, path);
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * Find what in a JSON Schema the argument validator cannot check.
+     * Understood: `type` (a name or a list of names such as ['string', 'null']),
+     * `properties`, `required`, `additionalProperties: false`, `items`, `enum`
+     * and the string, number and array limits.
+     * @param {Object} schema - JSON Schema
+     * @param {string} [path='schema'] - Where the schema is, for the description
+     * @returns {string|null} - Description of the first unsupported part, or null
+     */
+    findUnsupportedSchema(schema, path = 'schema') {
+        if (typeof schema !== 'object' || schema === null) {
+            return null;
+        }
+
+        const keyword = UNSUPPORTED_SCHEMA_KEYWORDS.find(name => name in schema);
+        if (keyword) {
+            return `${path} uses '${keyword}'`;
+        }
+
+        const type = [].concat(schema.type ?? []).find(name => !SCHEMA_TYPES.includes(name));
+        if (type !== undefined) {
+            return `${path} has unknown type '${type}'`;
+        }
+
+        if (Array.isArray(schema.items)) {
+            return `${path} uses tuple 'items'`;
+        }
+
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+            const unsupported = this.findUnsupportedSchema(property, `${path}.${name}`);
+            if (unsupported) {
+                return unsupported;
+            }
+        }
+
+        return schema.items ? this.findUnsupportedSchema(schema.items, `${path}[]`) : null;
+    }
+
     /**
      * Validate parameter constraints (min, max, pattern, etc.)
      * @param {any} value - Parameter value
@@ -313,7 +453,7 @@ class FunctionRegistry {
      */
     validateParameterConstraints(value, schema, paramName) {
         // String constraints
-        if (schema.type === 'string') {
+        if (typeof value === 'string') {
             if (schema.minLength !== undefined && value.length < schema.minLength) {
                 return {
                     isValid: false,
@@ -335,7 +475,7 @@ class FunctionRegistry {
         }
 
         // Number constraints
-        if (schema.type === 'number' || schema.type === 'integer') {
+        if (typeof value === 'number') {
             if (schema.minimum !== undefined && value < schema.minimum) {
                 return {
                     isValid: false,
@@ -351,7 +491,7 @@ class FunctionRegistry {
         }
 
         // Array constraints
-        if (schema.type === 'array') {
+        if (Array.isArray(value)) {
             if (schema.minItems !== undefined && value.length < schema.minItems) {
                 return {
                     isValid: false,
@@ -380,10 +520,15 @@ class FunctionRegistry {
     /**
      * Validate parameter type
      * @param {any} value - Value to validate
-     * @param {string} expectedType - Expected JSON Schema type
-     * @returns {boolean} - True if valid
+     * @param {string|Array<string>} expectedType - Expected JSON Schema type, or a list of
+     *   types any of which may match
+     * @returns {boolean} - True if valid (false for unknown types)
      */
     validateParameterType(value, expectedType) {
+        if (Array.isArray(expectedType)) {
+            return expectedType.some(type => this.validateParameterType(value, type));
+        }
+
         // Handle null values
         if (value === null) {
             return expectedType === 'null';
@@ -405,9 +550,8 @@ class FunctionRegistry {
             case 'null':
                 return value === null;
             default:
-                // For unknown types, be permissive but log a warning
-                console.warn(`Unknown parameter type: ${expectedType}`);
-                return true;
+                // Unknown types are rejected when a schema is registered (see findUnsupportedSchema)
+                return false;
         }
     }
 
@@ -427,6 +571,26 @@ class FunctionRegistry {
         return Array.from(this.functions.values()).map(func => func.schema);
     }
 
+    /**
+     * Get tool definitions for all registered functions.
+     * Wraps each function schema in the `{ type: 'function', function }` format
+     * used by the tools API.
+     *
+     * @returns {Array<Object>} Array of tool definitions
+     * @example
+     * const response = await openai.chat.completions.create({
+     *   messages: [...],
+     *   tools: registry.getToolSchemas(),
+     *   tool_choice: 'auto'
+     * });
+     */
+    getToolSchemas() {
+        return this.getFunctionSchemas().map(schema => ({
+            type: 'function',
+            function: schema
+        }));
+    }
+
     /**
      * Get list of registered function names
      * @returns {Array<string>} - Array of function names
@@ -459,7 +623,7 @@ class FunctionRegistry {
      * @param {Array<Object>} schemas - Array of OpenAI function schema wrappers
      * @param {Object} schemas[].function - The actual function schema
      * @param {Object<string, Function>} handlers - Object mapping function names to handler functions
-     * @throws {Error} If a handler is missing for any schema
+     * @throws {ValidationError} If a handler is missing for any schema
      * @example
      * const schemas = [
      *   { function: { name: 'func1', description: '...', parameters: {...} } },
@@ -477,7 +641,7 @@ class FunctionRegistry {
             const handler = handlers[schema.name];
 
             if (!handler) {
-                throw new Error(`No handler found for function: ${schema.name}`);
+                throw new ValidationError(`No handler found for function: ${schema.name}`);
             }
 
             this.registerFunction(schema.name, schema, handler);
@@ -543,6 +707,7 @@ class FunctionRegistry {
      * @param {Object} [options={}] - Execution options
      * @param {number} [options.timeout=5000] - Timeout in milliseconds
      * @param {boolean} [options.sanitizeResults=true] - Whether to sanitize results for JSON serialization
+     * @param {AbortSignal} [options.signal] - Cancels the execution when signalled
      * @returns {Promise<Object>} Enhanced execution result with metadata
      * @returns {boolean} return.success - Whether execution succeeded
      * @returns {*} return.result - Function result (sanitized if enabled)
@@ -557,12 +722,12 @@ class FunctionRegistry {
      * console.log(`Executed in ${result.executionTime}ms`);
      */
     async executeFunctionSafely(name, args = {}, options = {}) {
-        const { timeout = 5000, sanitizeResults = true } = options;
+        const { timeout = 5000, sanitizeResults = true, signal } = options;
 
         const startTime = Date.now();
 
         try {
-            const result = await this.executeFunction(name, args);
+            const result = await this.executeFunction(name, args, { timeout, signal });
 
             if (result.success && sanitizeResults) {
                 result.result = this.sanitizeResult(result.result);
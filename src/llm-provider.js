@@ -0,0 +1,93 @@
+/**
+ * LLM Provider Interface for OpenAI Agent
+ *
+ * Base class for the transport layer behind OpenAIClient. A provider sends
+ * chat completion requests to a model backend and returns responses in the
+ * OpenAI chat completions wire format, so the client's validation, retry
+ * logic and tool calling work unchanged with any backend.
+ *
+ * Implementations:
+ * - OpenAIProvider: OpenAI API and OpenAI-compatible servers (vLLM, llama.cpp
+ *   server, Ollama, Azure-style endpoints) via base URL, headers and key format
+ * - MockProvider: In-process provider with no network access
+ * - CassetteProvider: Records another provider's completions, or replays them
+ *
+ * @class LLMProvider
+ * @example
+ * // A custom provider only needs to implement createChatCompletion
+ * class EchoProvider extends LLMProvider {
+ *   constructor() {
+ *     super('echo');
+ *   }
+ *
+ *   async createChatCompletion(params) {
+ *     const last = params.messages[params.messages.length - 1];
+ *     return {
+ *       model: params.model,
+ *       choices: [{ message: { role: 'assistant', content: last.content }, finish_reason: 'stop' }],
+ *       usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+ *     };
+ *   }
+ * }
+ *
+ * await client.initialize(null, { provider: new EchoProvider() });
+ */
+class LLMProvider {
+    /**
+     * Create a new provider.
+     *
+     * @constructor
+     * @param {string} name - Provider name shown in configuration output
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Prepare the provider for requests (create clients, test connectivity).
+     *
+     * @async
+     * @returns {Promise<void>}
+     * @throws {Error} If the provider cannot be used (errors may carry `status` or `code`)
+     */
+    async initialize() {
+        // Nothing to prepare by default
+    }
+
+    /**
+     * Send a chat completion request.
+     * When `params.stream` is true, resolves to an async iterable of chunks
+     * in the OpenAI streaming format instead of a single response.
+     *
+     * @async
+     * @param {Object} params - Chat completion request parameters (OpenAI format)
+     * @param {Object} [options={}] - Request options
+     * @param {AbortSignal} [options.signal] - Aborts the request (and an open stream) when signalled
+     * @returns {Promise<Object|AsyncIterable<Object>>} Completion response or chunk stream
+     * @throws {Error} Always, unless overridden by a subclass
+     */
+    async createChatCompletion(params, options = {}) {
+        throw new Error(`Provider '${this.name}' does not implement createChatCompletion`);
+    }
+
+    /**
+     * Describe the provider for display.
+     * Must not include credentials.
+     *
+     * @returns {Object} Provider description
+     * @returns {string} return.name - Provider name
+     */
+    describe() {
+        return { name: this.name };
+    }
+
+    /**
+     * Release provider resources
+     * @returns {Promise<void>}
+     */
+    async cleanup() {
+        // Nothing to release by default
+    }
+}
+
+export default LLMProvider;
\ No newline at end of file
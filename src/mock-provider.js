@@ -0,0 +1,226 @@
+import LLMProvider from './llm-provider.js';
+import { CancelledError } from './errors.js';
+
+/**
+ * Mock Provider
+ *
+ * In-process provider that answers chat completions without any network
+ * access, so the whole agent can run offline (demos, development on a
+ * laptop, deterministic scripts). Responses follow the OpenAI wire format,
+ * including streaming chunks and tool calls.
+ *
+ * Default behavior:
+ * - If the last user message mentions a registered tool by name, the mock
+ *   calls that tool with empty arguments
+ * - After tool results, it replies with the results
+ * - Otherwise it echoes the user's message
+ *
+ * @class MockProvider
+ * @extends LLMProvider
+ * @example
+ * // Offline agent
+ * await client.initialize(null, { provider: 'mock' });
+ *
+ * // Custom replies
+ * const provider = new MockProvider({
+ *   handler: (params) => `You said ${params.messages.length} messages`
+ * });
+ */
+class MockProvider extends LLMProvider {
+    /**
+     * Create a new mock provider.
+     *
+     * @constructor
+     * @param {Object} [options={}] - Provider options
+     * @param {Function} [options.handler] - Produces the reply for a request. Receives the
+     *   request params and returns a string (content) or an assistant message object
+     *   ({ content, tool_calls }). Defaults to the built-in echo/tool behavior.
+     * @param {number} [options.latencyMs=0] - Artificial delay before each response
+     */
+    constructor(options = {}) {
+        super('mock');
+
+        this.handler = options.handler || ((params) => this.defaultReply(params));
+        this.latencyMs = options.latencyMs || 0;
+        this.callCount = 0;
+    }
+
+    /**
+     * Produce a mock completion
+     * @param {Object} params - Chat completion request parameters
+     * @param {Object} [options={}] - Request options
+     * @param {AbortSignal} [options.signal] - Aborts the request (and an open stream) when signalled
+     * @returns {Promise<Object|AsyncIterable<Object>>} Completion response or chunk stream
+     * @throws {CancelledError} If the signal is aborted
+     */
+    async createChatCompletion(params, options = {}) {
+        const { signal } = options;
+
+        if (this.latencyMs > 0) {
+            await this.delay(this.latencyMs, signal);
+        }
+        this.throwIfAborted(signal);
+
+        const reply = await this.handler(params);
+        const message = typeof reply === 'string'
+            ? { role: 'assistant', content: reply }
+            : { role: 'assistant', content: null, ...reply };
+
+        const hasToolCalls = Array.isArray(message.tool_calls) && message.tool_calls.length > 0;
+        const finishReason = hasToolCalls ? 'tool_calls' : 'stop';
+        const usage = this.estimateUsage(params.messages, message);
+        const id = `mock-${++this.callCount}`;
+
+        if (params.stream) {
+            return this.streamReply(id, params, message, finishReason, usage, signal);
+        }
+
+        return {
+            id,
+            object: 'chat.completion',
+            created: Math.floor(Date.now() / 1000),
+            model: params.model,
+            choices: [{ index: 0, message, finish_reason: finishReason }],
+            usage
+        };
+    }
+
+    /**
+     * Built-in reply behavior (echo, or call a tool named in the message)
+     * @param {Object} params - Chat completion request parameters
+     * @returns {string|Object} Reply content or assistant message
+     */
+    defaultReply(params) {
+        const messages = params.messages;
+        const last = messages[messages.length - 1];
+
+        // Answer with the tool results that were just sent back
+        if (last.role === 'tool') {
+            const results = [];
+            for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+                results.unshift(messages[i].content);
+            }
+            return `Mock response based on tool results:\n${results.join('\n')}`;
+        }
+
+        const userMessage = [...messages].reverse().find(msg => msg.role === 'user');
+        const userText = userMessage ? String(userMessage.content) : '';
+
+        // Call any tool the user mentions by name
+        if (params.tool_choice !== 'none' && Array.isArray(params.tools)) {
+            const mentioned = params.tools.filter(tool =>
+                userText.toLowerCase().includes(tool.function.name.toLowerCase())
+            );
+
+            if (mentioned.length > 0) {
+                return {
+                    content: null,
+                    tool_calls: mentioned.map((tool, index) => ({
+                        id: `call_mock_${this.callCount + 1}_${index}`,
+                        type: 'function',
+                        function: { name: tool.function.name, arguments: '{}' }
+                    }))
+                };
+            }
+        }
+
+        return `Mock response: ${userText}`;
+    }
+
+    /**
+     * Stream a reply as OpenAI-style chunks
+     * @param {string} id - Completion ID
+     * @param {Object} params - Chat completion request parameters
+     * @param {Object} message - Assistant message to stream
+     * @param {string} finishReason - Finish reason for the final chunk
+     * @param {Object} usage - Token usage for the final chunk
+     * @param {AbortSignal} [signal] - Stops the stream when signalled
+     * @yields {Object} Chat completion chunk
+     */
+    async *streamReply(id, params, message, finishReason, usage, signal) {
+        const chunk = (delta, finish = null) => ({
+            id,
+            object: 'chat.completion.chunk',
+            model: params.model,
+            choices: [{ index: 0, delta, finish_reason: finish }]
+        });
+
+        // Split content into words, keeping the whitespace
+        for (const piece of (message.content || '').match(/\S+\s*|\s+/g) || []) {
+            if (this.latencyMs > 0) {
+                // Spread the latency over the words, like a real stream
+                await this.delay(this.latencyMs / 10, signal);
+            }
+            this.throwIfAborted(signal);
+            yield chunk({ content: piece });
+        }
+
+        for (const [index, toolCall] of (message.tool_calls || []).entries()) {
+            yield chunk({ tool_calls: [{ index, ...toolCall }] });
+        }
+
+        yield chunk({}, finishReason);
+
+        if (params.stream_options?.include_usage) {
+            yield { id, object: 'chat.completion.chunk', model: params.model, choices: [], usage };
+        }
+    }
+
+    /**
+     * Wait for a while, stopping early if the signal is aborted
+     * @param {number} ms - Milliseconds to wait
+     * @param {AbortSignal} [signal] - Abort signal
+     * @returns {Promise<void>}
+     * @throws {CancelledError} If the signal is aborted
+     */
+    delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new CancelledError('Mock request cancelled'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (signal?.aborted) {
+                onAbort();
+            } else {
+                signal?.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Throw if the signal has been aborted
+     * @param {AbortSignal} [signal] - Abort signal
+     * @throws {CancelledError} If the signal is aborted
+     */
+    throwIfAborted(signal) {
+        if (signal?.aborted) {
+            throw new CancelledError('Mock request cancelled');
+        }
+    }
+
+    /**
+     * Estimate token usage (1 token ≈ 4 characters)
+     * @param {Array<Object>} messages - Request messages
+     * @param {Object} message - Reply message
+     * @returns {Object} Usage object
+     */
+    estimateUsage(messages, message) {
+        const promptTokens = Math.ceil(JSON.stringify(messages).length / 4);
+        const completionTokens = Math.ceil(
+            ((message.content || '').length + JSON.stringify(message.tool_calls || []).length) / 4
+        );
+
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        };
+    }
+}
+
+export default MockProvider;
\ No newline at end of file
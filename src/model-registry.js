@@ -0,0 +1,185 @@
+import { ValidationError } from './errors.js';
+import { SUPPORTED_ENCODINGS } from './token-counter.js';
+
+/**
+ * Capabilities assumed for models the registry does not know.
+ * Deliberately conservative, so an unknown model is never sent more than
+ * an older 8k-context model could handle.
+ */
+export const DEFAULT_CAPABILITIES = {
+    contextWindow: 8192,
+    maxOutputTokens: 4096,
+    tools: true,
+    vision: false,
+    jsonMode: false,
+    jsonSchema: false,
+    encoding: 'cl100k_base'
+};
+
+/**
+ * Known models, keyed by model name. A model without its own entry uses the
+ * longest entry its name starts with, so dated snapshots
+ * ('gpt-4o-2024-08-06') share the capabilities of their family.
+ */
+export const DEFAULT_MODELS = {
+    'gpt-5': { contextWindow: 400000, maxOutputTokens: 128000, tools: true, vision: true, jsonMode: true, jsonSchema: true, encoding: 'o200k_base' },
+    'gpt-4.1': { contextWindow: 1047576, maxOutputTokens: 32768, tools: true, vision: true, jsonMode: true, jsonSchema: true, encoding: 'o200k_base' },
+    'gpt-4o': { contextWindow: 128000, maxOutputTokens: 16384, tools: true, vision: true, jsonMode: true, jsonSchema: true, encoding: 'o200k_base' },
+    'gpt-4-turbo': { contextWindow: 128000, maxOutputTokens: 4096, tools: true, vision: true, jsonMode: true, jsonSchema: false },
+    'gpt-4-turbo-preview': { contextWindow: 128000, maxOutputTokens: 4096, tools: true, vision: false, jsonMode: true, jsonSchema: false },
+    'gpt-4-1106-preview': { contextWindow: 128000, maxOutputTokens: 4096, tools: true, vision: false, jsonMode: true, jsonSchema: false },
+    'gpt-4-0125-preview': { contextWindow: 128000, maxOutputTokens: 4096, tools: true, vision: false, jsonMode: true, jsonSchema: false },
+    'gpt-4-32k': { contextWindow: 32768, maxOutputTokens: 8192, tools: true, vision: false, jsonMode: false, jsonSchema: false },
+    'gpt-4': { contextWindow: 8192, maxOutputTokens: 8192, tools: true, vision: false, jsonMode: false, jsonSchema: false },
+    'gpt-3.5-turbo': { contextWindow: 16385, maxOutputTokens: 4096, tools: true, vision: false, jsonMode: true, jsonSchema: false },
+    'o1': { contextWindow: 200000, maxOutputTokens: 100000, tools: true, vision: true, jsonMode: true, jsonSchema: true, encoding: 'o200k_base' },
+    'o3': { contextWindow: 200000, maxOutputTokens: 100000, tools: true, vision: true, jsonMode: true, jsonSchema: true, encoding: 'o200k_base' },
+    'o3-mini': { contextWindow: 200000, maxOutputTokens: 100000, tools: true, vision: false, jsonMode: true, jsonSchema: true, encoding: 'o200k_base' },
+    'o4-mini': { contextWindow: 200000, maxOutputTokens: 100000, tools: true, vision: true, jsonMode: true, jsonSchema: true, encoding: 'o200k_base' }
+};
+
+/**
+ * Model Registry for OpenAI Agent
+ *
+ * Describes what each model can do, so limits come from the model in use
+ * instead of fixed numbers:
+ * - `contextWindow`: Tokens the model accepts (prompt and output together)
+ * - `maxOutputTokens`: Largest `max_tokens` the model allows
+ * - `tools`: Whether the model supports tool calling
+ * - `vision`: Whether messages may contain images
+ * - `jsonMode`: Whether `response_format: { type: 'json_object' }` is supported
+ * - `jsonSchema`: Whether `response_format: { type: 'json_schema' }` is supported
+ * - `encoding`: Tokenizer encoding ('cl100k_base' or 'o200k_base') used to count tokens
+ *
+ * Custom and local models are added with `register()` or the constructor;
+ * capabilities they leave out take the conservative defaults.
+ *
+ * @class ModelRegistry
+ * @example
+ * const models = new ModelRegistry({
+ *   'llama3.1:8b': { contextWindow: 131072, maxOutputTokens: 4096, tools: true }
+ * });
+ *
+ * models.get('gpt-4o-2024-08-06').contextWindow; // 128000
+ * models.get('llama3.1:8b').jsonSchema;          // false (default)
+ */
+class ModelRegistry {
+    /**
+     * Create a new model registry.
+     *
+     * @constructor
+     * @param {Object<string, Object>} [models={}] - Extra or overriding model capabilities,
+     *   keyed by model name (see register)
+     * @throws {ValidationError} If a capability is invalid
+     */
+    constructor(models = {}) {
+        this.models = new Map(Object.entries(DEFAULT_MODELS));
+
+        for (const [name, capabilities] of Object.entries(models)) {
+            this.register(name, capabilities);
+        }
+    }
+
+    /**
+     * Add a model or override a known one
+     * @param {string} name - Model name (also matches dated variants, e.g. 'name-2025-01-01')
+     * @param {Object} capabilities - Capabilities; omitted ones use the model's current entry
+     *   (when overriding) or the defaults
+     * @param {number} [capabilities.contextWindow] - Context window in tokens
+     * @param {number} [capabilities.maxOutputTokens] - Maximum output tokens
+     * @param {boolean} [capabilities.tools] - Tool calling support
+     * @param {boolean} [capabilities.vision] - Image input support
+     * @param {boolean} [capabilities.jsonMode] - JSON object response format support
+     * @param {boolean} [capabilities.jsonSchema] - JSON Schema response format support
+     * @param {string} [capabilities.encoding] - Tokenizer encoding name ('cl100k_base' or 'o200k_base')
+     * @throws {ValidationError} If the name is empty, a capability has the wrong type or the
+     *   encoding is not supported
+     */
+    register(name, capabilities) {
+        if (typeof name !== 'string' || name.trim().length === 0) {
+            throw new ValidationError('Model name must be a non-empty string');
+        }
+
+        for (const [key, value] of Object.entries(capabilities || {})) {
+            if (!(key in DEFAULT_CAPABILITIES)) {
+                throw new ValidationError(`Unknown capability '${key}' for model '${name}'`);
+            }
+
+            const expected = typeof DEFAULT_CAPABILITIES[key];
+            const isValid = expected === 'number'
+                ? Number.isInteger(value) && value > 0
+                : typeof value === expected && value !== '';
+
+            if (!isValid) {
+                const description = { number: 'a positive integer', boolean: 'a boolean', string: 'a non-empty string' };
+                throw new ValidationError(`Capability '${key}' for model '${name}' must be ${description[expected]}`);
+            }
+
+            if (key === 'encoding' && !SUPPORTED_ENCODINGS.includes(value)) {
+                throw new ValidationError(
+                    `Unsupported encoding '${value}' for model '${name}'. Supported encodings: ${SUPPORTED_ENCODINGS.join(', ')}`
+                );
+            }
+        }
+
+        this.models.set(name, { ...(this.models.get(name) || {}), ...capabilities });
+    }
+
+    /**
+     * Get the capabilities of a model
+     * @param {string} model - Model name
+     * @returns {Object} Capabilities (see class description), plus `known`: false when
+     *   the defaults were used because no entry matched
+     */
+    get(model) {
+        const entry = this.find(model);
+        const capabilities = { ...DEFAULT_CAPABILITIES, ...entry };
+
+        return {
+            ...capabilities,
+            // A small custom context window also caps the default output limit
+            maxOutputTokens: Math.min(capabilities.maxOutputTokens, capabilities.contextWindow),
+            known: Boolean(entry)
+        };
+    }
+
+    /**
+     * Check whether a model has an entry (directly or through its family)
+     * @param {string} model - Model name
+     * @returns {boolean} True if the model is known
+     */
+    has(model) {
+        return Boolean(this.find(model));
+    }
+
+    /**
+     * Get the names of all registered models
+     * @returns {Array<string>} Model names
+     */
+    list() {
+        return [...this.models.keys()];
+    }
+
+    /**
+     * Find the entry for a model, falling back to the longest matching family
+     * @param {string} model - Model name
+     * @returns {Object|null} Registered capabilities, or null
+     */
+    find(model) {
+        if (!model) {
+            return null;
+        }
+
+        if (this.models.has(model)) {
+            return this.models.get(model);
+        }
+
+        const family = this.list()
+            .filter(name => model.startsWith(`${name}-`))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return family ? this.models.get(family) : null;
+    }
+}
+
+export default ModelRegistry;
\ No newline at end of file
@@ -1,16 +1,53 @@
-import OpenAI from 'openai';
+import { EventEmitter } from 'events';
+import LLMProvider from './llm-provider.js';
+import OpenAIProvider from './openai-provider.js';
+import MockProvider from './mock-provider.js';
+import Cassette from './cassette.js';
+import CassetteProvider from './cassette-provider.js';
+import RateLimiter from './rate-limiter.js';
+import ModelRegistry from './model-registry.js';
+import {
+    AgentError,
+    APIError,
+    AuthenticationError,
+    CancelledError,
+    ContextLengthError,
+    InitializationError,
+    ModelNotFoundError,
+    NetworkError,
+    RateLimitError,
+    ValidationError
+} from './errors.js';
 
 /**
  * OpenAI Client Configuration Module
  * 
- * Provides a robust wrapper around the OpenAI SDK with features including:
+ * Provides a robust wrapper around a pluggable LLM provider with features including:
+ * - Provider selection: OpenAI API, OpenAI-compatible servers, or an in-process mock
  * - API key validation and authentication
- * - Automatic retry logic with exponential backoff
- * - Comprehensive error handling and user-friendly messages
+ * - Automatic retry logic honoring Retry-After headers, with exponential backoff
+ * - Client-side rate limiting (requests and tokens per minute, per model)
+ * - Fallback to other models when a model is missing, down, or out of context
+ * - Typed errors (see errors.js) with user-friendly messages
  * - Configuration management for model, temperature, and token limits
- * - Support for function calling in chat completions
+ * - Model capabilities (context window, max output, tools, vision, JSON modes)
+ *   used to validate requests; see ModelRegistry
+ * - Support for tool calling (tools, tool_choice) in chat completions
+ * - Streaming chat completions through an async iterator
+ * - Record/replay of chat completions through a cassette file
+ * 
+ * Events:
+ * - `wait`: Emitted before the client pauses a request, with
+ *   `{ reason, delayMs, model, attempt, maxRetries, error }`. `reason` is
+ *   'retry' (backing off after a failed attempt; `error` is the typed error)
+ *   or 'rate_limit' (waiting for client-side rate limit capacity).
+ * - `fallback`: Emitted when a request moves to the next model in the
+ *   fallback chain, with `{ from, to, error, skipped }`. `skipped` lists the
+ *   fallback models passed over because they lack a capability the request
+ *   needs (`{ model, reason }`).
  * 
  * @class OpenAIClient
+ * @extends EventEmitter
  * @example
  * // Initialize the client
  * const client = new OpenAIClient();
@@ -20,38 +57,103 @@ import OpenAI from 'openai';
  *   maxTokens: 1000
  * });
  * 
+ * // Or point it at an OpenAI-compatible server
+ * await client.initialize(null, {
+ *   baseURL: 'http://localhost:8000/v1',
+ *   model: 'meta-llama/Llama-3.1-8B-Instruct'
+ * });
+ * 
+ * // Or run fully offline
+ * await client.initialize(null, { provider: 'mock' });
+ * 
+ * // Or replay a recorded session
+ * await client.initialize(null, {
+ *   cassette: { path: 'cassettes/weather.json', mode: 'replay' }
+ * });
+ * 
  * // Make a chat completion request
  * const response = await client.createChatCompletion([
  *   { role: 'user', content: 'Hello!' }
  * ]);
  * 
- * // With function calling
+ * // With tool calling
  * const response = await client.createChatCompletion(
  *   messages,
- *   functionSchemas
+ *   toolSchemas,
+ *   { toolChoice: 'auto' }
  * );
+ * 
+ * // Report waits caused by rate limits and retries
+ * client.on('wait', ({ reason, delayMs }) => {
+ *   console.log(`Waiting ${delayMs}ms (${reason})`);
+ * });
+ * 
+ * // Fall back to a larger-context model, then a cheaper one
+ * await client.initialize(apiKey, {
+ *   model: 'gpt-4',
+ *   fallbackModels: ['gpt-4o', 'gpt-3.5-turbo']
+ * });
  */
-class OpenAIClient {
+class OpenAIClient extends EventEmitter {
     constructor() {
-        this.client = null;
-        this.config = {
+        super();
+        this.provider = null;
+        this.cassette = null;
+        this.rateLimiter = null;
+        this.maxRetryDelayMs = 60000;
+        this.models = new ModelRegistry();
+        this.config = this._defaultConfig();
+    }
+
+    /**
+     * Build the configuration the client starts with (and returns to on cleanup)
+     * @private
+     * @returns {Object} Default configuration
+     */
+    _defaultConfig() {
+        return {
             model: 'gpt-4',
             temperature: 0.7,
-            maxTokens: 1000
+            maxTokens: 1000,
+            fallbackModels: []
         };
     }
 
     /**
-     * Initialize the OpenAI client with API key validation.
-     * Validates the API key format and tests connectivity to the OpenAI API.
+     * Initialize the client with a provider and validate its configuration.
+     * For the default OpenAI provider this validates the API key format and
+     * tests connectivity to the API.
      * 
      * @async
-     * @param {string} apiKey - Your OpenAI API key (must start with 'sk-')
+     * @param {string|null} apiKey - API key (must start with 'sk-' for the OpenAI API;
+     *   optional for custom base URLs and the mock provider)
      * @param {Object} [options={}] - Configuration options
-     * @param {string} [options.model='gpt-4'] - OpenAI model to use (e.g., 'gpt-4', 'gpt-3.5-turbo')
+     * @param {string} [options.model='gpt-4'] - Model to use (e.g., 'gpt-4', 'gpt-3.5-turbo')
      * @param {number} [options.temperature=0.7] - Sampling temperature (0.0-2.0)
-     * @param {number} [options.maxTokens=1000] - Maximum tokens in response (1-4096)
-     * @throws {Error} If API key is invalid, missing, or authentication fails
+     * @param {number} [options.maxTokens=1000] - Maximum tokens in response (1 up to the
+     *   model's maxOutputTokens)
+     * @param {Array<string>} [options.fallbackModels=[]] - Models to try, in order, when a request
+     *   fails with a missing model (404), a server error that persists after retries (5xx), or a
+     *   context length error
+     * @param {string|LLMProvider} [options.provider='openai'] - 'openai', 'mock', or a provider instance
+     * @param {string} [options.baseURL] - Base URL of an OpenAI-compatible server (openai provider)
+     * @param {Object<string, string>} [options.defaultHeaders] - Extra request headers (openai provider)
+     * @param {Object<string, string>} [options.defaultQuery] - Extra query parameters (openai provider)
+     * @param {RegExp|string|null} [options.apiKeyFormat] - Required API key format (openai provider)
+     * @param {boolean} [options.validateConnection=true] - Test connectivity on initialize (openai provider)
+     * @param {Object} [options.mock] - Options for the mock provider (see MockProvider)
+     * @param {Cassette|Object} [options.cassette] - Cassette instance, or { path, mode } with
+     *   mode 'record' or 'replay'. Replay mode needs no provider, API key or network access.
+     * @param {RateLimiter|Object} [options.rateLimits] - Client-side rate limits: a RateLimiter
+     *   (to share one between clients) or limits keyed by model, e.g.
+     *   { default: { requestsPerMinute: 60, tokensPerMinute: 40000 }, 'gpt-4': {...} }
+     * @param {number} [options.maxRetryDelayMs=60000] - Longest wait before a retry, even if the
+     *   API asks for more
+     * @param {ModelRegistry|Object} [options.models] - A ModelRegistry, or capabilities of custom
+     *   or local models keyed by model name, e.g. { 'llama3': { contextWindow: 8192, tools: false } }
+     * @throws {AuthenticationError} If the API key is invalid, missing, or rejected
+     * @throws {ValidationError} If the configuration options are invalid
+     * @throws {NetworkError} If the API cannot be reached
      * @example
      * const client = new OpenAIClient();
      * await client.initialize(process.env.OPENAI_API_KEY, {
@@ -61,39 +163,127 @@ class OpenAIClient {
      * });
      */
     async initialize(apiKey, options = {}) {
-        // Validate API key
-        if (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length === 0) {
-            throw new Error('OpenAI API key is required and must be a non-empty string');
-        }
+        const {
+            provider = 'openai',
+            baseURL,
+            defaultHeaders,
+            defaultQuery,
+            apiKeyFormat,
+            validateConnection,
+            mock,
+            cassette,
+            rateLimits,
+            maxRetryDelayMs,
+            models,
+            ...configOptions
+        } = options;
 
-        if (!apiKey.startsWith('sk-')) {
-            throw new Error('Invalid OpenAI API key format. API key should start with "sk-"');
+        // Custom models must be known before the config is validated against them
+        if (models instanceof ModelRegistry) {
+            this.models = models;
+        } else if (models) {
+            for (const [name, capabilities] of Object.entries(models)) {
+                this.models.register(name, capabilities);
+            }
         }
 
         // Update configuration with provided options
         this.config = {
             ...this.config,
-            ...options
+            ...configOptions
         };
 
         // Validate configuration options
         this._validateConfig();
 
-        try {
-            // Initialize OpenAI client
-            this.client = new OpenAI({
-                apiKey: apiKey.trim()
-            });
+        if (maxRetryDelayMs !== undefined) {
+            if (typeof maxRetryDelayMs !== 'number' || maxRetryDelayMs < 0) {
+                throw new ValidationError('Max retry delay must be a non-negative number');
+            }
+            this.maxRetryDelayMs = maxRetryDelayMs;
+        }
+
+        if (rateLimits) {
+            this.rateLimiter = rateLimits instanceof RateLimiter ? rateLimits : new RateLimiter(rateLimits);
+        }
 
-            // Test the API key by making a simple request
-            await this._validateApiKey();
+        const activeCassette = cassette ? await this._loadCassette(cassette) : null;
+
+        // Create the provider (validates the API key format). Replaying a
+        // cassette never reaches a real backend, so none is created.
+        let llmProvider = activeCassette?.isReplaying() ? null : this._createProvider(provider, {
+            apiKey,
+            baseURL,
+            defaultHeaders,
+            defaultQuery,
+            apiKeyFormat,
+            validateConnection,
+            mock
+        });
+
+        if (activeCassette) {
+            llmProvider = new CassetteProvider(activeCassette, llmProvider);
+        }
+
+        try {
+            // Test the connection / API key
+            await llmProvider.initialize();
+            this.provider = llmProvider;
+            this.cassette = activeCassette;
 
         } catch (error) {
-            this.client = null;
+            this.provider = null;
             throw this._handleAuthenticationError(error);
         }
     }
 
+    /**
+     * Create the provider selected by the initialize() options
+     * @private
+     * @param {string|LLMProvider} provider - Provider name or instance
+     * @param {Object} options - Provider options
+     * @returns {LLMProvider} The provider instance
+     * @throws {ValidationError} If the provider name is unknown
+     * @throws {AuthenticationError} If the API key is missing or malformed
+     */
+    _createProvider(provider, options) {
+        if (provider instanceof LLMProvider) {
+            return provider;
+        }
+
+        const { mock, ...openaiOptions } = options;
+
+        // Drop unset options so the provider defaults apply
+        const definedOptions = Object.fromEntries(
+            Object.entries(openaiOptions).filter(([, value]) => value !== undefined)
+        );
+
+        switch (provider) {
+            case 'openai':
+                return new OpenAIProvider(definedOptions);
+            case 'mock':
+                return new MockProvider(mock);
+            default:
+                throw new ValidationError(`Unknown provider: ${provider}. Must be 'openai', 'mock', or an LLMProvider instance`);
+        }
+    }
+
+    /**
+     * Load the cassette selected by the initialize() options
+     * @private
+     * @param {Cassette|Object} cassette - Cassette instance or { path, mode }
+     * @returns {Promise<Cassette>} The loaded cassette
+     * @throws {Error} If the mode is invalid or a replay cassette cannot be read
+     */
+    async _loadCassette(cassette) {
+        const instance = cassette instanceof Cassette
+            ? cassette
+            : new Cassette(cassette.path, cassette.mode);
+
+        await instance.load();
+        return instance;
+    }
+
     /**
      * Get the current configuration settings.
      * Returns a copy to prevent external modification.
@@ -134,38 +324,69 @@ class OpenAIClient {
      * }
      */
     isReady() {
-        return this.client !== null;
+        return this.provider !== null;
     }
 
     /**
-     * Get the OpenAI client instance
-     * @returns {OpenAI} The OpenAI client instance
+     * Get the provider behind this client
+     * @returns {LLMProvider} The provider instance
      * @throws {Error} If client is not initialized
      */
-    getClient() {
-        if (!this.client) {
-            throw new Error('OpenAI client is not initialized. Call initialize() first.');
+    getProvider() {
+        if (!this.provider) {
+            throw new InitializationError('OpenAI client is not initialized. Call initialize() first.', {
+                component: 'openaiClient'
+            });
         }
-        return this.client;
+        return this.provider;
+    }
+
+    /**
+     * Get the capabilities of a model
+     * @param {string} [model=this.config.model] - Model name
+     * @returns {Object} Capabilities ({ contextWindow, maxOutputTokens, tools, vision, jsonMode,
+     *   jsonSchema, known }); see ModelRegistry
+     * @example
+     * const { contextWindow, tools } = client.getModelCapabilities();
+     */
+    getModelCapabilities(model = this.config.model) {
+        return this.models.get(model);
     }
 
     /**
-     * Create a chat completion with retry logic and function calling support.
+     * Get the active cassette, if record/replay mode is enabled
+     * @returns {Cassette|null} The cassette, or null when not recording or replaying
+     */
+    getCassette() {
+        return this.cassette;
+    }
+
+    /**
+     * Create a chat completion with retry logic and tool calling support.
      * Automatically retries failed requests with exponential backoff.
      * 
      * @async
      * @param {Array<Object>} messages - Array of message objects
-     * @param {string} messages[].role - Message role ('system', 'user', 'assistant', 'function')
+     * @param {string} messages[].role - Message role ('system', 'user', 'assistant', 'tool')
      * @param {string} messages[].content - Message content
-     * @param {Object} [messages[].function_call] - Function call data (for assistant messages)
-     * @param {string} [messages[].name] - Function name (for function messages)
-     * @param {Array<Object>} [functions=null] - Optional function definitions for function calling
+     * @param {Array<Object>} [messages[].tool_calls] - Tool calls requested by the model (for assistant messages)
+     * @param {string} [messages[].tool_call_id] - ID of the tool call being answered (for tool messages)
+     * @param {Array<Object>} [tools=null] - Optional tool definitions ({ type: 'function', function: {...} }).
+     *   Bare function schemas are wrapped automatically.
      * @param {Object} [options={}] - Additional request options (overrides defaults)
+     * @param {string|Object} [options.toolChoice] - Tool choice: 'auto', 'none', 'required',
+     *   a function name, or a raw tool_choice object
+     * @param {AbortSignal} [options.signal] - Cancels the request, including retry and rate limit waits
      * @returns {Promise<Object>} OpenAI chat completion response
      * @returns {Array} return.choices - Array of completion choices
      * @returns {Object} return.choices[].message - Generated message
      * @returns {Object} return.usage - Token usage information
-     * @throws {Error} If request fails after all retry attempts
+     * @returns {string} return.model - Model that answered
+     * @returns {Object} [return.fallback] - Set when a fallback model answered
+     *   ({ requestedModel, model, failures: [{ model, type, message }] })
+     * @throws {AgentError} Typed error (RateLimitError, ContextLengthError, ...) if the
+     *   request fails after all retry attempts and fallback models
+     * @throws {CancelledError} If the signal is aborted
      * @example
      * // Basic chat completion
      * const response = await client.createChatCompletion([
@@ -174,26 +395,214 @@ class OpenAIClient {
      * ]);
      * console.log(response.choices[0].message.content);
      * 
-     * // With function calling
+     * // With tool calling, forcing a specific function
      * const response = await client.createChatCompletion(
      *   messages,
-     *   [{ name: 'getCurrentTime', description: '...', parameters: {...} }]
+     *   [{ type: 'function', function: { name: 'getCurrentTime', description: '...', parameters: {...} } }],
+     *   { toolChoice: 'getCurrentTime' }
      * );
+     * 
+     * // Cancellable request
+     * const controller = new AbortController();
+     * const response = await client.createChatCompletion(messages, null, { signal: controller.signal });
+     */
+    async createChatCompletion(messages, tools = null, options = {}) {
+        const { signal, ...requestOptions } = options;
+
+        if (!this.provider) {
+            throw new InitializationError('OpenAI client is not initialized. Call initialize() first.', {
+                component: 'openaiClient'
+            });
+        }
+
+        this._validateMessages(messages);
+
+        const requestParams = this._buildRequestParams(messages, tools, requestOptions);
+        this._validateCapabilities(requestParams);
+
+        // Execute request with retry logic, moving down the fallback chain if needed
+        const { response, params, reservedTokens, fallback } = await this._requestWithFallback(requestParams, signal);
+
+        this._settleRateLimit(params, reservedTokens, response.usage);
+        if (fallback) {
+            response.fallback = fallback;
+        }
+        return response;
+    }
+
+    /**
+     * Create a streaming chat completion.
+     * Returns an async iterator over the raw completion chunks, so callers can
+     * render tokens as they arrive. Retries and fallback models only apply to
+     * opening the stream; a failure part-way through is thrown from the
+     * iterator. When a fallback model answers, the first chunk carries
+     * `fallback` (same shape as in createChatCompletion).
+     * 
+     * @async
+     * @generator
+     * @param {Array<Object>} messages - Array of message objects (same format as createChatCompletion)
+     * @param {Array<Object>} [tools=null] - Optional tool definitions
+     * @param {Object} [options={}] - Additional request options (same as createChatCompletion)
+     * @yields {Object} Chat completion chunk ({ choices: [{ delta, finish_reason }], usage, model })
+     * @throws {AgentError} If the stream cannot be opened or fails while reading
+     * @example
+     * for await (const chunk of client.streamChatCompletion(messages)) {
+     *   process.stdout.write(chunk.choices[0]?.delta?.content || '');
+     * }
+     */
+    async *streamChatCompletion(messages, tools = null, options = {}) {
+        const { signal, ...requestOptions } = options;
+
+        if (!this.provider) {
+            throw new InitializationError('OpenAI client is not initialized. Call initialize() first.', {
+                component: 'openaiClient'
+            });
+        }
+
+        this._validateMessages(messages);
+
+        const requestParams = {
+            ...this._buildRequestParams(messages, tools, requestOptions),
+            stream: true,
+            stream_options: { include_usage: true }
+        };
+        this._validateCapabilities(requestParams);
+
+        // Open the stream with retry logic, moving down the fallback chain if needed
+        const { response: stream, params, reservedTokens, fallback } = await this._requestWithFallback(requestParams, signal);
+        let first = true;
+        let settled = false;
+
+        try {
+            for await (const chunk of stream) {
+                this._throwIfAborted(signal);
+                if (chunk.usage) {
+                    this._settleRateLimit(params, reservedTokens, chunk.usage);
+                    settled = true;
+                }
+                yield first && fallback ? { ...chunk, fallback } : chunk;
+                first = false;
+            }
+        } catch (error) {
+            this._throwIfAborted(signal, error);
+            throw this._handleApiError(error);
+        } finally {
+            // Streams that end (or break off) without usage keep the estimate
+            if (!settled) {
+                this._settleRateLimit(params, reservedTokens);
+            }
+        }
+    }
+
+    /**
+     * Get the models a request is tried with, in order
+     * @param {string} [model=this.config.model] - Requested model
+     * @returns {Array<string>} The requested model followed by the fallback models (no duplicates)
      */
-    async createChatCompletion(messages, functions = null, options = {}) {
-        if (!this.client) {
-            throw new Error('OpenAI client is not initialized. Call initialize() first.');
+    getModelChain(model = this.config.model) {
+        return [...new Set([model, ...this.config.fallbackModels])];
+    }
+
+    /**
+     * Send a request, with retries, to each model of the fallback chain in
+     * turn until one answers. Only errors a different model may avoid move
+     * the request on (see _shouldFallback); anything else is thrown at once.
+     * @private
+     * @param {Object} requestParams - Request parameters
+     * @param {AbortSignal} [signal] - Abort signal
+     * @returns {Promise<Object>} { response, params, reservedTokens, fallback } where params are
+     *   the parameters that succeeded and fallback is null if the requested model answered
+     * @throws {AgentError} The last model's error if every model fails
+     */
+    async _requestWithFallback(requestParams, signal) {
+        const models = this.getModelChain(requestParams.model);
+        const failures = [];
+        let index = 0;
+
+        while (index < models.length) {
+            const model = models[index];
+            const params = { ...requestParams, model };
+            let reservedTokens = 0;
+
+            // A fallback model may allow fewer output tokens than the requested one
+            if (typeof params.max_tokens === 'number') {
+                params.max_tokens = Math.min(params.max_tokens, this.getModelCapabilities(model).maxOutputTokens);
+            }
+
+            try {
+                const response = await this._executeWithRetry(async () => {
+                    reservedTokens = await this._acquireRateLimit(params, signal);
+                    try {
+                        return await this.provider.createChatCompletion(params, { signal });
+                    } catch (error) {
+                        // A failed attempt gives its reservation back before the next one
+                        this._settleRateLimit(params, reservedTokens, { total_tokens: 0 });
+                        reservedTokens = 0;
+                        throw error;
+                    }
+                }, { signal, model });
+
+                const fallback = failures.length > 0
+                    ? { requestedModel: requestParams.model, model, failures }
+                    : null;
+
+                return { response, params, reservedTokens, fallback };
+            } catch (error) {
+                if (!this._shouldFallback(error)) {
+                    throw error;
+                }
+                failures.push({ model, type: error.type, message: error.message });
+
+                // Fallback models that cannot serve this request are passed over
+                const skipped = [];
+                let next = index + 1;
+                for (; next < models.length; next++) {
+                    const reason = this._findMissingCapability({ ...requestParams, model: models[next] });
+                    if (!reason) {
+                        break;
+                    }
+                    skipped.push({ model: models[next], reason });
+                    failures.push({ model: models[next], type: 'VALIDATION_ERROR', message: reason });
+                }
+
+                if (next >= models.length) {
+                    throw error;
+                }
+
+                this.emit('fallback', { from: model, to: models[next], error, skipped });
+                index = next;
+            }
         }
+    }
+
+    /**
+     * Check whether another model might succeed where this one failed
+     * @private
+     * @param {AgentError} error - Typed error from the failed model
+     * @returns {boolean} True for missing models, context overflow and server errors
+     */
+    _shouldFallback(error) {
+        return error instanceof ModelNotFoundError ||
+            error instanceof ContextLengthError ||
+            (error instanceof APIError && error.status >= 500);
+    }
 
+    /**
+     * Validate the messages array sent to the API
+     * @private
+     * @param {Array<Object>} messages - Array of message objects
+     * @throws {ValidationError} If the array is empty or a message is malformed
+     */
+    _validateMessages(messages) {
         // Validate messages array
         if (!Array.isArray(messages) || messages.length === 0) {
-            throw new Error('Messages must be a non-empty array');
+            throw new ValidationError('Messages must be a non-empty array');
         }
 
         // Validate message format
         for (const message of messages) {
             if (!message.role) {
-                throw new Error('Each message must have a role property');
+                throw new ValidationError('Each message must have a role property');
             }
             
             // Debug logging for development
@@ -201,28 +610,85 @@ class OpenAIClient {
                 console.log('Validating message:', JSON.stringify(message, null, 2));
             }
             
-            // Content can be null for assistant messages with function calls
-            if (message.role === 'assistant' && message.function_call) {
-                // Assistant messages with function calls can have null content
+            // Content can be null for assistant messages with tool calls
+            if (message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
                 continue;
             }
             
-            // Function messages must have both content and name
-            if (message.role === 'function') {
-                if (!message.name) {
-                    throw new Error('Function messages must have a name property');
+            // Tool messages must have both content and the ID of the call they answer
+            if (message.role === 'tool') {
+                if (!message.tool_call_id) {
+                    throw new ValidationError('Tool messages must have a tool_call_id property');
                 }
                 if (message.content === undefined || message.content === null) {
-                    throw new Error('Function messages must have content property');
+                    throw new ValidationError('Tool messages must have content property');
                 }
                 continue;
             }
             
             // All other messages must have content
             if (message.content === undefined || message.content === null) {
-                throw new Error(`Message with role '${message.role}' must have content property`);
+                throw new ValidationError(`Message with role '${message.role}' must have content property`);
             }
         }
+    }
+
+    /**
+     * Check that the model supports what the request uses
+     * @private
+     * @param {Object} requestParams - Request parameters
+     * @throws {ValidationError} If the request needs tools, images or a JSON response
+     *   format the model does not support
+     */
+    _validateCapabilities(requestParams) {
+        const missing = this._findMissingCapability(requestParams);
+        if (missing) {
+            throw new ValidationError(missing);
+        }
+    }
+
+    /**
+     * Find a capability the request needs that its model lacks
+     * @private
+     * @param {Object} requestParams - Request parameters
+     * @returns {string|null} Why the model cannot serve the request, or null if it can
+     */
+    _findMissingCapability(requestParams) {
+        const { model, tools, response_format: responseFormat, messages } = requestParams;
+        const capabilities = this.getModelCapabilities(model);
+
+        if (tools && !capabilities.tools) {
+            return `Model '${model}' does not support tool calling`;
+        }
+
+        if (responseFormat?.type === 'json_schema' && !capabilities.jsonSchema) {
+            return `Model '${model}' does not support JSON Schema response formats`;
+        }
+
+        if (responseFormat?.type === 'json_object' && !capabilities.jsonMode) {
+            return `Model '${model}' does not support JSON mode`;
+        }
+
+        const hasImages = messages.some(message =>
+            Array.isArray(message.content) && message.content.some(part => part?.type === 'image_url')
+        );
+        if (hasImages && !capabilities.vision) {
+            return `Model '${model}' does not support image input`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Build chat completion request parameters from config, tools and options
+     * @private
+     * @param {Array<Object>} messages - Array of message objects
+     * @param {Array<Object>} [tools] - Optional tool definitions
+     * @param {Object} options - Request options (toolChoice plus raw API overrides)
+     * @returns {Object} Request parameters for chat.completions.create
+     */
+    _buildRequestParams(messages, tools, options) {
+        const { toolChoice, ...requestOverrides } = options;
 
         // Prepare request parameters
         const requestParams = {
@@ -230,147 +696,385 @@ class OpenAIClient {
             messages: messages,
             temperature: this.config.temperature,
             max_tokens: this.config.maxTokens,
-            ...options
+            ...requestOverrides
         };
 
-        // Add functions if provided
-        if (functions && Array.isArray(functions) && functions.length > 0) {
-            requestParams.functions = functions;
-            requestParams.function_call = 'auto';
+        // Add tools if provided
+        if (tools && Array.isArray(tools) && tools.length > 0) {
+            requestParams.tools = tools.map(tool => this._formatTool(tool));
+            requestParams.tool_choice = this._formatToolChoice(toolChoice);
         }
 
-        // Execute request with retry logic
-        return await this._executeWithRetry(async () => {
-            return await this.client.chat.completions.create(requestParams);
-        });
+        return requestParams;
+    }
+
+    /**
+     * Wrap a bare function schema in the tools format expected by the API
+     * @private
+     * @param {Object} tool - Tool definition or bare function schema
+     * @returns {Object} Tool definition ({ type: 'function', function: {...} })
+     */
+    _formatTool(tool) {
+        if (tool && tool.type === 'function' && tool.function) {
+            return tool;
+        }
+
+        return {
+            type: 'function',
+            function: tool
+        };
+    }
+
+    /**
+     * Convert a tool choice option into the API's tool_choice value
+     * @private
+     * @param {string|Object} [toolChoice] - 'auto', 'none', 'required', a function name, or a raw object
+     * @returns {string|Object} The tool_choice request parameter
+     * @throws {ValidationError} If the tool choice is not a string or object
+     */
+    _formatToolChoice(toolChoice) {
+        if (toolChoice === undefined || toolChoice === null) {
+            return 'auto';
+        }
+
+        if (typeof toolChoice === 'object') {
+            return toolChoice;
+        }
+
+        if (typeof toolChoice !== 'string' || toolChoice.trim().length === 0) {
+            throw new ValidationError('Tool choice must be "auto", "none", "required", a function name, or an object');
+        }
+
+        if (['auto', 'none', 'required'].includes(toolChoice)) {
+            return toolChoice;
+        }
+
+        // Any other string forces a call to the named function
+        return {
+            type: 'function',
+            function: { name: toolChoice }
+        };
     }
 
     /**
      * Execute a request with exponential backoff retry logic
      * @private
      * @param {Function} requestFn - The request function to execute
-     * @param {number} maxRetries - Maximum number of retries (default: 3)
+     * @param {Object} [options={}] - Retry options
+     * @param {number} [options.maxRetries=3] - Maximum number of retries
+     * @param {AbortSignal} [options.signal] - Stops retrying (and waiting) when signalled
+     * @param {string} [options.model=this.config.model] - Model the request is sent to (reported in 'wait' events)
      * @returns {Promise<Object>} The response from the request
+     * @throws {AgentError} The typed error of the last failed attempt
+     * @throws {CancelledError} If the signal is aborted
      */
-    async _executeWithRetry(requestFn, maxRetries = 3) {
+    async _executeWithRetry(requestFn, { maxRetries = 3, signal, model = this.config.model } = {}) {
         let lastError;
         
         for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            this._throwIfAborted(signal);
+
             try {
                 return await requestFn();
             } catch (error) {
-                lastError = error;
+                // A cancelled request fails however the provider reported it
+                this._throwIfAborted(signal, error);
+
+                lastError = this._handleApiError(error);
                 
-                // Don't retry on certain error types
-                if (this._shouldNotRetry(error)) {
-                    throw this._handleApiError(error);
+                // Don't retry errors that cannot succeed on a second attempt,
+                // and stop after the last attempt
+                if (!lastError.retryable || attempt === maxRetries) {
+                    throw lastError;
                 }
 
-                // If this was the last attempt, throw the error
-                if (attempt === maxRetries) {
-                    throw this._handleApiError(error);
-                }
+                const delay = this._getRetryDelay(lastError, attempt);
+
+                this.emit('wait', {
+                    reason: 'retry',
+                    delayMs: delay,
+                    model,
+                    attempt: attempt + 1,
+                    maxRetries,
+                    error: lastError
+                });
+                await this._sleep(delay, signal);
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Work out how long to wait before retrying a failed request.
+     * Uses the wait the API asked for when there is one, otherwise
+     * exponential backoff (1s, 2s, 4s, ...) with up to 1s of jitter.
+     * @private
+     * @param {AgentError} error - Typed error from the failed attempt
+     * @param {number} attempt - Zero-based attempt number
+     * @returns {number} Delay in milliseconds, at most maxRetryDelayMs
+     */
+    _getRetryDelay(error, attempt) {
+        const delay = typeof error.retryAfterMs === 'number'
+            ? error.retryAfterMs
+            : Math.pow(2, attempt) * 1000 + Math.random() * 1000;
+
+        return Math.round(Math.min(delay, this.maxRetryDelayMs));
+    }
+
+    /**
+     * Read the wait the API asked for from error response headers.
+     * Checks retry-after-ms, then Retry-After (seconds or HTTP date), then the
+     * later of x-ratelimit-reset-requests and x-ratelimit-reset-tokens.
+     * @private
+     * @param {Error} error - Provider error (may carry `headers`)
+     * @returns {number|null} Wait in milliseconds, or null if the headers do not say
+     */
+    _getRetryAfterMs(error) {
+        const headers = error.headers;
+        if (!headers) {
+            return null;
+        }
 
-                // Calculate delay with exponential backoff and jitter
-                const baseDelay = Math.pow(2, attempt) * 1000; // 1s, 2s, 4s
-                const jitter = Math.random() * 1000; // Add up to 1s jitter
-                const delay = baseDelay + jitter;
+        const getHeader = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]) ?? null;
 
-                console.warn(`Request failed (attempt ${attempt + 1}/${maxRetries + 1}), retrying in ${Math.round(delay)}ms...`);
-                await this._sleep(delay);
+        const retryAfterMs = parseFloat(getHeader('retry-after-ms'));
+        if (Number.isFinite(retryAfterMs)) {
+            return Math.max(0, retryAfterMs);
+        }
+
+        const retryAfter = getHeader('retry-after');
+        if (retryAfter !== null) {
+            const seconds = Number(retryAfter);
+            if (Number.isFinite(seconds)) {
+                return Math.max(0, seconds * 1000);
+            }
+
+            const date = Date.parse(retryAfter);
+            if (!Number.isNaN(date)) {
+                return Math.max(0, date - Date.now());
             }
         }
 
-        throw this._handleApiError(lastError);
+        const resets = ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens']
+            .map(name => this._parseResetDuration(getHeader(name)))
+            .filter(ms => ms !== null);
+
+        return resets.length > 0 ? Math.max(...resets) : null;
     }
 
     /**
-     * Determine if an error should not be retried
+     * Parse an x-ratelimit-reset-* duration such as "20ms", "1s", "6m0s" or "1h2m3.5s"
      * @private
-     * @param {Error} error - The error to check
-     * @returns {boolean} True if the error should not be retried
+     * @param {string|null} value - Header value
+     * @returns {number|null} Duration in milliseconds, or null if unparseable
      */
-    _shouldNotRetry(error) {
-        // Don't retry on authentication errors
-        if (error.status === 401 || error.status === 403) {
-            return true;
+    _parseResetDuration(value) {
+        if (!value) {
+            return null;
         }
 
-        // Don't retry on bad request errors
-        if (error.status === 400) {
-            return true;
+        const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+        const parts = [...String(value).matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+        if (parts.length === 0) {
+            return null;
         }
 
-        // Don't retry on not found errors
-        if (error.status === 404) {
-            return true;
+        return parts.reduce((total, [, amount, unit]) => total + parseFloat(amount) * units[unit], 0);
+    }
+
+    /**
+     * Wait for client-side rate limit capacity, reporting each wait
+     * @private
+     * @param {Object} requestParams - Chat completion request parameters
+     * @param {AbortSignal} [signal] - Stops waiting when signalled
+     * @returns {Promise<number>} Tokens reserved for the request (0 without a limiter)
+     * @throws {CancelledError} If the signal is aborted while waiting
+     */
+    async _acquireRateLimit(requestParams, signal) {
+        if (!this.rateLimiter) {
+            return 0;
         }
 
-        return false;
+        const model = requestParams.model;
+        const tokens = this._estimateRequestTokens(requestParams);
+
+        let delay;
+        while ((delay = this.rateLimiter.tryAcquire(model, tokens)) > 0) {
+            this.emit('wait', { reason: 'rate_limit', delayMs: delay, model });
+            await this._sleep(delay, signal);
+        }
+
+        return tokens;
     }
 
     /**
-     * Handle API errors with user-friendly messages
+     * Correct the rate limiter with the usage the API reported
+     * @private
+     * @param {Object} requestParams - Chat completion request parameters
+     * @param {number} reservedTokens - Tokens reserved by _acquireRateLimit()
+     * @param {Object} [usage] - Usage from the response (the estimate stands without it)
+     */
+    _settleRateLimit(requestParams, reservedTokens, usage) {
+        if (this.rateLimiter) {
+            this.rateLimiter.settle(requestParams.model, reservedTokens, usage?.total_tokens ?? reservedTokens);
+        }
+    }
+
+    /**
+     * Estimate the tokens a request will use: prompt (about 4 characters
+     * per token) plus the maximum completion length
+     * @private
+     * @param {Object} requestParams - Chat completion request parameters
+     * @returns {number} Estimated token count
+     */
+    _estimateRequestTokens(requestParams) {
+        const promptChars = JSON.stringify(requestParams.messages).length +
+            (requestParams.tools ? JSON.stringify(requestParams.tools).length : 0);
+
+        return Math.ceil(promptChars / 4) + (requestParams.max_tokens || 0);
+    }
+
+    /**
+     * Convert a provider error into a typed error with a user-friendly message.
+     * Errors that are already typed (e.g. cassette mismatches) pass through.
      * @private
      * @param {Error} error - The API error
-     * @returns {Error} A user-friendly error
+     * @returns {AgentError} A typed error with status, retryable flag and cause
      */
     _handleApiError(error) {
-        if (error.status === 401) {
-            return new Error(
+        if (error instanceof AgentError) {
+            return error;
+        }
+
+        const status = typeof error.status === 'number' ? error.status : null;
+        const options = { status, cause: error, retryAfterMs: this._getRetryAfterMs(error) };
+
+        if (status === 401) {
+            return new AuthenticationError(
                 'Authentication failed: Invalid API key. Please check your OpenAI API key.\n' +
-                'You can find your API key at: https://platform.openai.com/api-keys'
+                'You can find your API key at: https://platform.openai.com/api-keys',
+                options
             );
         }
 
-        if (error.status === 429) {
-            return new Error(
-                'Rate limit exceeded: Too many requests to OpenAI API. Please wait before making more requests.'
+        if (status === 403) {
+            return new AuthenticationError(
+                'Access forbidden: Your API key may not have the required permissions or your account may have insufficient credits.',
+                options
             );
         }
 
-        if (error.status === 400) {
-            return new Error(
-                `Bad request: ${error.message || 'Invalid request parameters'}`
+        if (status === 429) {
+            return new RateLimitError(
+                'Rate limit exceeded: Too many requests to OpenAI API. Please wait before making more requests.',
+                options
             );
         }
 
-        if (error.status === 403) {
-            return new Error(
-                'Access forbidden: Your API key may not have the required permissions or your account may have insufficient credits.'
+        if (this._isContextLengthError(error)) {
+            return new ContextLengthError(
+                `Context length exceeded: ${error.message || 'The conversation is too long for the model'}`,
+                options
             );
         }
 
-        if (error.status === 404) {
-            return new Error(
-                'Model not found: The specified model is not available. Please check the model name.'
+        if (status === 400) {
+            return new APIError(
+                `Bad request: ${error.message || 'Invalid request parameters'}`,
+                options
             );
         }
 
-        if (error.status === 500 || error.status === 502 || error.status === 503) {
-            return new Error(
-                'OpenAI server error: The service is temporarily unavailable. Please try again later.'
+        if (status === 404) {
+            return new ModelNotFoundError(
+                'Model not found: The specified model is not available. Please check the model name.',
+                options
             );
         }
 
-        if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
-            return new Error(
-                'Network error: Unable to connect to OpenAI API. Please check your internet connection.'
+        if (status !== null && status >= 500) {
+            return new APIError(
+                'OpenAI server error: The service is temporarily unavailable. Please try again later.',
+                options
+            );
+        }
+
+        if (this._isNetworkError(error)) {
+            return new NetworkError(
+                'Network error: Unable to connect to OpenAI API. Please check your internet connection.',
+                { cause: error }
             );
         }
 
         // Generic error handling
-        return new Error(`OpenAI API request failed: ${error.message || 'Unknown error'}`);
+        return new APIError(`OpenAI API request failed: ${error.message || 'Unknown error'}`, options);
+    }
+
+    /**
+     * Check whether an API error reports a context window overflow
+     * @private
+     * @param {Error} error - The API error
+     * @returns {boolean} True if the request exceeded the model's context length
+     */
+    _isContextLengthError(error) {
+        if (error.code === 'context_length_exceeded' || error.error?.code === 'context_length_exceeded') {
+            return true;
+        }
+
+        // OpenAI-compatible servers often send only the message
+        return error.status === 400 && /maximum context length|context window/i.test(error.message || '');
+    }
+
+    /**
+     * Check whether an error means the API could not be reached
+     * @private
+     * @param {Error} error - The error to check
+     * @returns {boolean} True for DNS, connection and timeout failures
+     */
+    _isNetworkError(error) {
+        const networkCodes = ['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'];
+        return networkCodes.includes(error.code) || networkCodes.includes(error.cause?.code);
     }
 
     /**
      * Sleep for a specified number of milliseconds
      * @private
      * @param {number} ms - Milliseconds to sleep
+     * @param {AbortSignal} [signal] - Ends the sleep early when signalled
      * @returns {Promise<void>}
+     * @throws {CancelledError} If the signal is aborted
      */
-    _sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    _sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new CancelledError('Request cancelled'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (signal?.aborted) {
+                onAbort();
+            } else {
+                signal?.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Throw a CancelledError if the signal has been aborted
+     * @private
+     * @param {AbortSignal} [signal] - Abort signal
+     * @param {Error} [cause] - Error that the cancellation caused, if any
+     * @throws {CancelledError} If the signal is aborted
+     */
+    _throwIfAborted(signal, cause) {
+        if (signal?.aborted) {
+            throw cause instanceof CancelledError ? cause : new CancelledError('Request cancelled', { cause });
+        }
     }
 
     /**
@@ -378,68 +1082,73 @@ class OpenAIClient {
      * @private
      */
     _validateConfig() {
-        const { model, temperature, maxTokens } = this.config;
+        const { model, temperature, maxTokens, fallbackModels } = this.config;
 
         if (typeof model !== 'string' || model.trim().length === 0) {
-            throw new Error('Model must be a non-empty string');
+            throw new ValidationError('Model must be a non-empty string');
         }
 
         if (typeof temperature !== 'number' || temperature < 0 || temperature > 2) {
-            throw new Error('Temperature must be a number between 0 and 2');
+            throw new ValidationError('Temperature must be a number between 0 and 2');
         }
 
-        if (typeof maxTokens !== 'number' || maxTokens < 1 || maxTokens > 4096) {
-            throw new Error('Max tokens must be a number between 1 and 4096');
+        const { maxOutputTokens } = this.getModelCapabilities(model);
+        if (typeof maxTokens !== 'number' || maxTokens < 1 || maxTokens > maxOutputTokens) {
+            throw new ValidationError(`Max tokens must be a number between 1 and ${maxOutputTokens} for model '${model}'`);
         }
-    }
 
-    /**
-     * Validate API key by making a test request
-     * @private
-     */
-    async _validateApiKey() {
-        try {
-            // Make a minimal request to validate the API key
-            await this.client.models.list();
-        } catch (error) {
-            throw new Error(`API key validation failed: ${error.message}`);
+        if (!Array.isArray(fallbackModels) || fallbackModels.some(name => typeof name !== 'string' || name.trim().length === 0)) {
+            throw new ValidationError('Fallback models must be an array of non-empty strings');
         }
     }
 
     /**
-     * Handle authentication errors with user-friendly messages
+     * Convert an initialization failure into a typed error with a user-friendly message
      * @private
      * @param {Error} error - The original error
-     * @returns {Error} A user-friendly error
+     * @returns {AgentError} A typed error with status, retryable flag and cause
      */
     _handleAuthenticationError(error) {
+        if (error instanceof AgentError) {
+            return error;
+        }
+
+        const options = { status: typeof error.status === 'number' ? error.status : null, cause: error };
+
         if (error.status === 401) {
-            return new Error(
+            return new AuthenticationError(
                 'Authentication failed: Invalid API key. Please check your OpenAI API key and try again.\n' +
-                'You can find your API key at: https://platform.openai.com/api-keys'
+                'You can find your API key at: https://platform.openai.com/api-keys',
+                options
             );
         }
 
         if (error.status === 429) {
-            return new Error(
-                'Rate limit exceeded: Too many requests. Please wait a moment and try again.'
+            return new RateLimitError(
+                'Rate limit exceeded: Too many requests. Please wait a moment and try again.',
+                options
             );
         }
 
         if (error.status === 403) {
-            return new Error(
-                'Access forbidden: Your API key may not have the required permissions or your account may have insufficient credits.'
+            return new AuthenticationError(
+                'Access forbidden: Your API key may not have the required permissions or your account may have insufficient credits.',
+                options
             );
         }
 
-        if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-            return new Error(
-                'Network error: Unable to connect to OpenAI API. Please check your internet connection.'
+        if (this._isNetworkError(error)) {
+            return new NetworkError(
+                'Network error: Unable to connect to OpenAI API. Please check your internet connection.',
+                { cause: error }
             );
         }
 
         // Generic error handling
-        return new Error(`OpenAI client initialization failed: ${error.message}`);
+        return new InitializationError(`OpenAI client initialization failed: ${error.message}`, {
+            ...options,
+            component: 'openaiClient'
+        });
     }
 
     /**
@@ -447,23 +1156,15 @@ class OpenAIClient {
      * @returns {Promise<void>}
      */
     async cleanup() {
-        try {
-            // Clear the client reference
-            this.client = null;
-            
-            // Reset configuration to defaults
-            this.config = {
-                model: 'gpt-4',
-                temperature: 0.7,
-                maxTokens: 1000
-            };
-            
-            console.log('🧹 OpenAI client cleanup completed');
-            
-        } catch (error) {
-            console.error('Error during OpenAI client cleanup:', error.message);
-            throw error;
+        // Release the provider
+        if (this.provider) {
+            await this.provider.cleanup();
         }
+        this.provider = null;
+        this.cassette = null;
+        
+        // Reset configuration to defaults
+        this.config = this._defaultConfig();
     }
 }
 
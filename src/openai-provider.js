@@ -0,0 +1,175 @@
+import OpenAI, { APIConnectionError, APIUserAbortError } from 'openai';
+import LLMProvider from './llm-provider.js';
+import { AuthenticationError, CancelledError, InitializationError, NetworkError } from './errors.js';
+
+/**
+ * OpenAI Provider
+ *
+ * Sends chat completions through the OpenAI SDK. Works with the OpenAI API
+ * and with any OpenAI-compatible server (vLLM, llama.cpp server, Ollama,
+ * Azure-style endpoints) by setting a base URL, extra headers, query
+ * parameters and the expected API key format.
+ *
+ * @class OpenAIProvider
+ * @extends LLMProvider
+ * @example
+ * // Official OpenAI API (key must start with "sk-")
+ * const provider = new OpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+ *
+ * // Local vLLM / Ollama server (any key, or none)
+ * const provider = new OpenAIProvider({
+ *   baseURL: 'http://localhost:11434/v1'
+ * });
+ *
+ * // Azure-style endpoint
+ * const provider = new OpenAIProvider({
+ *   apiKey: process.env.AZURE_API_KEY,
+ *   baseURL: 'https://my-resource.openai.azure.com/openai/deployments/gpt-4',
+ *   defaultHeaders: { 'api-key': process.env.AZURE_API_KEY },
+ *   defaultQuery: { 'api-version': '2024-06-01' },
+ *   apiKeyFormat: null
+ * });
+ */
+class OpenAIProvider extends LLMProvider {
+    /**
+     * Create a new OpenAI provider.
+     * The API key is validated against `apiKeyFormat` immediately.
+     *
+     * @constructor
+     * @param {Object} [options={}] - Provider options
+     * @param {string} [options.apiKey] - API key (optional for custom base URLs)
+     * @param {string} [options.baseURL] - API base URL (defaults to the OpenAI API)
+     * @param {Object<string, string>} [options.defaultHeaders] - Headers sent with every request
+     * @param {Object<string, string>} [options.defaultQuery] - Query parameters sent with every request
+     * @param {RegExp|string|null} [options.apiKeyFormat] - Required key format; defaults to /^sk-/
+     *   for the OpenAI API and to no check for custom base URLs. Pass null to disable.
+     * @param {boolean} [options.validateConnection=true] - Call models.list() during initialize()
+     * @throws {AuthenticationError} If the API key is missing or does not match the expected format
+     */
+    constructor(options = {}) {
+        super('openai');
+
+        const {
+            apiKey,
+            baseURL = null,
+            defaultHeaders = {},
+            defaultQuery = {},
+            apiKeyFormat = baseURL ? null : /^sk-/,
+            validateConnection = true
+        } = options;
+
+        const trimmedKey = typeof apiKey === 'string' ? apiKey.trim() : '';
+
+        // Custom endpoints often need no key; the official API always does
+        if (!baseURL && trimmedKey.length === 0) {
+            throw new AuthenticationError('OpenAI API key is required and must be a non-empty string');
+        }
+
+        if (apiKeyFormat && trimmedKey.length > 0) {
+            const pattern = apiKeyFormat instanceof RegExp ? apiKeyFormat : new RegExp(apiKeyFormat);
+            if (!pattern.test(trimmedKey)) {
+                throw new AuthenticationError(`Invalid API key format. API key should match ${pattern}`);
+            }
+        }
+
+        this.apiKey = trimmedKey;
+        this.baseURL = baseURL;
+        this.defaultHeaders = defaultHeaders;
+        this.defaultQuery = defaultQuery;
+        this.validateConnection = validateConnection;
+        this.client = null;
+    }
+
+    /**
+     * Create the SDK client and optionally test connectivity
+     * @returns {Promise<void>}
+     * @throws {NetworkError} If the API cannot be reached
+     * @throws {Error} If the connection test fails (the SDK error, with its status)
+     */
+    async initialize() {
+        this.client = new OpenAI({
+            // The SDK requires a key even when the server ignores it
+            apiKey: this.apiKey || 'not-needed',
+            baseURL: this.baseURL || undefined,
+            defaultHeaders: this.defaultHeaders,
+            defaultQuery: this.defaultQuery
+        });
+
+        if (this.validateConnection) {
+            try {
+                // Make a minimal request to validate the API key
+                await this.client.models.list();
+            } catch (error) {
+                this.client = null;
+                if (error instanceof APIConnectionError) {
+                    throw this.toNetworkError(error);
+                }
+                error.message = `API key validation failed: ${error.message}`;
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Send a chat completion request through the SDK
+     * @param {Object} params - Chat completion request parameters
+     * @param {Object} [options={}] - Request options
+     * @param {AbortSignal} [options.signal] - Aborts the request (and an open stream) when signalled
+     * @returns {Promise<Object|AsyncIterable<Object>>} Completion response or chunk stream
+     * @throws {NetworkError} If the API cannot be reached
+     * @throws {CancelledError} If the signal is aborted
+     */
+    async createChatCompletion(params, options = {}) {
+        if (!this.client) {
+            throw new InitializationError('OpenAI provider is not initialized. Call initialize() first.', {
+                component: 'openaiProvider'
+            });
+        }
+
+        try {
+            return await this.client.chat.completions.create(params, { signal: options.signal });
+        } catch (error) {
+            if (error instanceof APIUserAbortError) {
+                throw new CancelledError('OpenAI request cancelled', { cause: error });
+            }
+            if (error instanceof APIConnectionError) {
+                throw this.toNetworkError(error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Convert an SDK connection error into a NetworkError
+     * @param {APIConnectionError} error - SDK connection error
+     * @returns {NetworkError} Typed network error
+     */
+    toNetworkError(error) {
+        const target = this.baseURL || 'OpenAI API';
+        return new NetworkError(
+            `Network error: Unable to connect to ${target}. Please check your internet connection.`,
+            { cause: error }
+        );
+    }
+
+    /**
+     * Describe the provider for display
+     * @returns {Object} Provider name and base URL
+     */
+    describe() {
+        return {
+            name: this.name,
+            baseURL: this.baseURL || 'https://api.openai.com/v1'
+        };
+    }
+
+    /**
+     * Release the SDK client
+     * @returns {Promise<void>}
+     */
+    async cleanup() {
+        this.client = null;
+    }
+}
+
+export default OpenAIProvider;
\ No newline at end of file
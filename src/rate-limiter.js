@@ -0,0 +1,166 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Rate Limiter for OpenAI Agent
+ *
+ * Client-side token-bucket limiter for requests per minute (RPM) and
+ * tokens per minute (TPM), configured per model. Keeping requests under the
+ * account's limits avoids 429 responses instead of recovering from them,
+ * which matters when several agents or scripts share one API key.
+ *
+ * Each model gets its own pair of buckets. A bucket holds up to one
+ * minute's allowance and refills continuously. A request takes one request
+ * and its estimated token count; once the response reports actual usage,
+ * the difference is settled with `settle()`.
+ *
+ * @class RateLimiter
+ * @example
+ * const limiter = new RateLimiter({
+ *   default: { requestsPerMinute: 60, tokensPerMinute: 40000 },
+ *   'gpt-4': { requestsPerMinute: 20, tokensPerMinute: 10000 }
+ * });
+ *
+ * const waitMs = limiter.tryAcquire('gpt-4', 1200);
+ * if (waitMs > 0) {
+ *   // Not enough capacity yet; try again after waitMs
+ * }
+ */
+class RateLimiter {
+    /**
+     * Create a new rate limiter.
+     *
+     * @constructor
+     * @param {Object<string, Object>} [limits={}] - Limits keyed by model name;
+     *   the `default` entry applies to models without their own entry
+     * @param {number} [limits[].requestsPerMinute] - Maximum requests per minute (omit for no limit)
+     * @param {number} [limits[].tokensPerMinute] - Maximum tokens per minute (omit for no limit)
+     * @throws {ValidationError} If a limit is not a positive number
+     */
+    constructor(limits = {}) {
+        for (const [model, modelLimits] of Object.entries(limits)) {
+            for (const key of ['requestsPerMinute', 'tokensPerMinute']) {
+                const value = modelLimits[key];
+                if (value !== undefined && value !== null && (typeof value !== 'number' || !(value > 0))) {
+                    throw new ValidationError(`Rate limit ${key} for '${model}' must be a positive number`);
+                }
+            }
+        }
+
+        this.limits = limits;
+        this.buckets = new Map();
+    }
+
+    /**
+     * Get the limits that apply to a model
+     * @param {string} model - Model name
+     * @returns {Object} Limits ({ requestsPerMinute, tokensPerMinute }), possibly empty
+     */
+    getLimits(model) {
+        return this.limits[model] || this.limits.default || {};
+    }
+
+    /**
+     * Take capacity for one request if both buckets allow it.
+     * Requests larger than a full minute of tokens are capped to the
+     * bucket size so they can still run.
+     *
+     * @param {string} model - Model name
+     * @param {number} tokens - Estimated tokens for the request
+     * @returns {number} 0 if the capacity was taken, otherwise milliseconds to wait before trying again
+     */
+    tryAcquire(model, tokens) {
+        const buckets = this._getBuckets(model);
+        const now = Date.now();
+        let waitMs = 0;
+
+        for (const [bucket, amount] of [[buckets.requests, 1], [buckets.tokens, tokens]]) {
+            if (!bucket) {
+                continue;
+            }
+
+            this._refill(bucket, now);
+            const needed = Math.min(amount, bucket.capacity);
+            if (bucket.available < needed) {
+                waitMs = Math.max(waitMs, Math.ceil((needed - bucket.available) / bucket.ratePerMs));
+            }
+        }
+
+        if (waitMs > 0) {
+            return waitMs;
+        }
+
+        if (buckets.requests) {
+            buckets.requests.available -= 1;
+        }
+        if (buckets.tokens) {
+            buckets.tokens.available -= Math.min(tokens, buckets.tokens.capacity);
+        }
+
+        return 0;
+    }
+
+    /**
+     * Correct the token bucket once the actual usage of a request is known
+     * @param {string} model - Model name
+     * @param {number} reservedTokens - Tokens requested from tryAcquire()
+     * @param {number} usedTokens - Tokens the API reported (0 refunds a request that failed)
+     */
+    settle(model, reservedTokens, usedTokens) {
+        const bucket = this._getBuckets(model).tokens;
+        if (!bucket || typeof usedTokens !== 'number') {
+            return;
+        }
+
+        this._refill(bucket, Date.now());
+        // tryAcquire() took at most the bucket size. Refunds never exceed
+        // the bucket size; overruns may go negative.
+        const taken = Math.min(reservedTokens, bucket.capacity);
+        bucket.available = Math.min(bucket.capacity, bucket.available + taken - usedTokens);
+    }
+
+    /**
+     * Get (or create) the buckets for a model
+     * @private
+     * @param {string} model - Model name
+     * @returns {Object} { requests, tokens } buckets; a bucket is null when unlimited
+     */
+    _getBuckets(model) {
+        if (!this.buckets.has(model)) {
+            const { requestsPerMinute, tokensPerMinute } = this.getLimits(model);
+            this.buckets.set(model, {
+                requests: requestsPerMinute ? this._createBucket(requestsPerMinute) : null,
+                tokens: tokensPerMinute ? this._createBucket(tokensPerMinute) : null
+            });
+        }
+
+        return this.buckets.get(model);
+    }
+
+    /**
+     * Create a full bucket holding one minute of allowance
+     * @private
+     * @param {number} perMinute - Allowance per minute
+     * @returns {Object} Bucket state
+     */
+    _createBucket(perMinute) {
+        return {
+            capacity: perMinute,
+            available: perMinute,
+            ratePerMs: perMinute / 60000,
+            updatedAt: Date.now()
+        };
+    }
+
+    /**
+     * Add the allowance accrued since the last update
+     * @private
+     * @param {Object} bucket - Bucket state
+     * @param {number} now - Current time in milliseconds
+     */
+    _refill(bucket, now) {
+        bucket.available = Math.min(bucket.capacity, bucket.available + (now - bucket.updatedAt) * bucket.ratePerMs);
+        bucket.updatedAt = now;
+    }
+}
+
+export default RateLimiter;
\ No newline at end of file
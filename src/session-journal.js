@@ -0,0 +1,236 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * File name suffix of journal files.
+ */
+const JOURNAL_SUFFIX = '.journal.jsonl';
+
+/**
+ * Session Journal for OpenAI Agent
+ *
+ * Append-only record of every change to a conversation, one JSON object
+ * per line (JSONL). Each entry is written synchronously as the change
+ * happens, so a process that is killed, runs out of memory or crashes
+ * mid-turn loses at most the entry being written. Replaying the journal
+ * rebuilds the conversation.
+ *
+ * Entries (`op`):
+ * - `open`: Journal header with the writing process ID
+ * - `reset`: Full state (system prompt, messages, summary, summarized messages, usage turns,
+ *   branches)
+ * - `append`: One message added to the history
+ * - `trim`: The oldest `count` messages dropped (after the system message and summary)
+ * - `system`: System prompt changed
+ * - `usage`: One API call recorded for a turn
+ *
+ * A journal belongs to a process while it runs. Journals whose process is
+ * gone were not closed cleanly and can be recovered (see findOrphans).
+ *
+ * @class SessionJournal
+ * @example
+ * const journal = new SessionJournal('conversations/conversation-2025-11-07T10-30-45-123Z.journal.jsonl');
+ * journal.open();
+ * journal.append({ op: 'append', message: { role: 'user', content: 'Hi' } });
+ *
+ * // After a crash, on the next start
+ * for (const file of await SessionJournal.findOrphans('conversations')) {
+ *   const state = SessionJournal.replay(file);
+ * }
+ */
+class SessionJournal {
+    /**
+     * Create a new session journal.
+     *
+     * @constructor
+     * @param {string} filepath - Journal file path
+     */
+    constructor(filepath) {
+        this.filepath = filepath;
+    }
+
+    /**
+     * Get the journal path that belongs to a conversation file
+     * @param {string} directory - Conversations directory
+     * @param {string} filename - Conversation file name (e.g. 'conversation-<ts>.json')
+     * @returns {string} Journal file path
+     */
+    static pathFor(directory, filename) {
+        return path.join(directory, `${path.basename(filename, '.json')}${JOURNAL_SUFFIX}`);
+    }
+
+    /**
+     * Get the conversation file name a journal belongs to
+     * @param {string} filepath - Journal file path
+     * @returns {string} Conversation file name
+     */
+    static conversationFilename(filepath) {
+        return `${path.basename(filepath, JOURNAL_SUFFIX)}.json`;
+    }
+
+    /**
+     * Start the journal, replacing any previous content, and claim it for
+     * this process
+     */
+    open() {
+        fs.mkdirSync(path.dirname(this.filepath), { recursive: true });
+        fs.writeFileSync(this.filepath, this.formatEntry({ op: 'open', pid: process.pid }), 'utf8');
+    }
+
+    /**
+     * Append an entry
+     * @param {Object} entry - Journal entry (see class description)
+     */
+    append(entry) {
+        fs.appendFileSync(this.filepath, this.formatEntry(entry), 'utf8');
+    }
+
+    /**
+     * Delete the journal (after its conversation has been saved)
+     */
+    remove() {
+        fs.rmSync(this.filepath, { force: true });
+    }
+
+    /**
+     * Serialize an entry as one line
+     * @param {Object} entry - Journal entry
+     * @returns {string} JSON line
+     * @private
+     */
+    formatEntry(entry) {
+        return `${JSON.stringify({ ...entry, at: new Date().toISOString() })}\n`;
+    }
+
+    /**
+     * Rebuild a conversation from a journal file.
+     * A damaged line (e.g. cut off by a crash while it was written) ends
+     * the replay; everything before it is kept.
+     * @param {string} filepath - Journal file path
+     * @returns {Object} State ({ pid, systemPrompt, summary, summarizedMessages, messages,
+     *   turns, branches, currentBranch, entries, updatedAt })
+     */
+    static replay(filepath) {
+        const state = {
+            pid: null,
+            systemPrompt: null,
+            summary: null,
+            summarizedMessages: [],
+            messages: [],
+            turns: [],
+            branches: [],
+            currentBranch: 'main',
+            entries: 0,
+            updatedAt: null
+        };
+
+        for (const line of fs.readFileSync(filepath, 'utf8').split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                break;
+            }
+
+            switch (entry.op) {
+                case 'open':
+                    state.pid = entry.pid;
+                    break;
+                case 'reset':
+                    state.systemPrompt = entry.systemPrompt;
+                    state.summary = entry.summary;
+                    state.summarizedMessages = entry.summarizedMessages || [];
+                    state.messages = entry.messages || [];
+                    state.turns = entry.turns || [];
+                    state.branches = entry.branches || [];
+                    state.currentBranch = entry.currentBranch || 'main';
+                    break;
+                case 'append':
+                    state.messages.push(entry.message);
+                    break;
+                case 'trim':
+                    state.messages.splice(0, entry.count);
+                    break;
+                case 'system':
+                    state.systemPrompt = entry.content;
+                    break;
+                case 'usage': {
+                    let turn = state.turns.find(item => item.turn === entry.turn);
+                    if (!turn) {
+                        turn = { turn: entry.turn, startedAt: entry.startedAt, calls: [] };
+                        state.turns.push(turn);
+                    }
+                    turn.calls.push(entry.call);
+                    break;
+                }
+                default:
+                    // Entries from newer versions are skipped
+                    continue;
+            }
+
+            state.entries += 1;
+            state.updatedAt = entry.at;
+        }
+
+        return state;
+    }
+
+    /**
+     * Find journals that were not closed cleanly: their process is no
+     * longer running
+     * @param {string} directory - Conversations directory
+     * @returns {Promise<Array<string>>} Journal file paths, oldest first
+     */
+    static async findOrphans(directory) {
+        let files;
+        try {
+            files = await fs.promises.readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        return files
+            .filter(file => file.endsWith(JOURNAL_SUFFIX))
+            .sort()
+            .map(file => path.join(directory, file))
+            .filter(filepath => {
+                try {
+                    return !SessionJournal.isRunning(SessionJournal.replay(filepath).pid);
+                } catch {
+                    return false;
+                }
+            });
+    }
+
+    /**
+     * Check whether a process is still running
+     * @param {number|null} pid - Process ID
+     * @returns {boolean} True if the process exists
+     * @private
+     */
+    static isRunning(pid) {
+        if (!pid) {
+            return false;
+        }
+        if (pid === process.pid) {
+            return true;
+        }
+
+        try {
+            // Signal 0 checks for the process without affecting it
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+}
+
+export default SessionJournal;
\ No newline at end of file
@@ -0,0 +1,256 @@
+import { randomUUID } from 'crypto';
+import ChatManager from './chat-manager.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Session Manager for OpenAI Agent
+ *
+ * Hosts many independent conversations in one process. Each session has
+ * its own ChatManager, so its history, system prompt, model settings,
+ * allowed functions, usage and budgets never mix with another session's.
+ * All sessions share the OpenAI client and the function registry.
+ *
+ * Sessions are keyed by a generated ID and also have a unique name.
+ * Anywhere a session is looked up, either one may be used. One session
+ * is active at a time (see switchSession); it is what an interactive
+ * front end talks to, while other sessions can still be used directly.
+ * Session chat managers do not print to the console (see ConsoleReporter).
+ *
+ * @class SessionManager
+ * @example
+ * const sessions = new SessionManager(openaiClient, functionRegistry, {
+ *   chatOptions: { maxSteps: 5 }
+ * });
+ *
+ * const support = sessions.createSession({
+ *   name: 'support',
+ *   systemPrompt: 'You answer questions about our product.',
+ *   config: { model: 'gpt-4o-mini', temperature: 0.2 },
+ *   allowedTools: ['getCurrentTime']
+ * });
+ * const math = sessions.createSession({ name: 'math', allowedTools: ['calculateMath'] });
+ *
+ * // Sessions can run turns at the same time
+ * await Promise.all([
+ *   sessions.getChatManager('support').processMessage('What time is it?'),
+ *   sessions.getChatManager(math.id).processMessage('What is 2^10?')
+ * ]);
+ */
+class SessionManager {
+    /**
+     * Create a new session manager.
+     *
+     * @constructor
+     * @param {OpenAIClient} openaiClient - Initialized OpenAI client shared by all sessions
+     * @param {FunctionRegistry} functionRegistry - Function registry shared by all sessions
+     * @param {Object} [options={}] - Session manager options
+     * @param {Object} [options.chatOptions={}] - ChatManager options every session starts with
+     *   (see ChatManager)
+     */
+    constructor(openaiClient, functionRegistry, options = {}) {
+        this.openaiClient = openaiClient;
+        this.functionRegistry = functionRegistry;
+        this.chatOptions = options.chatOptions || {};
+
+        this.sessions = new Map(); // Sessions by ID, in creation order
+        this.activeId = null;
+        this.createdCount = 0; // Numbers default names
+    }
+
+    /**
+     * Create a session. The first session becomes the active one.
+     * @param {Object} [options={}] - Session options
+     * @param {string} [options.name] - Unique name ('session-<n>' if omitted)
+     * @param {string} [options.systemPrompt] - System prompt (the default prompt if omitted)
+     * @param {Object} [options.config] - Model settings ({ model, temperature, maxTokens });
+     *   the client's settings apply to any left out
+     * @param {Array<string>|null} [options.allowedTools] - Functions the session may call
+     *   (all if omitted)
+     * @param {Object} [options.chatOptions] - Further ChatManager options for this session
+     * @returns {Object} The session ({ id, name, createdAt, chatManager })
+     * @throws {ValidationError} If the name is invalid or taken, or an option is invalid
+     */
+    createSession(options = {}) {
+        const { systemPrompt = null, config, allowedTools, chatOptions = {} } = options;
+        const name = options.name ?? this.nextDefaultName();
+
+        this.validateName(name);
+
+        // Sessions run side by side, so none prints on its own; a front end
+        // attaches a ConsoleReporter to the session it shows
+        const chatManager = new ChatManager(this.openaiClient, this.functionRegistry, {
+            logToConsole: false,
+            ...this.chatOptions,
+            ...chatOptions,
+            ...(config ? { config } : {}),
+            ...(allowedTools !== undefined ? { allowedTools } : {})
+        });
+        if (systemPrompt) {
+            chatManager.startConversation(systemPrompt);
+        }
+
+        const session = {
+            id: randomUUID(),
+            name,
+            createdAt: new Date().toISOString(),
+            chatManager
+        };
+
+        this.sessions.set(session.id, session);
+        this.createdCount += 1;
+        this.activeId ??= session.id;
+
+        return session;
+    }
+
+    /**
+     * Find a session
+     * @param {string} reference - Session ID or name
+     * @returns {Object} The session ({ id, name, createdAt, chatManager })
+     * @throws {ValidationError} If no session matches
+     */
+    getSession(reference) {
+        const session = this.sessions.get(reference) ||
+            [...this.sessions.values()].find(item => item.name === reference);
+
+        if (!session) {
+            throw new ValidationError(`Session '${reference}' does not exist`);
+        }
+
+        return session;
+    }
+
+    /**
+     * Get the chat manager of a session
+     * @param {string} [reference] - Session ID or name (the active session if omitted)
+     * @returns {ChatManager} The session's chat manager
+     * @throws {ValidationError} If no session matches
+     */
+    getChatManager(reference = this.activeId) {
+        return this.getSession(reference).chatManager;
+    }
+
+    /**
+     * Check whether a session exists
+     * @param {string} reference - Session ID or name
+     * @returns {boolean} True if a session matches
+     */
+    hasSession(reference) {
+        return this.sessions.has(reference) ||
+            [...this.sessions.values()].some(session => session.name === reference);
+    }
+
+    /**
+     * Get the active session
+     * @returns {Object|null} The session, or null if there are no sessions
+     */
+    getActiveSession() {
+        return this.activeId ? this.sessions.get(this.activeId) : null;
+    }
+
+    /**
+     * Make a session the active one
+     * @param {string} reference - Session ID or name
+     * @returns {Object} The session
+     * @throws {ValidationError} If no session matches
+     */
+    switchSession(reference) {
+        const session = this.getSession(reference);
+        this.activeId = session.id;
+        return session;
+    }
+
+    /**
+     * Rename a session
+     * @param {string} reference - Session ID or name
+     * @param {string} name - New unique name
+     * @returns {Object} The session
+     * @throws {ValidationError} If no session matches, or the name is invalid or taken
+     */
+    renameSession(reference, name) {
+        const session = this.getSession(reference);
+
+        if (name !== session.name) {
+            this.validateName(name);
+            session.name = name;
+        }
+
+        return session;
+    }
+
+    /**
+     * Remove a session. If it was the active session, the most recently
+     * created remaining session becomes active.
+     * @param {string} reference - Session ID or name
+     * @returns {Object} The removed session
+     * @throws {ValidationError} If no session matches
+     */
+    deleteSession(reference) {
+        const session = this.getSession(reference);
+
+        this.sessions.delete(session.id);
+        if (this.activeId === session.id) {
+            this.activeId = [...this.sessions.keys()].pop() ?? null;
+        }
+
+        return session;
+    }
+
+    /**
+     * List the sessions in creation order
+     * @returns {Array<Object>} Sessions ({ id, name, createdAt, active, model, messageCount, cost })
+     */
+    listSessions() {
+        return [...this.sessions.values()].map(session => {
+            const stats = session.chatManager.getConversationStats();
+
+            return {
+                id: session.id,
+                name: session.name,
+                createdAt: session.createdAt,
+                active: session.id === this.activeId,
+                model: session.chatManager.getModelConfig().model,
+                messageCount: stats.totalMessages,
+                cost: stats.usage.cost
+            };
+        });
+    }
+
+    /**
+     * Clean up every session
+     * @returns {Promise<void>}
+     */
+    async cleanup() {
+        await Promise.all([...this.sessions.values()].map(session => session.chatManager.cleanup()));
+    }
+
+    /**
+     * Check a session name
+     * @param {string} name - Session name
+     * @throws {ValidationError} If the name is invalid or already used
+     * @private
+     */
+    validateName(name) {
+        if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) {
+            throw new ValidationError("Session name may only contain letters, digits, '.', '_' and '-'");
+        }
+        if (this.hasSession(name)) {
+            throw new ValidationError(`Session '${name}' already exists`);
+        }
+    }
+
+    /**
+     * Get the first free default name
+     * @returns {string} Session name ('session-<n>')
+     * @private
+     */
+    nextDefaultName() {
+        let number = this.createdCount + 1;
+        while (this.hasSession(`session-${number}`)) {
+            number += 1;
+        }
+        return `session-${number}`;
+    }
+}
+
+export default SessionManager;
\ No newline at end of file
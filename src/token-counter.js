@@ -0,0 +1,266 @@
+import { Tiktoken } from 'js-tiktoken/lite';
+import cl100kBase from 'js-tiktoken/ranks/cl100k_base';
+import o200kBase from 'js-tiktoken/ranks/o200k_base';
+import { ValidationError } from './errors.js';
+
+/**
+ * BPE ranks for the supported encodings, bundled with js-tiktoken so
+ * counting never needs the network.
+ */
+const ENCODINGS = {
+    cl100k_base: cl100kBase,
+    o200k_base: o200kBase
+};
+
+/**
+ * Names of the encodings the counter supports.
+ */
+export const SUPPORTED_ENCODINGS = Object.keys(ENCODINGS);
+
+/**
+ * Tokens the chat format adds around every message (role and separators).
+ */
+const TOKENS_PER_MESSAGE = 3;
+
+/**
+ * Extra token when a message has a `name`.
+ */
+const TOKENS_PER_NAME = 1;
+
+/**
+ * Tokens that prime the assistant's reply in every request.
+ */
+const REPLY_PRIMING_TOKENS = 3;
+
+/**
+ * Tokens around the tool definitions block.
+ */
+const TOOLS_OVERHEAD_TOKENS = 9;
+
+/**
+ * Tokens around each tool call in an assistant message.
+ */
+const TOKENS_PER_TOOL_CALL = 3;
+
+/**
+ * Tokens counted for an image part (the low-detail rate; high-detail
+ * images cost more, depending on their size).
+ */
+const TOKENS_PER_IMAGE = 85;
+
+/**
+ * Token Counter for OpenAI Agent
+ *
+ * Counts tokens with the same byte-pair encodings the models use
+ * (cl100k_base for GPT-4 and GPT-3.5, o200k_base for GPT-4o and newer),
+ * entirely offline. Message counts include the chat format's per-message
+ * overhead, tool calls and the tool definitions the API renders into the
+ * prompt, following OpenAI's published counting rules, so they match the
+ * API's `prompt_tokens` to within a few tokens.
+ *
+ * Encoders are created on first use and cached.
+ *
+ * @class TokenCounter
+ * @example
+ * const counter = new TokenCounter();
+ *
+ * counter.countText('Hello world', 'o200k_base'); // 2
+ * counter.countMessages([{ role: 'user', content: 'Hello world' }]); // 9
+ * counter.countTools(functionRegistry.getToolSchemas());
+ */
+class TokenCounter {
+    /**
+     * Create a new token counter.
+     *
+     * @constructor
+     */
+    constructor() {
+        this.encoders = new Map();
+    }
+
+    /**
+     * Get the encoder for an encoding
+     * @param {string} [encoding='cl100k_base'] - Encoding name
+     * @returns {Tiktoken} Encoder
+     * @throws {ValidationError} If the encoding is not supported
+     */
+    getEncoder(encoding = 'cl100k_base') {
+        if (!this.encoders.has(encoding)) {
+            if (!ENCODINGS[encoding]) {
+                throw new ValidationError(
+                    `Unsupported encoding '${encoding}'. Supported encodings: ${SUPPORTED_ENCODINGS.join(', ')}`
+                );
+            }
+            this.encoders.set(encoding, new Tiktoken(ENCODINGS[encoding]));
+        }
+
+        return this.encoders.get(encoding);
+    }
+
+    /**
+     * Count the tokens in a piece of text
+     * @param {string} text - Text to count
+     * @param {string} [encoding='cl100k_base'] - Encoding name
+     * @returns {number} Token count
+     */
+    countText(text, encoding = 'cl100k_base') {
+        if (!text) {
+            return 0;
+        }
+
+        // Special tokens in user text are counted as ordinary text
+        return this.getEncoder(encoding).encode(String(text), [], []).length;
+    }
+
+    /**
+     * Count the tokens one message adds to a request
+     * @param {Object} message - Chat message ({ role, content, name, tool_calls })
+     * @param {string} [encoding='cl100k_base'] - Encoding name
+     * @returns {number} Token count, including the message overhead
+     */
+    countMessage(message, encoding = 'cl100k_base') {
+        let tokens = TOKENS_PER_MESSAGE + this.countText(message.role, encoding);
+
+        tokens += this.countContent(message.content, encoding);
+
+        if (message.name) {
+            tokens += this.countText(message.name, encoding) + TOKENS_PER_NAME;
+        }
+
+        for (const toolCall of message.tool_calls || []) {
+            tokens += TOKENS_PER_TOOL_CALL +
+                this.countText(toolCall.function?.name, encoding) +
+                this.countText(toolCall.function?.arguments, encoding);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Count the tokens a list of messages uses as a request prompt
+     * @param {Array<Object>} messages - Chat messages
+     * @param {string} [encoding='cl100k_base'] - Encoding name
+     * @returns {number} Token count, including the reply priming
+     */
+    countMessages(messages, encoding = 'cl100k_base') {
+        if (messages.length === 0) {
+            return 0;
+        }
+
+        return messages.reduce(
+            (total, message) => total + this.countMessage(message, encoding),
+            REPLY_PRIMING_TOKENS
+        );
+    }
+
+    /**
+     * Count the tokens tool definitions add to every request
+     * @param {Array<Object>} tools - Tool schemas ({ type: 'function', function: { name, description, parameters } })
+     * @param {string} [encoding='cl100k_base'] - Encoding name
+     * @returns {number} Token count (0 when there are no tools)
+     */
+    countTools(tools, encoding = 'cl100k_base') {
+        if (!tools || tools.length === 0) {
+            return 0;
+        }
+
+        return this.countText(this.formatTools(tools), encoding) + TOOLS_OVERHEAD_TOKENS;
+    }
+
+    /**
+     * Count message content, which is a string or an array of parts
+     * @param {string|Array<Object>|null} content - Message content
+     * @param {string} encoding - Encoding name
+     * @returns {number} Token count
+     */
+    countContent(content, encoding) {
+        if (!Array.isArray(content)) {
+            return this.countText(content, encoding);
+        }
+
+        return content.reduce((total, part) => {
+            if (part.type === 'image_url') {
+                return total + TOKENS_PER_IMAGE;
+            }
+            return total + this.countText(part.text, encoding);
+        }, 0);
+    }
+
+    /**
+     * Render tool definitions the way the API presents them to the model
+     * (a TypeScript-style namespace of function types)
+     * @param {Array<Object>} tools - Tool schemas
+     * @returns {string} Rendered definitions
+     */
+    formatTools(tools) {
+        const lines = ['namespace functions {', ''];
+
+        for (const { function: fn } of tools) {
+            if (fn.description) {
+                lines.push(`// ${fn.description}`);
+            }
+
+            if (Object.keys(fn.parameters?.properties || {}).length > 0) {
+                lines.push(`type ${fn.name} = (_: {`);
+                lines.push(this.formatProperties(fn.parameters, 0));
+                lines.push('}) => any;');
+            } else {
+                lines.push(`type ${fn.name} = () => any;`);
+            }
+            lines.push('');
+        }
+
+        lines.push('} // namespace functions');
+        return lines.join('\n');
+    }
+
+    /**
+     * Render the properties of an object schema
+     * @param {Object} schema - Object schema
+     * @param {number} indent - Indentation in spaces
+     * @returns {string} Rendered properties
+     */
+    formatProperties(schema, indent) {
+        const lines = [];
+
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+            // Nested properties are rendered without their descriptions
+            if (property.description && indent < 2) {
+                lines.push(`// ${property.description}`);
+            }
+
+            const optional = schema.required?.includes(name) ? '' : '?';
+            lines.push(`${name}${optional}: ${this.formatType(property, indent)},`);
+        }
+
+        return lines.map(line => ' '.repeat(indent) + line).join('\n');
+    }
+
+    /**
+     * Render the type of a schema property
+     * @param {Object} property - Property schema
+     * @param {number} indent - Indentation in spaces
+     * @returns {string} Rendered type
+     */
+    formatType(property, indent) {
+        switch (property.type) {
+            case 'string':
+                return property.enum ? property.enum.map(value => `"${value}"`).join(' | ') : 'string';
+            case 'number':
+            case 'integer':
+                return property.enum ? property.enum.join(' | ') : 'number';
+            case 'boolean':
+                return 'boolean';
+            case 'null':
+                return 'null';
+            case 'object':
+                return ['{', this.formatProperties(property, indent + 2), '}'].join('\n');
+            case 'array':
+                return property.items ? `${this.formatType(property.items, indent)}[]` : 'any[]';
+            default:
+                return '';
+        }
+    }
+}
+
+export default TokenCounter;
\ No newline at end of file
@@ -0,0 +1,243 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Default prices in USD per 1M tokens, keyed by model name.
+ * A model without its own entry uses the longest entry its name starts
+ * with, so dated snapshots ('gpt-4o-2024-08-06') price like their family.
+ */
+export const DEFAULT_PRICES = {
+    'gpt-4.1': { prompt: 2.00, completion: 8.00 },
+    'gpt-4.1-mini': { prompt: 0.40, completion: 1.60 },
+    'gpt-4.1-nano': { prompt: 0.10, completion: 0.40 },
+    'gpt-4o': { prompt: 2.50, completion: 10.00 },
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+    'gpt-4-turbo': { prompt: 10.00, completion: 30.00 },
+    'gpt-4-32k': { prompt: 60.00, completion: 120.00 },
+    'gpt-4': { prompt: 30.00, completion: 60.00 },
+    'gpt-3.5-turbo': { prompt: 0.50, completion: 1.50 },
+    'o1': { prompt: 15.00, completion: 60.00 },
+    'o3-mini': { prompt: 1.10, completion: 4.40 }
+};
+
+/**
+ * Usage Ledger for OpenAI Agent
+ *
+ * Records the token usage the API reports for every chat completion request,
+ * grouped into turns (one user message and all the follow-up requests its
+ * tool calls cause), and prices it from a per-model price table. Requests
+ * for models without a price still count toward token totals; their cost is
+ * reported separately as unpriced.
+ *
+ * @class UsageLedger
+ * @example
+ * const ledger = new UsageLedger({
+ *   'my-local-model': { prompt: 0, completion: 0 }
+ * });
+ *
+ * const turn = ledger.startTurn();
+ * ledger.record(turn, 'gpt-4o', { prompt_tokens: 1200, completion_tokens: 80 });
+ *
+ * console.log(ledger.getSessionTotals().cost); // 0.0038
+ */
+class UsageLedger {
+    /**
+     * Create a new usage ledger.
+     *
+     * @constructor
+     * @param {Object<string, Object>} [prices={}] - Prices keyed by model name, merged over DEFAULT_PRICES
+     * @param {number} prices[].prompt - USD per 1M prompt tokens
+     * @param {number} prices[].completion - USD per 1M completion tokens
+     * @throws {ValidationError} If a price is not a non-negative number
+     */
+    constructor(prices = {}) {
+        for (const [model, price] of Object.entries(prices)) {
+            for (const key of ['prompt', 'completion']) {
+                if (typeof price?.[key] !== 'number' || !(price[key] >= 0)) {
+                    throw new ValidationError(`Price ${key} for '${model}' must be a non-negative number`);
+                }
+            }
+        }
+
+        this.prices = { ...DEFAULT_PRICES, ...prices };
+        this.turns = [];
+    }
+
+    /**
+     * Get the price that applies to a model
+     * @param {string} model - Model name
+     * @returns {Object|null} Price ({ prompt, completion } in USD per 1M tokens), or null if unknown
+     */
+    getPrice(model) {
+        if (!model) {
+            return null;
+        }
+
+        if (this.prices[model]) {
+            return this.prices[model];
+        }
+
+        const family = Object.keys(this.prices)
+            .filter(name => model.startsWith(`${name}-`))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return family ? this.prices[family] : null;
+    }
+
+    /**
+     * Price a request's token usage
+     * @param {string} model - Model name
+     * @param {number} promptTokens - Prompt tokens
+     * @param {number} completionTokens - Completion tokens
+     * @returns {number|null} Cost in USD, or null if the model has no price
+     */
+    calculateCost(model, promptTokens, completionTokens) {
+        const price = this.getPrice(model);
+        if (!price) {
+            return null;
+        }
+
+        return (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+    }
+
+    /**
+     * Start recording a new turn
+     * @returns {Object} Turn entry to pass to record()
+     */
+    startTurn() {
+        const turn = {
+            turn: this.turns.length + 1,
+            startedAt: new Date().toISOString(),
+            calls: [],
+            ...this.emptyTotals()
+        };
+
+        this.turns.push(turn);
+        return turn;
+    }
+
+    /**
+     * Record the usage of one chat completion request
+     * @param {Object} turn - Turn entry from startTurn()
+     * @param {string} model - Model that served the request
+     * @param {Object|null} usage - Usage reported by the API ({ prompt_tokens, completion_tokens });
+     *   null when the server did not report usage
+     * @returns {Object} The recorded request entry
+     */
+    record(turn, model, usage) {
+        const promptTokens = usage?.prompt_tokens || 0;
+        const completionTokens = usage?.completion_tokens || 0;
+
+        const request = {
+            model,
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens,
+            cost: this.calculateCost(model, promptTokens, completionTokens),
+            usageReported: Boolean(usage)
+        };
+
+        turn.calls.push(request);
+        this.addToTotals(turn, request);
+
+        return request;
+    }
+
+    /**
+     * Get the totals across all turns
+     * @returns {Object} Totals ({ turns, requests, promptTokens, completionTokens, totalTokens,
+     *   cost, unpricedRequests })
+     */
+    getSessionTotals() {
+        const totals = this.emptyTotals();
+
+        for (const turn of this.turns) {
+            for (const request of turn.calls) {
+                this.addToTotals(totals, request);
+            }
+        }
+
+        return { turns: this.turns.length, ...totals };
+    }
+
+    /**
+     * Get the recorded turns
+     * @returns {Array<Object>} Turn entries, oldest first
+     */
+    getTurns() {
+        return [...this.turns];
+    }
+
+    /**
+     * Replace the recorded usage with turns from a saved conversation,
+     * so a resumed session keeps counting from where it stopped.
+     * Turn totals are recalculated from the calls.
+     * @param {Array<Object>} turns - Turn entries (as returned by getTurns or toJSON); only
+     *   `turn`, `startedAt` and `calls` are used
+     * @throws {ValidationError} If a turn has no list of calls
+     */
+    restore(turns) {
+        if (!Array.isArray(turns) || turns.some(turn => !Array.isArray(turn?.calls))) {
+            throw new ValidationError('Saved usage must be a list of turns with their calls');
+        }
+
+        this.turns = turns.map(({ turn, startedAt, calls }) => {
+            const entry = { turn, startedAt, calls: [...calls], ...this.emptyTotals() };
+            calls.forEach(call => this.addToTotals(entry, call));
+            return entry;
+        });
+    }
+
+    /**
+     * Forget all recorded usage
+     */
+    reset() {
+        this.turns = [];
+    }
+
+    /**
+     * Serialize the ledger for saved conversation files
+     * @returns {Object} Session totals and every turn with its calls
+     */
+    toJSON() {
+        return {
+            currency: 'USD',
+            session: this.getSessionTotals(),
+            turns: this.turns
+        };
+    }
+
+    /**
+     * Create zeroed totals
+     * @returns {Object} Totals
+     */
+    emptyTotals() {
+        return {
+            requests: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+            totalTokens: 0,
+            cost: 0,
+            unpricedRequests: 0
+        };
+    }
+
+    /**
+     * Add a request to a set of totals
+     * @param {Object} totals - Totals to update
+     * @param {Object} request - Request entry
+     */
+    addToTotals(totals, request) {
+        totals.requests += 1;
+        totals.promptTokens += request.promptTokens;
+        totals.completionTokens += request.completionTokens;
+        totals.totalTokens += request.totalTokens;
+
+        if (request.cost === null) {
+            totals.unpricedRequests += 1;
+        } else {
+            totals.cost += request.cost;
+        }
+    }
+}
+
+export default UsageLedger;
\ No newline at end of file
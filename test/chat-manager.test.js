@@ -0,0 +1,150 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import OpenAIClient from '../src/openai-client.js';
+import FunctionRegistry from '../src/function-registry.js';
+import ChatManager from '../src/chat-manager.js';
+
+describe('ChatManager', () => {
+    let openaiClient;
+
+    beforeEach(async () => {
+        openaiClient = new OpenAIClient();
+        await openaiClient.initialize(null, { provider: 'mock', mock: { latencyMs: 20 } });
+    });
+
+    /**
+     * Create a chat manager that does not print
+     * @param {Object} [options={}] - Further ChatManager options
+     * @returns {ChatManager} Chat manager
+     */
+    function createChatManager(options = {}) {
+        return new ChatManager(openaiClient, new FunctionRegistry(), { logToConsole: false, ...options });
+    }
+
+    /**
+     * Get the content of every message in the history
+     * @param {ChatManager} chatManager - Chat manager
+     * @returns {Array<string>} Contents, oldest first
+     */
+    function contents(chatManager) {
+        return chatManager.getHistory(false).map(message => message.content);
+    }
+
+    describe('turn queue', () => {
+        it('answers turns one at a time, in the order they were sent', async () => {
+            const chatManager = createChatManager();
+            const events = [];
+            chatManager.on('turnStart', ({ input }) => events.push(`start ${input}`));
+            chatManager.on('turnEnd', ({ message }) => events.push(`end ${message}`));
+
+            await Promise.all(['one', 'two', 'three'].map(message => chatManager.processMessage(message)));
+
+            assert.deepEqual(contents(chatManager), [
+                'one', 'Mock response: one',
+                'two', 'Mock response: two',
+                'three', 'Mock response: three'
+            ]);
+            assert.deepEqual(events, [
+                'start one', 'end Mock response: one',
+                'start two', 'end Mock response: two',
+                'start three', 'end Mock response: three'
+            ]);
+        });
+
+        it('refuses turns beyond the queue limit, and busy turns with ifBusy reject', async () => {
+            const chatManager = createChatManager({ maxQueuedTurns: 1 });
+
+            const responses = await Promise.all([
+                chatManager.processMessage('running'),
+                chatManager.processMessage('queued'),
+                chatManager.processMessage('too many'),
+                chatManager.processMessage('impatient', { ifBusy: 'reject' })
+            ]);
+
+            assert.deepEqual(responses.map(response => response.error?.type ?? null),
+                [null, null, 'TURN_QUEUE_FULL', 'TURN_IN_PROGRESS']);
+            assert.deepEqual(contents(chatManager), ['running', 'Mock response: running', 'queued', 'Mock response: queued']);
+        });
+
+        it('refuses to change the history while a turn runs', async () => {
+            const chatManager = createChatManager();
+            const turn = chatManager.processMessage('hello');
+
+            assert.deepEqual(chatManager.getQueueStatus(), { busy: true, queued: 0, maxQueued: 10 });
+            for (const change of [
+                () => chatManager.clearHistory(),
+                () => chatManager.startConversation(),
+                () => chatManager.updateSystemMessage('Other prompt'),
+                () => chatManager.createBranch('other')
+            ]) {
+                assert.throws(change, { name: 'TurnQueueError' });
+            }
+
+            await turn;
+            assert.equal(chatManager.getQueueStatus().busy, false);
+        });
+    });
+
+    describe('budgets', () => {
+        it('stops turns once the session budget is used up', async () => {
+            const chatManager = createChatManager({ budget: { sessionTokens: 40 } });
+
+            const first = await chatManager.processMessage('one');
+            const second = await chatManager.processMessage('two');
+
+            assert.equal(first.success, true);
+            assert.equal(second.success, false);
+            assert.equal(second.error.type, 'BUDGET_EXCEEDED');
+            assert.equal(openaiClient.provider.callCount, 1);
+            assert.match(contents(chatManager).at(-1), /session budget ran out/);
+        });
+
+        it('validates budget settings', () => {
+            const chatManager = createChatManager();
+
+            assert.throws(() => chatManager.setBudget({ sessionCost: -1 }), { name: 'ValidationError' });
+            assert.throws(() => chatManager.setBudget({ warnAt: 2 }), { name: 'ValidationError' });
+            assert.throws(() => chatManager.setBudget({ monthly: 5 }), { name: 'ValidationError' });
+        });
+    });
+
+    describe('branches', () => {
+        it('keeps each branch its own history when switching', async () => {
+            const chatManager = createChatManager();
+            await chatManager.processMessage('shared');
+
+            chatManager.createBranch('formal');
+            await chatManager.processMessage('formal only');
+            chatManager.switchBranch('main');
+
+            assert.deepEqual(contents(chatManager), ['shared', 'Mock response: shared']);
+
+            await chatManager.processMessage('main only');
+            chatManager.switchBranch('formal');
+
+            assert.deepEqual(contents(chatManager), [
+                'shared', 'Mock response: shared',
+                'formal only', 'Mock response: formal only'
+            ]);
+            assert.deepEqual(chatManager.listBranches().map(({ name, parent, current }) => ({ name, parent, current })), [
+                { name: 'main', parent: null, current: false },
+                { name: 'formal', parent: 'main', current: true }
+            ]);
+        });
+
+        it('deletes other branches only, and not during a turn', async () => {
+            const chatManager = createChatManager();
+            chatManager.createBranch('draft');
+            chatManager.switchBranch('main');
+
+            assert.throws(() => chatManager.deleteBranch('main'), { name: 'ValidationError' });
+
+            const turn = chatManager.processMessage('hello');
+            assert.throws(() => chatManager.deleteBranch('draft'), { name: 'TurnQueueError' });
+            await turn;
+
+            chatManager.deleteBranch('draft');
+            assert.deepEqual(chatManager.listBranches().map(branch => branch.name), ['main']);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,159 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import ConversationExporter from '../src/conversation-exporter.js';
+import OpenAIClient from '../src/openai-client.js';
+import FunctionRegistry from '../src/function-registry.js';
+import ChatManager from '../src/chat-manager.js';
+import { functionSchemas, availableFunctions } from '../src/built-in-functions.js';
+import { ValidationError } from '../src/errors.js';
+
+/**
+ * A conversation with a function call, in chat completions format
+ */
+const TRANSCRIPT = [
+    { role: 'system', content: 'You are a test assistant.' },
+    { role: 'user', content: 'What is 6 * 7?' },
+    {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'calculateMath', arguments: '{"expression":"6 * 7"}' } }]
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"result":42}' },
+    { role: 'assistant', content: 'It is 42.' }
+];
+
+/**
+ * Reduce messages to the fields an import or export has to keep
+ * @param {Array<Object>} messages - Messages
+ * @returns {Array<Object>} Messages ({ role, content, tool_calls, tool_call_id })
+ */
+function essentials(messages) {
+    return messages.map(({ role, content, tool_calls: toolCalls, tool_call_id: toolCallId }) => ({
+        role, content: content ?? null, toolCalls, toolCallId
+    }));
+}
+
+describe('ConversationExporter', () => {
+    const exporter = new ConversationExporter();
+    const conversation = { systemPrompt: 'Be <b>brief</b>', messages: TRANSCRIPT.slice(1), model: 'gpt-4' };
+
+    it('resolves format names and aliases', () => {
+        assert.equal(exporter.resolveFormat('MD'), 'markdown');
+        assert.equal(exporter.resolveFormat('txt'), 'text');
+        assert.throws(() => exporter.resolveFormat('pdf'), ValidationError);
+    });
+
+    it('shows each function call with its result in Markdown', () => {
+        const markdown = exporter.export(conversation, 'markdown');
+
+        assert.match(markdown, /<summary>🔧 calculateMath<\/summary>/);
+        assert.match(markdown, /\*\*Result\*\*\n\n```\n\{\n {2}"result": 42\n\}\n```/);
+        assert.doesNotMatch(markdown, /### Tool/);
+    });
+
+    it('escapes raw HTML in Markdown text but not in code', () => {
+        const markdown = exporter.toMarkdown({
+            systemPrompt: 'Be <b>brief</b>',
+            messages: [
+                { role: 'user', content: 'Hi <script>alert(1)</script> & `<div>`' },
+                { role: 'assistant', content: 'Like this:\n```html\n<p>a & b</p>\n```' }
+            ]
+        });
+
+        assert.match(markdown, /> Be &lt;b>brief&lt;\/b>/);
+        assert.match(markdown, /Hi &lt;script>alert\(1\)&lt;\/script> &amp; `<div>`/);
+        assert.match(markdown, /```html\n<p>a & b<\/p>\n```/);
+        assert.doesNotMatch(markdown, /<script>/);
+    });
+
+    it('escapes message text in HTML', () => {
+        const html = exporter.export({ ...conversation, messages: [{ role: 'user', content: '<img src=x onerror=alert(1)>' }] }, 'html');
+
+        assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+        assert.doesNotMatch(html, /<img/);
+    });
+
+    it('writes one fine-tuning example with the system prompt first', () => {
+        const lines = exporter.export(conversation, 'jsonl').trim().split('\n');
+        const example = JSON.parse(lines[0]);
+
+        assert.equal(lines.length, 1);
+        assert.deepEqual(example.messages[0], { role: 'system', content: 'Be <b>brief</b>' });
+        assert.deepEqual(essentials(example.messages.slice(1)), essentials(TRANSCRIPT.slice(1)));
+    });
+});
+
+describe('ChatManager import and export', () => {
+    let openaiClient;
+    let functionRegistry;
+
+    beforeEach(async () => {
+        openaiClient = new OpenAIClient();
+        await openaiClient.initialize(null, { provider: 'mock' });
+        functionRegistry = new FunctionRegistry();
+        functionRegistry.registerBuiltInFunctions(functionSchemas, availableFunctions);
+    });
+
+    /**
+     * Create a chat manager that does not print
+     * @returns {ChatManager} Chat manager
+     */
+    function createChatManager() {
+        return new ChatManager(openaiClient, functionRegistry, { logToConsole: false });
+    }
+
+    it('imports a chat completions transcript', () => {
+        const chatManager = createChatManager();
+
+        const result = chatManager.importConversation(JSON.stringify(TRANSCRIPT));
+
+        assert.deepEqual(result, { messageCount: 4, example: 1, exampleCount: 1 });
+        assert.equal(chatManager.systemMessage.content, 'You are a test assistant.');
+        assert.deepEqual(essentials(chatManager.getHistory(false)), essentials(TRANSCRIPT.slice(1)));
+    });
+
+    it('round-trips a conversation through fine-tuning JSONL', async () => {
+        const original = createChatManager();
+        original.startConversation('You are a test assistant.');
+        await original.processMessage('Hello');
+        await original.processMessage('Call getCurrentTime please');
+
+        const copy = createChatManager();
+        copy.importConversation(original.exportConversation('jsonl'));
+
+        assert.equal(copy.systemMessage.content, original.systemMessage.content);
+        assert.deepEqual(essentials(copy.getHistory(false)), essentials(original.getHistory(false)));
+        assert.ok(copy.getHistory(false).some(message => message.role === 'tool'));
+    });
+
+    it('picks one example from a dataset with several', () => {
+        const dataset = [
+            { messages: [{ role: 'user', content: 'first' }, { role: 'assistant', content: 'one' }] },
+            { messages: [{ role: 'user', content: 'second' }, { role: 'assistant', content: 'two', weight: 1 }] }
+        ].map(example => JSON.stringify(example)).join('\n');
+        const chatManager = createChatManager();
+
+        const result = chatManager.importConversation(dataset, { example: 2 });
+
+        assert.equal(result.exampleCount, 2);
+        assert.deepEqual(chatManager.getHistory(false).map(message => message.content), ['second', 'two']);
+        assert.throws(() => chatManager.importConversation(dataset, { example: 3 }), ValidationError);
+    });
+
+    it('rejects a tool call without its result and keeps the conversation', async () => {
+        const chatManager = createChatManager();
+        await chatManager.processMessage('Hello');
+        const before = chatManager.getHistory(false);
+
+        assert.throws(() => chatManager.importConversation(TRANSCRIPT.slice(0, 3)), ValidationError);
+        assert.deepEqual(chatManager.getHistory(false), before);
+    });
+
+    it('refuses to import while a turn is in progress', async () => {
+        const chatManager = createChatManager();
+        const turn = chatManager.processMessage('Hello');
+
+        assert.throws(() => chatManager.importConversation(TRANSCRIPT), { name: 'TurnQueueError' });
+        await turn;
+    });
+});
\ No newline at end of file
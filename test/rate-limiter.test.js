@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RateLimiter from '../src/rate-limiter.js';
+import OpenAIClient from '../src/openai-client.js';
+import { ValidationError } from '../src/errors.js';
+
+/**
+ * Freeze Date.now() for the rest of the test, so buckets do not refill
+ * @param {Object} t - Test context
+ * @param {number} [now=1000000] - Time to report
+ */
+function freezeTime(t, now = 1000000) {
+    t.mock.method(Date, 'now', () => now);
+}
+
+describe('RateLimiter', () => {
+    it('rejects limits that are not positive numbers', () => {
+        assert.throws(() => new RateLimiter({ default: { tokensPerMinute: 0 } }), ValidationError);
+        assert.throws(() => new RateLimiter({ 'gpt-4': { requestsPerMinute: '10' } }), ValidationError);
+    });
+
+    it('takes capacity until a bucket runs out, then reports how long to wait', (t) => {
+        freezeTime(t);
+        const limiter = new RateLimiter({ default: { requestsPerMinute: 2, tokensPerMinute: 600 } });
+
+        assert.equal(limiter.tryAcquire('gpt-4', 100), 0);
+        assert.equal(limiter.tryAcquire('gpt-4', 100), 0);
+
+        // No requests left; one refills every 30 seconds
+        assert.equal(limiter.tryAcquire('gpt-4', 100), 30000);
+    });
+
+    it('keeps separate buckets per model and leaves unlisted models unlimited', (t) => {
+        freezeTime(t);
+        const limiter = new RateLimiter({ 'gpt-4': { requestsPerMinute: 1 } });
+
+        assert.equal(limiter.tryAcquire('gpt-4', 10), 0);
+        assert.ok(limiter.tryAcquire('gpt-4', 10) > 0);
+        assert.equal(limiter.tryAcquire('gpt-4o', 10), 0);
+        assert.equal(limiter.tryAcquire('gpt-4o', 10), 0);
+    });
+
+    it('refunds unused tokens on settle, never beyond the bucket size', (t) => {
+        freezeTime(t);
+        const limiter = new RateLimiter({ default: { tokensPerMinute: 1000 } });
+        const bucket = () => limiter._getBuckets('gpt-4').tokens;
+
+        limiter.tryAcquire('gpt-4', 400);
+        assert.equal(bucket().available, 600);
+
+        limiter.settle('gpt-4', 400, 150);
+        assert.equal(bucket().available, 850);
+
+        limiter.settle('gpt-4', 400, 0);
+        assert.equal(bucket().available, 1000);
+    });
+
+    it('settles a request larger than the bucket against what it actually took', (t) => {
+        freezeTime(t);
+        const limiter = new RateLimiter({ default: { tokensPerMinute: 1000 } });
+        const bucket = limiter._getBuckets('gpt-4').tokens;
+
+        assert.equal(limiter.tryAcquire('gpt-4', 5000), 0);
+        assert.equal(bucket.available, 0);
+
+        limiter.settle('gpt-4', 5000, 200);
+        assert.equal(bucket.available, 800);
+    });
+
+    it('lets an overrun push the bucket below zero', (t) => {
+        freezeTime(t);
+        const limiter = new RateLimiter({ default: { tokensPerMinute: 1000 } });
+
+        limiter.tryAcquire('gpt-4', 100);
+        limiter.settle('gpt-4', 100, 1500);
+
+        assert.equal(limiter._getBuckets('gpt-4').tokens.available, -500);
+        assert.ok(limiter.tryAcquire('gpt-4', 100) > 0);
+    });
+});
+
+describe('OpenAIClient rate limiting', () => {
+    /**
+     * Create a client on the mock provider with a token limit
+     * @param {Function} handler - Mock reply handler
+     * @returns {Promise<OpenAIClient>} Initialized client
+     */
+    async function createClient(handler) {
+        const client = new OpenAIClient();
+        await client.initialize(null, {
+            provider: 'mock',
+            model: 'gpt-4',
+            maxRetryDelayMs: 1,
+            rateLimits: { default: { tokensPerMinute: 100000 } },
+            mock: { handler }
+        });
+        return client;
+    }
+
+    it('gives the reservation of a failed attempt back before retrying', async (t) => {
+        freezeTime(t);
+        let calls = 0;
+        const client = await createClient(() => {
+            calls += 1;
+            if (calls < 3) {
+                throw Object.assign(new Error('Service unavailable'), { status: 503 });
+            }
+            return 'ok';
+        });
+
+        const response = await client.createChatCompletion([{ role: 'user', content: 'hi' }]);
+        const bucket = client.rateLimiter._getBuckets('gpt-4').tokens;
+
+        assert.equal(calls, 3);
+        assert.equal(bucket.capacity - bucket.available, response.usage.total_tokens);
+    });
+
+    it('settles a stream with the usage it reports', async (t) => {
+        freezeTime(t);
+        const client = await createClient(() => 'streamed answer');
+        let usage = null;
+
+        for await (const chunk of client.streamChatCompletion([{ role: 'user', content: 'hi' }])) {
+            usage = chunk.usage || usage;
+        }
+        const bucket = client.rateLimiter._getBuckets('gpt-4').tokens;
+
+        assert.ok(usage);
+        assert.equal(bucket.capacity - bucket.available, usage.total_tokens);
+    });
+
+    it('keeps the estimate for a stream that ends without usage', async (t) => {
+        freezeTime(t);
+        const client = await createClient(() => 'streamed answer');
+        const estimate = client._estimateRequestTokens(client._buildRequestParams([{ role: 'user', content: 'hi' }], null, {}));
+
+        // Stop reading after the first chunk, before the usage arrives
+        for await (const chunk of client.streamChatCompletion([{ role: 'user', content: 'hi' }])) {
+            assert.ok(chunk);
+            break;
+        }
+        const bucket = client.rateLimiter._getBuckets('gpt-4').tokens;
+
+        assert.equal(bucket.capacity - bucket.available, estimate);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,143 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import SessionJournal from '../src/session-journal.js';
+import OpenAIClient from '../src/openai-client.js';
+import FunctionRegistry from '../src/function-registry.js';
+import ChatManager from '../src/chat-manager.js';
+import { functionSchemas, availableFunctions } from '../src/built-in-functions.js';
+
+/**
+ * Reduce messages to what a replay has to reproduce
+ * @param {Array<Object>} messages - History messages
+ * @returns {Array<Object>} Messages ({ role, content, tool_calls, tool_call_id })
+ */
+function essentials(messages) {
+    return messages.map(({ role, content, tool_calls: toolCalls, tool_call_id: toolCallId }) => ({
+        role, content, toolCalls, toolCallId
+    }));
+}
+
+describe('SessionJournal', () => {
+    let directory;
+    let journal;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+        journal = new SessionJournal(SessionJournal.pathFor(directory, 'conversation-test.json'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('pairs journal and conversation file names', () => {
+        assert.equal(path.basename(journal.filepath), 'conversation-test.journal.jsonl');
+        assert.equal(SessionJournal.conversationFilename(journal.filepath), 'conversation-test.json');
+    });
+
+    it('replays every kind of entry in order', () => {
+        journal.open();
+        journal.append({ op: 'reset', systemPrompt: 'Be brief', summary: null, messages: [{ role: 'user', content: 'old' }], turns: [] });
+        journal.append({ op: 'append', message: { role: 'assistant', content: 'old answer' } });
+        journal.append({ op: 'append', message: { role: 'user', content: 'new' } });
+        journal.append({ op: 'trim', count: 2 });
+        journal.append({ op: 'system', content: 'Be thorough' });
+        journal.append({ op: 'usage', turn: 1, startedAt: 'start', call: { totalTokens: 10 } });
+        journal.append({ op: 'usage', turn: 1, startedAt: 'start', call: { totalTokens: 5 } });
+
+        const state = SessionJournal.replay(journal.filepath);
+
+        assert.equal(state.pid, process.pid);
+        assert.equal(state.systemPrompt, 'Be thorough');
+        assert.deepEqual(state.messages, [{ role: 'user', content: 'new' }]);
+        assert.deepEqual(state.turns, [{ turn: 1, startedAt: 'start', calls: [{ totalTokens: 10 }, { totalTokens: 5 }] }]);
+        assert.equal(state.entries, 8);
+    });
+
+    it('keeps everything before a line cut off by a crash', () => {
+        journal.open();
+        journal.append({ op: 'append', message: { role: 'user', content: 'kept' } });
+        fs.appendFileSync(journal.filepath, '{"op":"append","message":{"role":"assi');
+
+        const state = SessionJournal.replay(journal.filepath);
+
+        assert.deepEqual(state.messages, [{ role: 'user', content: 'kept' }]);
+    });
+
+    it('skips entries it does not know', () => {
+        journal.open();
+        journal.append({ op: 'future', data: 1 });
+        journal.append({ op: 'append', message: { role: 'user', content: 'hi' } });
+
+        assert.equal(SessionJournal.replay(journal.filepath).messages.length, 1);
+    });
+
+    it('finds journals whose process is gone, not its own', async () => {
+        journal.open();
+        const orphan = new SessionJournal(SessionJournal.pathFor(directory, 'conversation-orphan.json'));
+        fs.writeFileSync(orphan.filepath, `${JSON.stringify({ op: 'open', pid: 0 })}\n`);
+
+        assert.deepEqual(await SessionJournal.findOrphans(directory), [orphan.filepath]);
+        assert.deepEqual(await SessionJournal.findOrphans(path.join(directory, 'missing')), []);
+    });
+});
+
+describe('ChatManager journaling', () => {
+    let directory;
+    let openaiClient;
+    let functionRegistry;
+
+    beforeEach(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+        openaiClient = new OpenAIClient();
+        await openaiClient.initialize(null, { provider: 'mock' });
+        functionRegistry = new FunctionRegistry();
+        functionRegistry.registerBuiltInFunctions(functionSchemas, availableFunctions);
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('replays to the same conversation, tool calls and usage included', async () => {
+        const journal = new SessionJournal(path.join(directory, 'conversation-test.journal.jsonl'));
+        journal.open();
+        const chatManager = new ChatManager(openaiClient, functionRegistry, { logToConsole: false, journal });
+        chatManager.startConversation('You are a test assistant.');
+
+        await chatManager.processMessage('Hello');
+        await chatManager.processMessage('Call calculateMath please');
+        chatManager.updateSystemMessage('You are a careful test assistant.');
+
+        const state = SessionJournal.replay(journal.filepath);
+
+        assert.equal(state.systemPrompt, 'You are a careful test assistant.');
+        assert.deepEqual(essentials(state.messages), essentials(chatManager.getHistory(false)));
+        assert.ok(state.messages.some(message => message.role === 'tool'));
+        assert.equal(state.turns.length, 2);
+
+        // A new chat manager restored from the replay continues the same conversation
+        const restored = new ChatManager(openaiClient, functionRegistry, { logToConsole: false });
+        restored.restoreConversation(state);
+
+        assert.deepEqual(essentials(restored.getHistory(false)), essentials(chatManager.getHistory(false)));
+        assert.deepEqual(restored.usageLedger.getSessionTotals(), chatManager.usageLedger.getSessionTotals());
+    });
+
+    it('records a cleared history as a new starting point', async () => {
+        const journal = new SessionJournal(path.join(directory, 'conversation-test.journal.jsonl'));
+        journal.open();
+        const chatManager = new ChatManager(openaiClient, functionRegistry, { logToConsole: false, journal });
+
+        await chatManager.processMessage('Hello');
+        chatManager.clearHistory();
+        await chatManager.processMessage('Again');
+
+        const state = SessionJournal.replay(journal.filepath);
+
+        assert.deepEqual(state.messages.map(message => message.content), ['Again', 'Mock response: Again']);
+    });
+});
\ No newline at end of file